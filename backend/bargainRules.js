@@ -0,0 +1,202 @@
+import { readFile } from 'fs/promises';
+import { getPriceChangeStats } from './priceHistory.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Helper function to get days on market, falling back to the list date
+export function getDaysOnMarket(property, now) {
+  if (property.daysOnMarket !== null && property.daysOnMarket !== undefined) {
+    return property.daysOnMarket;
+  }
+  return property.listDate ? Math.floor((now - new Date(property.listDate)) / DAY_MS) : 0;
+}
+
+// Helper function to find what the seller paid: the most recent previous sale in the listing history
+export function getPurchasePrice(property) {
+  const previousSales = property.history
+    .filter(entry => entry.soldPrice > 0 && entry.mlsNumber !== property.mlsNumber)
+    .sort((a, b) => new Date(b.soldDate || 0) - new Date(a.soldDate || 0));
+
+  return previousSales[0]?.soldPrice || null;
+}
+
+// Predicates referenced by the "predicate" field of each rule
+// Each returns false when the rule does not fire, or an object of values used to fill in the label
+const predicates = {
+  // On the market for at least minDays
+  daysOnMarket(property, { minDays }, { now }) {
+    const days = getDaysOnMarket(property, now);
+    return days >= minDays && { days };
+  },
+
+  // Has a terminated listing within the past withinDays
+  terminatedWithin(property, { withinDays }, { now }) {
+    const terminatedDate = property.dates.terminated ? new Date(property.dates.terminated) : null;
+    return !!terminatedDate && now - terminatedDate <= withinDays * DAY_MS && {};
+  },
+
+  // Asking price below maxRatio x the previous purchase price
+  belowPurchasePrice(property, { maxRatio }) {
+    const purchasePrice = getPurchasePrice(property);
+    return !!purchasePrice && property.listPrice > 0 && property.listPrice < purchasePrice * maxRatio && { purchasePrice };
+  },
+
+  // Asking price at least minRatio x the previous purchase price
+  abovePurchasePrice(property, { minRatio }) {
+    const purchasePrice = getPurchasePrice(property);
+    return !!purchasePrice && property.listPrice > 0 && property.listPrice >= purchasePrice * minRatio && { purchasePrice };
+  },
+
+  // Possession date within the next withinDays
+  quickPossession(property, { withinDays }, { now }) {
+    const possessionDate = property.dates.possession ? new Date(property.dates.possession) : null;
+    return !!possessionDate && possessionDate >= now && possessionDate - now <= withinDays * DAY_MS && {};
+  },
+
+  // A conditional sale expired without closing
+  conditionalNotClosed(property) {
+    return !!property.dates.conditionalExpiry && !property.dates.closed && {};
+  },
+
+  // Description mentions any of the keywords
+  descriptionKeyword(property, { keywords }) {
+    const description = property.description.toLowerCase();
+    const keyword = keywords.find(word => description.includes(word.toLowerCase()));
+    return !!keyword && { keyword };
+  },
+
+  // Description classified as an estate sale with at least minConfidence (phrase classifier)
+  estatePhrases(property, { minConfidence }, { classifier }) {
+    const { confidence, phrases } = classifier.classify(property.description, 'estate');
+    return phrases.length > 0 && confidence >= minConfidence && { phrase: phrases[0], confidence };
+  },
+
+  // Asking price reduced at least minReductions times (from recorded price history)
+  priceReductions(property, { minReductions }, { priceObservations }) {
+    const { reductions } = getPriceChangeStats(property, priceObservations);
+    return reductions > 0 && reductions >= minReductions && { count: reductions };
+  },
+
+  // Asking price at least minPercent below the value estimated from comparable sales nearby
+  belowComparableSales(property, { minPercent }, { getComps }) {
+    const underMarketPercent = getComps?.(property)?.underMarketPercent;
+    return underMarketPercent > 0 && underMarketPercent >= minPercent && { percent: Math.round(underMarketPercent) };
+  },
+
+  // Asking price at least minPercent below the original list price (from recorded price history)
+  priceDropPercent(property, { minPercent }, { priceObservations }) {
+    const { dropPercent } = getPriceChangeStats(property, priceObservations);
+    return dropPercent > 0 && dropPercent >= minPercent && { percent: Math.round(dropPercent) };
+  }
+};
+
+// Load and validate the rule definitions from a JSON config file
+export async function loadRules(filePath) {
+  const rules = JSON.parse(await readFile(filePath, 'utf8'));
+
+  for (const rule of rules) {
+    if (!rule.id || !predicates[rule.predicate]) {
+      throw new Error(`Invalid bargain rule "${rule.id}": unknown predicate "${rule.predicate}"`);
+    }
+  }
+
+  console.log(`Loaded ${rules.length} bargain rules from ${filePath}`);
+  return rules.map(rule => ({
+    weight: 1,
+    enabled: true,
+    thresholds: {},
+    ...rule
+  }));
+}
+
+// Apply per-request overrides from the query string:
+// - rules=id1,id2 enables only the listed rules
+// - thresholds[id][name]=value overrides a threshold (numbers, or comma-separated lists)
+// Unknown rule IDs and threshold names are ignored, or with strict rejected (as for saved searches, which
+// would otherwise keep running with settings that do nothing)
+export function resolveRules(rules, query = {}, { strict = false } = {}) {
+  const enabledIds = query.rules !== undefined
+    ? new Set(String(query.rules).split(',').map(id => id.trim()).filter(Boolean))
+    : null;
+  const overrides = typeof query.thresholds === 'object' && query.thresholds !== null ? query.thresholds : {};
+
+  if (strict) {
+    const ruleIds = new Set(rules.map(rule => rule.id));
+    const unknownId = [...(enabledIds || []), ...Object.keys(overrides)].find(id => !ruleIds.has(id));
+    if (unknownId) {
+      throw new Error(`Unknown bargain rule "${unknownId}"`);
+    }
+    for (const rule of rules) {
+      const unknownName = Object.keys(overrides[rule.id] || {}).find(name => !Object.hasOwn(rule.thresholds, name));
+      if (unknownName) {
+        throw new Error(`Unknown threshold ${rule.id}.${unknownName}`);
+      }
+    }
+  }
+
+  return rules.map(rule => {
+    const thresholds = { ...rule.thresholds };
+    for (const [name, value] of Object.entries(overrides[rule.id] || {})) {
+      if (!Object.hasOwn(thresholds, name)) continue;
+      if (Array.isArray(thresholds[name])) {
+        thresholds[name] = String(value).split(',').map(item => item.trim()).filter(Boolean);
+      } else {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+          throw new Error(`Invalid threshold ${rule.id}.${name}: expected a number`);
+        }
+        thresholds[name] = number;
+      }
+    }
+
+    return {
+      ...rule,
+      thresholds,
+      enabled: enabledIds ? enabledIds.has(rule.id) : rule.enabled
+    };
+  });
+}
+
+// Explain why a rule fired: its description with the threshold names replaced by their values
+// e.g. "On the market for at least minDays days" becomes "On the market for at least 60 days"
+export function explainRule(rule) {
+  return (rule.description || '').replace(/\b\w+\b/g, word => (
+    Object.hasOwn(rule.thresholds, word) ? [].concat(rule.thresholds[word]).join(', ') : word
+  ));
+}
+
+// Helper function to fill "{name}" placeholders; labels may be { one, other } keyed on the count value
+function formatLabel(label, values) {
+  const template = typeof label === 'object' ? (values.count === 1 ? label.one : label.other) : label;
+  return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+}
+
+// Label of a rule in one language of the config ('zh' or 'en'), filled in with the values it fired with
+export function formatRuleLabel(rule, values, lang) {
+  return formatLabel(rule.label[lang] ?? rule.label.en, values);
+}
+
+// Evaluate every enabled rule once for a listing
+// Returns the fired rules with their weight, the values that made them fire and localised labels
+export function evaluateRules(property, rules, context) {
+  const matches = [];
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+
+    const values = predicates[rule.predicate](property, rule.thresholds, context);
+    if (!values) continue;
+
+    matches.push({
+      id: rule.id,
+      weight: rule.weight,
+      values,
+      label: {
+        zh: formatRuleLabel(rule, values, 'zh'),
+        en: formatRuleLabel(rule, values, 'en')
+      }
+    });
+  }
+
+  return matches;
+}
@@ -0,0 +1,93 @@
+import { getDaysOnMarket } from './bargainRules.js';
+
+// How much each part contributes to the bargain score
+// - tags: sum of the weights of the bargain rules that fired
+// - daysOnMarket: SCORE_PER_MONTH_ON_MARKET per 30 days, capped at MAX_MONTHS_ON_MARKET months
+// - discount: 1 point per SCORE_DISCOUNT_PERCENT_PER_POINT % below comparable price per sqft, capped at MAX_DISCOUNT_SCORE
+const SCORE_PER_MONTH_ON_MARKET = 0.5;
+const MAX_MONTHS_ON_MARKET = 4;
+const SCORE_DISCOUNT_PERCENT_PER_POINT = 5;
+const MAX_DISCOUNT_SCORE = 4;
+
+// Minimum listings of the same type in a city before its own median is used instead of the type-wide one
+const MIN_COMPARABLES = 3;
+
+// Helper function to read square footage, which is often a range such as "1500-2000"
+export function parseSqft(property) {
+  const raw = property.sqft;
+  if (typeof raw === 'number') return raw > 0 ? raw : null;
+  if (!raw) return null;
+
+  const numbers = String(raw).replace(/,/g, '').match(/\d+(\.\d+)?/g)?.map(Number) || [];
+  if (numbers.length === 0) return null;
+  const sqft = numbers.length >= 2 ? (numbers[0] + numbers[1]) / 2 : numbers[0];
+  return sqft > 0 ? sqft : null;
+}
+
+// Helper function to get the asking price per square foot, or null when unknown
+export function getPricePerSqft(property) {
+  const price = property.listPrice;
+  const sqft = parseSqft(property);
+  return price && sqft ? price / sqft : null;
+}
+
+// Helper function to get the median of a list of numbers, or null for an empty list
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Build median price per sqft by "city|type" and by type from a set of listings
+// Returns a lookup function (property) => comparable price per sqft or null
+export function buildComparablePricePerSqft(listings) {
+  const byCityType = new Map();
+  const byType = new Map();
+
+  for (const listing of listings) {
+    const pricePerSqft = getPricePerSqft(listing);
+    if (!pricePerSqft) continue;
+
+    const type = listing.propertyType || 'Unknown';
+    const cityType = `${listing.address.city || ''}|${type}`;
+    if (!byCityType.has(cityType)) byCityType.set(cityType, []);
+    if (!byType.has(type)) byType.set(type, []);
+    byCityType.get(cityType).push(pricePerSqft);
+    byType.get(type).push(pricePerSqft);
+  }
+
+  return (property) => {
+    const type = property.propertyType || 'Unknown';
+    const cityValues = byCityType.get(`${property.address.city || ''}|${type}`) || [];
+    const values = cityValues.length >= MIN_COMPARABLES ? cityValues : (byType.get(type) || []);
+    return values.length >= MIN_COMPARABLES ? median(values) : null;
+  };
+}
+
+// Score a listing from the bargain rules that fired, its days on market and its discount to comparables
+export function scoreProperty(property, bargainMatches, comparablePricePerSqft, now = new Date()) {
+  const tagScore = bargainMatches.reduce((sum, match) => sum + (match.weight || 0), 0);
+
+  const daysOnMarket = getDaysOnMarket(property, now);
+  const daysOnMarketScore = Math.min(daysOnMarket / 30, MAX_MONTHS_ON_MARKET) * SCORE_PER_MONTH_ON_MARKET;
+
+  const pricePerSqft = getPricePerSqft(property);
+  const discountPercent = pricePerSqft && comparablePricePerSqft
+    ? ((comparablePricePerSqft - pricePerSqft) / comparablePricePerSqft) * 100
+    : 0;
+  const discountScore = Math.min(Math.max(discountPercent, 0) / SCORE_DISCOUNT_PERCENT_PER_POINT, MAX_DISCOUNT_SCORE);
+
+  const round = value => Math.round(value * 10) / 10;
+  return {
+    score: round(tagScore + daysOnMarketScore + discountScore),
+    scoreBreakdown: {
+      tags: round(tagScore),
+      daysOnMarket: round(daysOnMarketScore),
+      discount: round(discountScore)
+    },
+    daysOnMarket,
+    pricePerSqft: pricePerSqft ? Math.round(pricePerSqft) : null,
+    comparablePricePerSqft: comparablePricePerSqft ? Math.round(comparablePricePerSqft) : null
+  };
+}
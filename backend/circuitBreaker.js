@@ -0,0 +1,66 @@
+import { apiError } from './errors.js';
+
+// Circuit breaker for calls to an upstream service
+// - closed: calls go through; failureThreshold outage errors in a row open the circuit
+// - open: calls fail at once with UPSTREAM_UNAVAILABLE for resetMs, so a struggling upstream gets a rest
+//   and callers fall back to what they have cached instead of waiting on timeouts
+// - half-open: after resetMs one trial call goes through; success closes the circuit, failure reopens it
+// isFailure decides which errors count; others (e.g. a bad request) pass through without tripping it
+export function createCircuitBreaker({ name, failureThreshold = 5, resetMs = 60000, isFailure = () => true, now = Date.now }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function getState() {
+    if (state === 'open' && now() - openedAt >= resetMs) {
+      state = 'half-open';
+    }
+    return state;
+  }
+
+  function open() {
+    if (state !== 'open') {
+      console.error(`${name} circuit opened after ${failures} failure(s); pausing requests for ${resetMs / 1000}s`);
+    }
+    state = 'open';
+    openedAt = now();
+  }
+
+  async function run(fn) {
+    const current = getState();
+    if (current === 'open' || (current === 'half-open' && trialInFlight)) {
+      throw apiError('UPSTREAM_UNAVAILABLE', `${name} is unavailable`, {
+        retryAfterMs: Math.max(1000, resetMs - (now() - openedAt))
+      });
+    }
+
+    const isTrial = current === 'half-open';
+    if (isTrial) trialInFlight = true;
+    try {
+      const result = await fn();
+      if (state !== 'closed') console.log(`${name} circuit closed`);
+      state = 'closed';
+      failures = 0;
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        failures++;
+        if (isTrial || failures >= failureThreshold) open();
+      }
+      throw error;
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  }
+
+  // Status for the admin endpoint
+  function status() {
+    return { state: getState(), failures, openedAt: openedAt ? new Date(openedAt).toISOString() : null };
+  }
+
+  return {
+    run,
+    status
+  };
+}
@@ -0,0 +1,5 @@
+// Clock for everything date-dependent in searches: days on market, rule date windows, comparable sales
+// Tests set clock.now to a fixed date so results do not change from day to day
+export const clock = {
+  now: () => new Date()
+};
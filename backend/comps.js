@@ -0,0 +1,87 @@
+import { calculateDistance } from './geo.js';
+import { parseSqft } from './bargainScore.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Helper function to read a percentile (0-1) of sorted values, interpolating between neighbours
+function percentile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Helper function to get the property type used to match comparables
+function getPropertyType(property) {
+  return property.propertyType || 'Unknown';
+}
+
+// Build a comparable-sales estimator from recently sold listings
+// For a listing, the comparables are sales of the same property type within radiusKm that sold within
+// the last months and have a size; with at least minSales of them the listing's value is estimated
+// from the median sold price per sqft, and the 25th-75th percentiles give the range
+// Returns (property) => { sampleSize, radiusKm, medianPricePerSqft, estimatedValue: { low, mid, high },
+// underMarketPercent } or null when there are not enough comparables; underMarketPercent is positive
+// when the asking price is below the estimate
+export function createCompsEstimator(soldListings, { radiusKm, months, minSales, now = new Date() }) {
+  const since = now - months * 30 * DAY_MS;
+
+  const sales = [];
+  for (const listing of soldListings) {
+    const { soldPrice, latitude, longitude } = listing;
+    const sqft = parseSqft(listing);
+    const soldDate = listing.soldDate ? new Date(listing.soldDate) : null;
+    if (!(soldPrice > 0) || !sqft || latitude === null || longitude === null) continue;
+    if (soldDate && soldDate < since) continue;
+
+    sales.push({
+      mlsNumber: listing.mlsNumber,
+      type: getPropertyType(listing),
+      latitude,
+      longitude,
+      pricePerSqft: soldPrice / sqft
+    });
+  }
+
+  // A listing is estimated once per estimator, however often the rules and formatting ask for it
+  const estimates = new Map();
+
+  return (property) => {
+    const key = property.mlsNumber;
+    if (key && estimates.has(key)) return estimates.get(key);
+    const estimate = estimateValue(property);
+    if (key) estimates.set(key, estimate);
+    return estimate;
+  };
+
+  function estimateValue(property) {
+    const sqft = parseSqft(property);
+    const { listPrice: price, latitude, longitude } = property;
+    if (!sqft || latitude === null || longitude === null) return null;
+
+    const type = getPropertyType(property);
+    const pricesPerSqft = sales
+      .filter(sale => sale.type === type && sale.mlsNumber !== property.mlsNumber)
+      .filter(sale => calculateDistance(latitude, longitude, sale.latitude, sale.longitude) <= radiusKm)
+      .map(sale => sale.pricePerSqft)
+      .sort((a, b) => a - b);
+    if (pricesPerSqft.length < minSales) return null;
+
+    const median = percentile(pricesPerSqft, 0.5);
+    const estimatedValue = {
+      low: Math.round(percentile(pricesPerSqft, 0.25) * sqft),
+      mid: Math.round(median * sqft),
+      high: Math.round(percentile(pricesPerSqft, 0.75) * sqft)
+    };
+
+    return {
+      sampleSize: pricesPerSqft.length,
+      radiusKm,
+      medianPricePerSqft: Math.round(median),
+      estimatedValue,
+      underMarketPercent: price > 0
+        ? Math.round(((estimatedValue.mid - price) / estimatedValue.mid) * 1000) / 10
+        : null
+    };
+  }
+}
@@ -0,0 +1,217 @@
+// Purchase, carrying-cost and rental-yield calculator for Ontario listings
+// All amounts are in dollars; rates passed in and returned as percentages are plain numbers (5 means 5%)
+
+// Assumptions used when the request does not give its own
+export const DEFAULT_ASSUMPTIONS = {
+  downPaymentPercent: 20,
+  interestRate: 5,
+  amortizationYears: 25,
+  firstTimeBuyer: false,
+  // Home insurance per month, and for rentals the share of rent lost to vacancy and spent on upkeep
+  insuranceMonthly: 100,
+  vacancyPercent: 4,
+  maintenancePercent: 5
+};
+
+// CMHC mortgage default insurance premiums by loan-to-value, as a share of the loan
+// Only available on purchases below INSURED_PRICE_LIMIT; 20% down or more needs no insurance
+const CMHC_PREMIUMS = [
+  { maxLoanToValue: 0.8, rate: 0 },
+  { maxLoanToValue: 0.85, rate: 0.028 },
+  { maxLoanToValue: 0.9, rate: 0.031 },
+  { maxLoanToValue: 0.95, rate: 0.04 }
+];
+const INSURED_PRICE_LIMIT = 1500000;
+const INSURED_MAX_AMORTIZATION_YEARS = 30;
+// Ontario charges retail sales tax on the premium, paid in cash at closing
+const ONTARIO_PREMIUM_SALES_TAX = 0.08;
+
+// Land transfer tax brackets: rate applies to the part of the price above "from"
+const ONTARIO_LTT_BRACKETS = [
+  { from: 0, rate: 0.005 },
+  { from: 55000, rate: 0.01 },
+  { from: 250000, rate: 0.015 },
+  { from: 400000, rate: 0.02 },
+  { from: 2000000, rate: 0.025 }
+];
+// Toronto's municipal land transfer tax follows the provincial brackets, plus luxury tiers above $3M
+const TORONTO_MLTT_BRACKETS = [
+  ...ONTARIO_LTT_BRACKETS,
+  { from: 3000000, rate: 0.035 },
+  { from: 4000000, rate: 0.045 },
+  { from: 5000000, rate: 0.055 },
+  { from: 10000000, rate: 0.065 },
+  { from: 20000000, rate: 0.075 }
+];
+const ONTARIO_FIRST_TIME_BUYER_REBATE = 4000;
+const TORONTO_FIRST_TIME_BUYER_REBATE = 4475;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Helper function to apply marginal tax brackets to an amount
+function bracketTax(amount, brackets) {
+  let tax = 0;
+  brackets.forEach((bracket, index) => {
+    const upTo = brackets[index + 1]?.from ?? Infinity;
+    if (amount > bracket.from) {
+      tax += (Math.min(amount, upTo) - bracket.from) * bracket.rate;
+    }
+  });
+  return tax;
+}
+
+// Minimum down payment in Canada: 5% of the first $500k, 10% of the rest, and 20% from INSURED_PRICE_LIMIT up
+export function getMinimumDownPayment(price) {
+  if (price >= INSURED_PRICE_LIMIT) return price * 0.2;
+  return Math.min(price, 500000) * 0.05 + Math.max(price - 500000, 0) * 0.1;
+}
+
+// CMHC premium rate for a purchase, or 0 when no insurance is needed
+export function getCmhcPremiumRate(price, downPayment) {
+  const loanToValue = (price - downPayment) / price;
+  return CMHC_PREMIUMS.find(tier => loanToValue <= tier.maxLoanToValue + 1e-9)?.rate ?? null;
+}
+
+// Ontario land transfer tax, plus Toronto's municipal tax for Toronto purchases, less first-time buyer rebates
+export function getLandTransferTax(price, { toronto = false, firstTimeBuyer = false } = {}) {
+  const ontario = bracketTax(price, ONTARIO_LTT_BRACKETS);
+  const municipal = toronto ? bracketTax(price, TORONTO_MLTT_BRACKETS) : 0;
+  const rebate = firstTimeBuyer
+    ? Math.min(ontario, ONTARIO_FIRST_TIME_BUYER_REBATE) + Math.min(municipal, TORONTO_FIRST_TIME_BUYER_REBATE)
+    : 0;
+
+  return {
+    ontario: round(ontario),
+    toronto: round(municipal),
+    firstTimeBuyerRebate: round(rebate),
+    total: round(ontario + municipal - rebate)
+  };
+}
+
+// Monthly payment of a Canadian fixed-rate mortgage: the quoted rate compounds semi-annually
+export function getMonthlyMortgagePayment(principal, annualRatePercent, amortizationYears) {
+  const payments = amortizationYears * 12;
+  if (principal <= 0) return 0;
+  if (annualRatePercent === 0) return principal / payments;
+
+  const monthlyRate = Math.pow(1 + annualRatePercent / 100 / 2, 2 / 12) - 1;
+  return principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -payments));
+}
+
+// Calculate the purchase costs, monthly carrying costs and, when monthlyRent is given, the rental yield
+// listing: { price, annualPropertyTax, monthlyCondoFees, toronto }
+// Throws when the down payment or amortization is not allowed for the price
+export function calculateCosts(listing, options = {}) {
+  const assumptions = { ...DEFAULT_ASSUMPTIONS, ...options };
+  const { price } = listing;
+  if (!(price > 0)) {
+    throw new Error('Listing has no asking price');
+  }
+
+  const downPayment = price * assumptions.downPaymentPercent / 100;
+  const minimumDownPayment = getMinimumDownPayment(price);
+  if (downPayment + 0.005 < minimumDownPayment) {
+    throw new Error(`Invalid downPaymentPercent: at least ${round(minimumDownPayment / price * 100)}% is required at this price`);
+  }
+
+  const premiumRate = getCmhcPremiumRate(price, downPayment);
+  if (premiumRate > 0 && assumptions.amortizationYears > INSURED_MAX_AMORTIZATION_YEARS) {
+    throw new Error(`Invalid amortizationYears: insured mortgages allow at most ${INSURED_MAX_AMORTIZATION_YEARS} years`);
+  }
+
+  const baseLoan = price - downPayment;
+  const insurancePremium = baseLoan * premiumRate;
+  const insuranceSalesTax = insurancePremium * ONTARIO_PREMIUM_SALES_TAX;
+  const principal = baseLoan + insurancePremium;
+  const mortgagePayment = getMonthlyMortgagePayment(principal, assumptions.interestRate, assumptions.amortizationYears);
+
+  const landTransferTax = getLandTransferTax(price, { toronto: listing.toronto, firstTimeBuyer: assumptions.firstTimeBuyer });
+
+  const propertyTaxMonthly = (listing.annualPropertyTax || 0) / 12;
+  const condoFeesMonthly = listing.monthlyCondoFees || 0;
+  const monthlyCosts = {
+    mortgage: round(mortgagePayment),
+    propertyTax: round(propertyTaxMonthly),
+    condoFees: round(condoFeesMonthly),
+    insurance: round(assumptions.insuranceMonthly),
+    total: round(mortgagePayment + propertyTaxMonthly + condoFeesMonthly + assumptions.insuranceMonthly)
+  };
+
+  const cashToClose = downPayment + landTransferTax.total + insuranceSalesTax;
+
+  return {
+    price,
+    assumptions,
+    downPayment: {
+      amount: round(downPayment),
+      percent: assumptions.downPaymentPercent,
+      minimum: round(minimumDownPayment)
+    },
+    mortgage: {
+      baseLoan: round(baseLoan),
+      insuranceRatePercent: round(premiumRate * 100),
+      insurancePremium: round(insurancePremium),
+      insuranceSalesTax: round(insuranceSalesTax),
+      principal: round(principal),
+      monthlyPayment: round(mortgagePayment)
+    },
+    landTransferTax,
+    cashToClose: round(cashToClose),
+    monthlyCosts,
+    rental: assumptions.monthlyRent > 0
+      ? calculateRentalYield(assumptions, { price, cashToClose, propertyTaxMonthly, condoFeesMonthly, mortgagePayment })
+      : null
+  };
+}
+
+// Helper function for the rental figures
+// - gross yield: a year's rent over the price
+// - net operating income: rent after vacancy, less property tax, condo fees, insurance and upkeep (before the mortgage)
+// - cap rate: net operating income over the price; net yield: net operating income over the price plus closing costs
+// - cash flow: what is left each month after the mortgage as well
+function calculateRentalYield(assumptions, { price, cashToClose, propertyTaxMonthly, condoFeesMonthly, mortgagePayment }) {
+  const annualRent = assumptions.monthlyRent * 12;
+  const effectiveRent = annualRent * (1 - assumptions.vacancyPercent / 100);
+  const operatingExpenses = (propertyTaxMonthly + condoFeesMonthly + assumptions.insuranceMonthly) * 12 +
+    annualRent * assumptions.maintenancePercent / 100;
+  const netOperatingIncome = effectiveRent - operatingExpenses;
+  const closingCosts = cashToClose - price * assumptions.downPaymentPercent / 100;
+
+  return {
+    monthlyRent: assumptions.monthlyRent,
+    grossYieldPercent: round(annualRent / price * 100),
+    netOperatingIncome: round(netOperatingIncome),
+    capRatePercent: round(netOperatingIncome / price * 100),
+    netYieldPercent: round(netOperatingIncome / (price + closingCosts) * 100),
+    monthlyCashFlow: round(netOperatingIncome / 12 - mortgagePayment)
+  };
+}
+
+// Read calculator options from the query string; unknown or empty parameters keep their defaults
+// Throws on values that are not numbers or are out of range
+export function parseCostOptions(query = {}) {
+  const options = {};
+  const ranges = {
+    downPaymentPercent: [0, 100],
+    interestRate: [0, 30],
+    amortizationYears: [1, 40],
+    monthlyRent: [0, Infinity],
+    insuranceMonthly: [0, Infinity],
+    vacancyPercent: [0, 100],
+    maintenancePercent: [0, 100]
+  };
+
+  for (const [name, [min, max]] of Object.entries(ranges)) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid ${name}: expected a number from ${min} to ${max}`);
+    }
+    options[name] = value;
+  }
+
+  if (query.firstTimeBuyer !== undefined) {
+    options.firstTimeBuyer = query.firstTimeBuyer === 'true' || query.firstTimeBuyer === true;
+  }
+  return options;
+}
@@ -0,0 +1,72 @@
+// Error codes sent with every API error response as { error, code }, so clients can react to the kind of
+// error without parsing messages; each code is sent with its HTTP status
+export const ERROR_CODES = {
+  INVALID_REQUEST: 400,
+  // Invalid input the client shows its own message for, with the values of details
+  INVALID_USERNAME: 400,
+  PASSWORD_TOO_SHORT: 400,
+  USERNAME_TAKEN: 400,
+  INVALID_EMAIL: 400,
+  SAVED_SEARCH_LIMIT: 400,
+  WRONG_CONFIRMATION_CODE: 400,
+  LOGIN_REQUIRED: 401,
+  INVALID_CREDENTIALS: 401,
+  ADMIN_TOKEN_REQUIRED: 401,
+  NOT_FOUND: 404,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  PROVIDER_NOT_CONFIGURED: 500,
+  // The listing provider answered with an error we can't retry (e.g. a rejected API key)
+  UPSTREAM_ERROR: 502,
+  // The listing provider is down, or the circuit breaker is holding requests back
+  UPSTREAM_UNAVAILABLE: 503,
+  // The listing provider is throttling us; retrying early would only use up more quota
+  UPSTREAM_RATE_LIMITED: 503,
+  UPSTREAM_TIMEOUT: 504
+};
+
+// Create an error that the routes report with its code and HTTP status
+// retryAfterMs, when known, tells the client how long to wait before trying again; details are values the
+// client needs to word the error itself (e.g. { minLength } for PASSWORD_TOO_SHORT)
+export function apiError(code, message, { retryAfterMs = null, details = null } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = ERROR_CODES[code];
+  error.retryAfterMs = retryAfterMs;
+  error.details = details;
+  return error;
+}
+
+// Send an error response: { error, code }, plus details, and retryAfter (seconds) and a Retry-After header
+// when known
+export function sendError(res, code, message, { retryAfterMs = null, details = null } = {}) {
+  const body = { error: message, code };
+  if (details) {
+    body.details = details;
+  }
+  if (retryAfterMs !== null) {
+    body.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(body.retryAfter));
+  }
+  return res.status(ERROR_CODES[code]).json(body);
+}
+
+// Send the response for an error caught by a route
+// Errors from apiError are sent as they are; anything else is unexpected, so it is logged here and the
+// client only gets a generic message (never the stack or internals)
+export function sendRouteError(res, error, context) {
+  if (error.code && ERROR_CODES[error.code]) {
+    return sendError(res, error.code, error.message, { retryAfterMs: error.retryAfterMs, details: error.details });
+  }
+  console.error(`${context}:`, error);
+  return sendError(res, 'INTERNAL_ERROR', 'Internal server error');
+}
+
+// Send the response for invalid input caught by a route
+// Errors from apiError keep their code; any other error's message describes the input, sent as INVALID_REQUEST
+export function sendInvalidRequest(res, error) {
+  if (error.code && ERROR_CODES[error.code]) {
+    return sendError(res, error.code, error.message, { retryAfterMs: error.retryAfterMs, details: error.details });
+  }
+  return sendError(res, 'INVALID_REQUEST', error.message);
+}
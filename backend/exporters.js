@@ -0,0 +1,97 @@
+import ExcelJS from 'exceljs';
+
+// Columns of the CSV and XLSX exports: header and how to read the value from a formatted search result
+// Nested values are flattened; lists are joined with "; " so each listing stays on one row
+const COLUMNS = [
+  { header: 'mlsNumber', value: p => p.mlsNumber },
+  { header: 'address', value: p => p.address },
+  { header: 'askingPrice', value: p => p.askingPrice || null },
+  { header: 'propertyType', value: p => p.propertyType },
+  { header: 'latitude', value: p => p.latitude },
+  { header: 'longitude', value: p => p.longitude },
+  { header: 'score', value: p => p.score },
+  { header: 'scoreTags', value: p => p.scoreBreakdown?.tags },
+  { header: 'scoreDaysOnMarket', value: p => p.scoreBreakdown?.daysOnMarket },
+  { header: 'scoreDiscount', value: p => p.scoreBreakdown?.discount },
+  { header: 'tags', value: p => p.tags.join('; ') },
+  { header: 'tagLabels', value: p => p.tagLabels?.join('; ') },
+  { header: 'daysOnMarket', value: p => p.daysOnMarket },
+  { header: 'pricePerSqft', value: p => p.pricePerSqft },
+  { header: 'comparablePricePerSqft', value: p => p.comparablePricePerSqft },
+  { header: 'estimatedValueLow', value: p => p.comps?.estimatedValue.low },
+  { header: 'estimatedValue', value: p => p.comps?.estimatedValue.mid },
+  { header: 'estimatedValueHigh', value: p => p.comps?.estimatedValue.high },
+  { header: 'underMarketPercent', value: p => p.underMarketPercent },
+  { header: 'monthlyCost', value: p => p.monthlyCost },
+  { header: 'fixerConfidence', value: p => p.fixer?.confidence },
+  { header: 'fixerPhrases', value: p => p.fixer?.phrases.join('; ') },
+  { header: 'schools', value: p => p.schools?.map(school => `${school.name} (${school.rating})`).join('; ') },
+  { header: 'nearestStation', value: p => p.nearestStation?.name },
+  { header: 'walkMinutes', value: p => p.nearestStation?.walkMinutes },
+  { header: 'realtorCaLink', value: p => p.realtorCaLink },
+  { header: 'thumbnail', value: p => p.thumbnail }
+];
+
+// Formats accepted by /api/properties?format=, with the response content type and file extension
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+// Helper function to get the export row of a property, with missing values as null
+function toRow(property) {
+  return COLUMNS.map(column => column.value(property) ?? null);
+}
+
+// Helper function to quote a CSV field when it contains a separator, quote or line break
+// Addresses and other text come from the listing provider, so text that a spreadsheet would run as a formula
+// (starting with =, +, -, @, a tab or a carriage return) gets a leading ' first; numbers are left as they are
+function escapeCsv(value) {
+  if (value === null) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Properties as CSV, starting with a byte order mark so Excel reads the Chinese addresses as UTF-8
+export function toCsv(properties) {
+  const lines = [COLUMNS.map(column => column.header), ...properties.map(toRow)]
+    .map(row => row.map(escapeCsv).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// Properties as an XLSX workbook with a single sheet
+export async function toXlsx(properties) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Properties');
+  sheet.columns = COLUMNS.map(column => ({ header: column.header, key: column.header, width: Math.max(12, column.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  properties.forEach(property => sheet.addRow(toRow(property)));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Properties as a GeoJSON FeatureCollection of points; every field of the result is kept in the properties
+// Listings without coordinates have a null geometry, which GeoJSON allows and QGIS skips on the map
+export function toGeoJson(properties) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: properties.map(property => ({
+      type: 'Feature',
+      id: property.mlsNumber,
+      geometry: property.latitude !== null && property.longitude !== null
+        ? { type: 'Point', coordinates: [property.longitude, property.latitude] }
+        : null,
+      properties: property
+    }))
+  });
+}
+
+// Serialise properties in one of EXPORT_FORMATS; returns the body with its content type and file extension
+export async function exportProperties(properties, format) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const body = format === 'csv' ? toCsv(properties)
+    : format === 'xlsx' ? await toXlsx(properties)
+      : toGeoJson(properties);
+  return { body, contentType, extension };
+}
@@ -0,0 +1,122 @@
+import { explainRule, formatRuleLabel } from './bargainRules.js';
+import { parseSqft, scoreProperty } from './bargainScore.js';
+import { findPhraseSpans } from './phraseClassifier.js';
+import { calculateCosts } from './costCalculator.js';
+
+// Helper function to format address
+export function formatAddress(property) {
+  const addr = property.address;
+
+  const streetParts = [];
+  if (addr.streetNumber) streetParts.push(addr.streetNumber);
+  if (addr.streetName) streetParts.push(addr.streetName);
+  if (addr.streetSuffix) streetParts.push(addr.streetSuffix);
+  if (addr.unitNumber) streetParts.push(`Unit ${addr.unitNumber}`);
+
+  const streetAddress = streetParts.join(' ');
+
+  const addressParts = [];
+  if (streetAddress) addressParts.push(streetAddress);
+  if (addr.city) addressParts.push(addr.city);
+  if (addr.province) addressParts.push(addr.province);
+  if (addr.postalCode) addressParts.push(addr.postalCode);
+
+  return addressParts.join(', ') || 'Address not available';
+}
+
+// Helper function to get what the cost calculator needs from a listing
+// Toronto's municipal land transfer tax applies across the amalgamated city (area "Toronto")
+export function getCostInputs(property) {
+  const isToronto = [property.address.area, property.address.city].some(name => /^toronto\b/i.test(name || ''));
+  return {
+    price: property.listPrice || 0,
+    annualPropertyTax: property.taxes.annualAmount || 0,
+    monthlyCondoFees: property.maintenanceFee || 0,
+    toronto: isToronto
+  };
+}
+
+// Helper function to label a tag (a bargain rule ID) in one language of the rule config ('zh' or 'en')
+// Tags of rules no longer in the config keep their ID
+export function getTagLabel(id, values, rules, lang) {
+  const rule = rules.find(candidate => candidate.id === id);
+  return rule ? formatRuleLabel(rule, values || {}, lang) : id;
+}
+
+// Labels of a formatted listing's tags, for exports and alerts; the frontend translates tag IDs itself
+export function getTagLabels(property, rules, lang) {
+  return property.tags.map(id => getTagLabel(id, property.tagValues?.[id], rules, lang));
+}
+
+// Format a listing for the frontend
+// bargainMatches, fixer, nearbySchools, nearestStation and commute are attached by the search filters
+// Tags are the IDs of the bargain rules that fired, with the values that fill in their labels in tagValues
+export function formatProperty(property, comparablePricePerSqft, now, comps = null) {
+  const bargainMatches = property.bargainMatches || [];
+  const tags = bargainMatches.map(match => match.id);
+  return {
+    mlsNumber: property.mlsNumber,
+    address: formatAddress(property),
+    askingPrice: property.listPrice || 0,
+    propertyType: property.propertyType || 'Unknown',
+    city: property.address.city,
+    bedrooms: property.bedrooms,
+    bathrooms: property.bathrooms,
+    thumbnail: property.images[0] || '',
+    latitude: property.latitude,
+    longitude: property.longitude,
+    realtorCaLink: `https://www.realtor.ca/real-estate/${property.mlsNumber}`,
+    tags: tags,
+    tagValues: Object.fromEntries(bargainMatches.map(match => [match.id, match.values])),
+    ...scoreProperty(property, bargainMatches, comparablePricePerSqft, now),
+    // Value estimated from comparable sales nearby, and how far the asking price is below it
+    comps,
+    underMarketPercent: comps?.underMarketPercent ?? null,
+    // Estimated monthly cost with the calculator's default assumptions (20% down)
+    monthlyCost: property.listPrice > 0 ? calculateCosts(getCostInputs(property)).monthlyCosts.total : null,
+    ...(property.fixer && { fixer: property.fixer }),
+    ...(property.nearbySchools && { schools: property.nearbySchools }),
+    ...(property.nearestStation && { nearestStation: property.nearestStation }),
+    ...(property.commute && { commute: property.commute })
+  };
+}
+
+// Format the full detail of a single listing: the search fields plus rooms, size, lot, taxes, dates,
+// description and images, with the bargain tags that fired explained from their rules and the fixer and
+// estate-sale phrases found in the description (highlights are character ranges of it)
+// A single listing has no set of listings around it, so there is no comparable price per sqft
+export function formatPropertyDetail(property, { bargainMatches, rules, classifier, comps = null, now }) {
+  const description = property.description;
+  const fixer = classifier.classify(description, 'fixer');
+  const estate = classifier.classify(description, 'estate');
+  const highlights = [
+    ...findPhraseSpans(description, fixer.phrases).map(span => ({ ...span, category: 'fixer' })),
+    ...findPhraseSpans(description, estate.phrases).map(span => ({ ...span, category: 'estate' }))
+  ]
+    .filter((span, index, spans) => !spans.slice(0, index).some(other => span.start < other.end && span.end > other.start))
+    .sort((a, b) => a.start - b.start);
+
+  return {
+    ...formatProperty({ ...property, bargainMatches }, null, now, comps),
+    bargainMatches: bargainMatches.map(match => {
+      const rule = rules.find(candidate => candidate.id === match.id);
+      return { ...match, thresholds: rule.thresholds, explanation: explainRule(rule) };
+    }),
+    fixer: { confidence: fixer.confidence, phrases: fixer.phrases, isFixer: fixer.phrases.length > 0 && fixer.confidence >= classifier.getMinConfidence('fixer') },
+    estate: { confidence: estate.confidence, phrases: estate.phrases },
+    originalPrice: property.originalPrice,
+    listDate: property.listDate,
+    bedroomsPlus: property.bedroomsPlus,
+    bathroomsPlus: property.bathroomsPlus,
+    sqft: parseSqft(property),
+    sqftRange: property.sqft,
+    yearBuilt: property.yearBuilt,
+    style: property.style,
+    taxes: property.taxes,
+    maintenanceFee: property.maintenanceFee,
+    lot: property.lot,
+    description,
+    highlights,
+    images: property.images
+  };
+}
@@ -0,0 +1,36 @@
+// Helper function to calculate distance between two coordinates (Haversine formula)
+export function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = 
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; // Distance in km
+}
+
+// Helper function to calculate walking time in minutes (assuming 5 km/h walking speed unless another is given)
+export function calculateWalkingTime(distanceKm, walkingSpeedKmh = 5) {
+  return calculateTravelTime(distanceKm, walkingSpeedKmh);
+}
+
+// Helper function to calculate travel time in minutes over a distance at a speed in km/h
+export function calculateTravelTime(distanceKm, speedKmh) {
+  return (distanceKm / speedKmh) * 60; // Time in minutes
+}
+
+// Helper function to tell whether a point is inside a polygon of [latitude, longitude] vertices (ray casting)
+// Coordinates are treated as flat, which is close enough for areas the size of a city
+export function isPointInPolygon(latitude, longitude, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    const crosses = (latI > latitude) !== (latJ > latitude) &&
+      longitude < ((lonJ - lonI) * (latitude - latI)) / (latJ - latI) + lonI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
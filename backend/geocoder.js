@@ -0,0 +1,53 @@
+import { fetchWithRetry } from './providers/http.js';
+import { apiError } from './errors.js';
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+
+// Addresses kept in memory; the oldest is dropped past this
+const MAX_CACHED_ADDRESSES = 1000;
+
+// Geocoder for the addresses of the commute filter, using a Nominatim search API (OpenStreetMap's by default,
+// whose usage policy asks for an identifying User-Agent); searches are limited to Canada
+// Addresses do not move, so results (including addresses that were not found) are kept in memory
+// geocode(address) => { latitude, longitude, label } or null when the address is not found
+export function createGeocoder({ url = NOMINATIM_URL, userAgent, timeoutMs = 10000, retries = 1 } = {}) {
+  const results = new Map();
+
+  async function geocode(address) {
+    const key = address.trim().toLowerCase();
+    if (results.has(key)) return results.get(key);
+
+    const params = new URLSearchParams({ q: address, format: 'jsonv2', limit: '1', countrycodes: 'ca' });
+    const response = await fetchWithRetry(`${url}?${params.toString()}`, {
+      headers: { 'User-Agent': userAgent, Accept: 'application/json' }
+    }, { name: 'Geocoder', timeoutMs, retries });
+
+    if (!response.ok) {
+      console.error(`Geocoder error: ${response.status}`);
+      throw apiError('UPSTREAM_ERROR', `Geocoder returned ${response.status}`);
+    }
+
+    // Nominatim answers with a list of matches; anything else (an error object, a usage notice, HTML) is an
+    // error on its side rather than an address that was not found
+    const body = await response.json().catch(() => null);
+    if (!Array.isArray(body)) {
+      console.error('Geocoder error: unexpected response body');
+      throw apiError('UPSTREAM_ERROR', 'Geocoder returned an unexpected response');
+    }
+
+    const [match] = body;
+    const result = match
+      ? { latitude: Number(match.lat), longitude: Number(match.lon), label: match.display_name || address }
+      : null;
+
+    if (results.size >= MAX_CACHED_ADDRESSES) {
+      results.delete(results.keys().next().value);
+    }
+    results.set(key, result);
+    return result;
+  }
+
+  return {
+    geocode
+  };
+}
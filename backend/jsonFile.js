@@ -0,0 +1,38 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+
+// Read a JSON file, returning null when it does not exist
+export async function readJsonFile(filePath) {
+  if (!existsSync(filePath)) return null;
+  return JSON.parse(await readFile(filePath, 'utf8'));
+}
+
+// Create a writer that saves getData() to filePath at most once per second
+// Writes go through a temp file so a crash never leaves the file half-written
+export function createJsonFileWriter(filePath, getData) {
+  let saveTimer = null;
+
+  async function save() {
+    const tmpPath = `${filePath}.tmp`;
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(tmpPath, JSON.stringify({ savedAt: new Date().toISOString(), ...getData() }));
+    await rename(tmpPath, filePath);
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(async () => {
+      saveTimer = null;
+      try {
+        await save();
+      } catch (error) {
+        console.error(`Failed to write ${filePath}:`, error.message);
+      }
+    }, 1000);
+    saveTimer.unref();
+  }
+
+  return { scheduleSave };
+}
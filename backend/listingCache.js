@@ -0,0 +1,156 @@
+import { readJsonFile, createJsonFileWriter } from './jsonFile.js';
+
+// Listing cache keyed by the upstream query string
+// - Entries younger than ttlMs are served as-is ("fresh")
+// - Entries younger than ttlMs + staleMs are served immediately and refreshed in the background ("stale")
+// - Older entries are refetched before responding ("expired"); if that fails, the expired entry is served
+//   anyway ("fallback"), so searches keep working from the last good copy while the provider is down
+// Expired entries are kept as fallbacks for fallbackMs more and then dropped, and at most maxEntries are
+// kept, dropping the least recently used first, so every distinct query ever made does not stay in memory
+// When snapshotPath is set, entries are persisted to a JSON file and reloaded on startup
+export function createListingCache({ ttlMs, staleMs, fallbackMs = 24 * 60 * 60 * 1000, maxEntries = 500, snapshotPath = null }) {
+  // Kept in least recently used order: a used entry is moved to the end, so the first one goes first
+  const entries = new Map();
+  const inFlight = new Map();
+  const snapshotWriter = snapshotPath
+    ? createJsonFileWriter(snapshotPath, () => ({ entries: Object.fromEntries(entries) }))
+    : null;
+
+  function getState(entry, now = Date.now()) {
+    const age = now - entry.fetchedAt;
+    if (age < ttlMs) return 'fresh';
+    if (age < ttlMs + staleMs) return 'stale';
+    return 'expired';
+  }
+
+  // Helper function to drop the entries past their fallback window, then the least recently used ones
+  // beyond maxEntries; returns the number of entries dropped
+  function prune(now = Date.now()) {
+    const before = entries.size;
+    for (const [key, entry] of entries) {
+      if (now - entry.fetchedAt > ttlMs + staleMs + fallbackMs) entries.delete(key);
+    }
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries) break;
+      entries.delete(key);
+    }
+    return before - entries.size;
+  }
+
+  // Helper function to mark an entry as the most recently used
+  function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+  }
+
+  // Load the on-disk snapshot; entries past their stale window are kept as fallbacks and refetched on use
+  async function loadSnapshot() {
+    if (!snapshotPath) return;
+
+    try {
+      const snapshot = await readJsonFile(snapshotPath);
+      if (!snapshot) return;
+      for (const [key, entry] of Object.entries(snapshot.entries || {})) {
+        entries.set(key, entry);
+      }
+      prune();
+      console.log(`Loaded ${entries.size} cached queries from ${snapshotPath}`);
+    } catch (error) {
+      console.error(`Failed to load cache snapshot from ${snapshotPath}:`, error.message);
+    }
+  }
+
+  function scheduleSnapshot() {
+    snapshotWriter?.scheduleSave();
+  }
+
+  // Run the loader once per key even when several requests miss at the same time
+  function refresh(key, loader) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = loader()
+      .then(value => {
+        const entry = { value, fetchedAt: Date.now() };
+        touch(key, entry);
+        prune(entry.fetchedAt);
+        scheduleSnapshot();
+        return entry;
+      })
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  // Returns { value, fetchedAt, status } where status is 'hit', 'stale', 'miss' or 'fallback'
+  async function get(key, loader) {
+    const entry = entries.get(key);
+    const state = entry ? getState(entry) : 'expired';
+    if (entry) touch(key, entry);
+
+    if (state === 'fresh') {
+      return { ...entry, status: 'hit' };
+    }
+
+    if (state === 'stale') {
+      refresh(key, loader).catch(error => {
+        console.error(`Background refresh failed for ${key}:`, error.message);
+      });
+      return { ...entry, status: 'stale' };
+    }
+
+    try {
+      const fresh = await refresh(key, loader);
+      return { ...fresh, status: 'miss' };
+    } catch (error) {
+      if (!entry) throw error;
+      console.error(`Refresh failed for ${key}, serving the copy from ${new Date(entry.fetchedAt).toISOString()}:`, error.message);
+      return { ...entry, status: 'fallback' };
+    }
+  }
+
+  // Summaries of every cached query for the admin endpoint
+  function list() {
+    const now = Date.now();
+    return [...entries.entries()].map(([key, entry]) => ({
+      key,
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      ageSeconds: Math.round((now - entry.fetchedAt) / 1000),
+      state: getState(entry, now),
+      refreshing: inFlight.has(key),
+      listings: entry.value?.listings?.length ?? 0
+    }));
+  }
+
+  // Every cached entry ({ key, value, fetchedAt }) whatever its age, without refreshing any; for aggregates
+  // over what has already been fetched
+  function all() {
+    return [...entries.entries()].map(([key, entry]) => ({ key, ...entry }));
+  }
+
+  // Remove one key, or everything when no key is given; returns the number of entries removed
+  function flush(key) {
+    let removed;
+    if (key) {
+      removed = entries.delete(key) ? 1 : 0;
+    } else {
+      removed = entries.size;
+      entries.clear();
+    }
+    scheduleSnapshot();
+    return removed;
+  }
+
+  return {
+    ttlMs,
+    staleMs,
+    fallbackMs,
+    maxEntries,
+    snapshotPath,
+    loadSnapshot,
+    get,
+    list,
+    all,
+    flush
+  };
+}
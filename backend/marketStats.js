@@ -0,0 +1,88 @@
+import { getDaysOnMarket } from './bargainRules.js';
+import { median } from './bargainScore.js';
+
+// Ways to group listings for the market stats, each reading a listing's group name (null leaves it out)
+export const STATS_GROUPINGS = {
+  city: listing => listing.address.city,
+  neighbourhood: listing => listing.address.neighbourhood,
+  fsa: listing => getFsa(listing.address.postalCode)
+};
+
+// Forward sortation area: the first three characters of a Canadian postal code ("M2N" of "M2N 5N5")
+export function getFsa(postalCode) {
+  const match = String(postalCode || '').trim().toUpperCase().match(/^[A-Z]\d[A-Z]/);
+  return match ? match[0] : null;
+}
+
+// Helper function to turn a count into a percentage of a total, to one decimal
+function toPercent(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+// Helper function to summarise one group of listings
+// - inventory: number of listings
+// - medianListPrice, medianDaysOnMarket: null when no listing has the value
+// - tagPercents: share of the listings (0-100) each bargain tag fired for, for every tag in tagIds
+// - priceCutPercent: share of the listings with at least one price cut; averagePriceCuts: cuts per listing
+function summarizeGroup(name, entries, tagIds) {
+  const inventory = entries.length;
+  const prices = entries.map(entry => entry.listing.listPrice).filter(price => price > 0);
+  const days = entries.map(entry => entry.daysOnMarket).filter(value => value !== null);
+  const tagCounts = Object.fromEntries(tagIds.map(id => [id, 0]));
+  let cutListings = 0;
+  let cuts = 0;
+
+  for (const entry of entries) {
+    for (const tag of entry.tags) {
+      if (tag in tagCounts) tagCounts[tag]++;
+    }
+    if (entry.priceCuts > 0) cutListings++;
+    cuts += entry.priceCuts;
+  }
+
+  const medianListPrice = median(prices);
+  const medianDaysOnMarket = median(days);
+  return {
+    name,
+    inventory,
+    medianListPrice: medianListPrice === null ? null : Math.round(medianListPrice),
+    medianDaysOnMarket: medianDaysOnMarket === null ? null : Math.round(medianDaysOnMarket),
+    tagPercents: Object.fromEntries(Object.entries(tagCounts).map(([id, count]) => [id, toPercent(count, inventory)])),
+    priceCutPercent: toPercent(cutListings, inventory),
+    averagePriceCuts: inventory > 0 ? Math.round((cuts / inventory) * 100) / 100 : 0
+  };
+}
+
+// Aggregate listings into market stats per city, neighbourhood or FSA (see STATS_GROUPINGS)
+// getTags(listing) returns the IDs of the bargain rules that fire for a listing, getPriceCuts(listing) the
+// number of times its price was cut; tagIds lists the tags to report, so every group has the same ones
+// Groups with fewer than minListings listings are left out; they are sorted by inventory, largest first
+// Returns { overall, groups } where overall covers every listing, including those without a group name
+export function aggregateMarketStats(listings, { groupBy = 'city', tagIds, getTags, getPriceCuts, now, minListings = 1 }) {
+  const getGroupName = STATS_GROUPINGS[groupBy];
+  const entries = listings.map(listing => ({
+    listing,
+    // Listings with neither days on market nor a list date are left out of the median rather than counted as new
+    daysOnMarket: listing.daysOnMarket !== null || listing.listDate ? getDaysOnMarket(listing, now) : null,
+    tags: getTags(listing),
+    priceCuts: getPriceCuts(listing)
+  }));
+
+  const byGroup = new Map();
+  for (const entry of entries) {
+    const name = getGroupName(entry.listing);
+    if (!name) continue;
+    if (!byGroup.has(name)) byGroup.set(name, []);
+    byGroup.get(name).push(entry);
+  }
+
+  const groups = [...byGroup.entries()]
+    .filter(([, groupEntries]) => groupEntries.length >= minListings)
+    .map(([name, groupEntries]) => summarizeGroup(name, groupEntries, tagIds))
+    .sort((a, b) => b.inventory - a.inventory || a.name.localeCompare(b.name));
+
+  return {
+    overall: summarizeGroup(null, entries, tagIds),
+    groups
+  };
+}
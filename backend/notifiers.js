@@ -0,0 +1,125 @@
+import nodemailer from 'nodemailer';
+import { assertPublicWebhookUrl } from './webhookTargets.js';
+
+// Notifiers deliver saved-search alerts
+// Each notifier is { name, appliesTo(search), send(search, diff) }; add a channel by adding a notifier to the list
+
+// Email over SMTP to the saved search's notify.email, once the address has been confirmed
+// sendConfirmationCode mails the code that confirms it
+export function createEmailNotifier({ host, port, secure, user, pass, from }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'email',
+    appliesTo: search => !!search.notify.email && !!search.emailConfirmation?.confirmedAt,
+    async sendConfirmationCode(search, code) {
+      await transport.sendMail({
+        from,
+        to: search.notify.email,
+        subject: `Confirm alerts for "${search.name}"`,
+        text: [
+          `Your confirmation code is ${code}`,
+          '',
+          `Someone asked for listing alerts of the saved search "${search.name}" to be sent to this address.`,
+          'Enter the code next to the saved search to start receiving them. If this was not you, ignore this email.'
+        ].join('\n')
+      });
+    },
+    async send(search, diff) {
+      await transport.sendMail({
+        from,
+        to: search.notify.email,
+        subject: `[${search.name}] ${diff.added.length} new, ${diff.changed.length} changed listings`,
+        text: formatAlertText(search, diff)
+      });
+    }
+  };
+}
+
+// JSON POST to the saved search's notify.webhookUrl, or to defaultUrl for every search
+// A search's own URL is set by a user, so it must not lead to a private or local address; defaultUrl is the
+// operator's and may (e.g. a local alert relay)
+// Requests time out after timeoutMs, so an endpoint that never answers does not hold up the scheduler
+export function createWebhookNotifier({ defaultUrl = null, timeoutMs = 10000 } = {}) {
+  return {
+    name: 'webhook',
+    appliesTo: search => !!(search.notify.webhookUrl || defaultUrl),
+    async send(search, diff) {
+      if (search.notify.webhookUrl) await assertPublicWebhookUrl(search.notify.webhookUrl);
+      // Redirects are not followed, since they could lead past the address check
+      const response = await fetch(search.notify.webhookUrl || defaultUrl, {
+        method: 'POST',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          savedSearch: { id: search.id, name: search.name, query: search.query },
+          added: diff.added,
+          changed: diff.changed
+        })
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook responded ${response.status}`);
+      }
+    }
+  };
+}
+
+// Send an alert through every notifier that applies to the search
+// A failing channel does not stop the others; returns { sent: [names], failed: [{ name, error }] }
+export async function sendAlert(notifiers, search, diff) {
+  const sent = [];
+  const failed = [];
+
+  for (const notifier of notifiers) {
+    if (!notifier.appliesTo(search)) continue;
+    try {
+      await notifier.send(search, diff);
+      sent.push(notifier.name);
+    } catch (error) {
+      console.error(`Failed to send ${notifier.name} alert for saved search "${search.name}":`, error.message);
+      failed.push({ name: notifier.name, error: error.message });
+    }
+  }
+
+  return { sent, failed };
+}
+
+// Helper function to format the plain-text alert body
+function formatAlertText(search, diff) {
+  const formatPrice = price => (price ? `$${price.toLocaleString('en-CA')}` : 'price not public');
+  const lines = [];
+
+  if (diff.added.length > 0) {
+    lines.push(`New listings (${diff.added.length}):`);
+    for (const property of diff.added) {
+      lines.push(`- ${property.address}, ${formatPrice(property.askingPrice)} [${(property.tagLabels || property.tags).join(', ')}]`);
+      lines.push(`  ${property.realtorCaLink}`);
+    }
+    lines.push('');
+  }
+
+  if (diff.changed.length > 0) {
+    lines.push(`Changed listings (${diff.changed.length}):`);
+    for (const property of diff.changed) {
+      const changes = [];
+      if (property.changes.askingPrice) {
+        changes.push(`price ${formatPrice(property.changes.askingPrice.from)} -> ${formatPrice(property.changes.askingPrice.to)}`);
+      }
+      const tagChanges = property.changes.tagLabels || property.changes.tags;
+      if (tagChanges?.added.length) changes.push(`new tags: ${tagChanges.added.join(', ')}`);
+      if (tagChanges?.removed.length) changes.push(`removed tags: ${tagChanges.removed.join(', ')}`);
+      lines.push(`- ${property.address}: ${changes.join('; ')}`);
+      lines.push(`  ${property.realtorCaLink}`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`Saved search: ${search.name}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,133 @@
+import { readFile } from 'fs/promises';
+
+// Helper function to normalise text for matching: lower case, no apostrophes, hyphens and slashes as spaces
+// "As-Is", "as is" and "AS IS" all become "as is"; "Contractor's" becomes "contractors"
+// Commas and similar clause breaks become "|" so a negation does not reach past them
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/['’‘`]/g, '')
+    .replace(/[-/_]+/g, ' ')
+    .replace(/[,:()]+/g, ' | ')
+    .replace(/[^a-z0-9|\s]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to compile a phrase into a whole-word regular expression
+function phrasePattern(phrase) {
+  const words = normalize(phrase).split(' ').map(escapeRegExp);
+  return new RegExp(`\\b${words.join('[\\s|]+')}\\b`, 'g');
+}
+
+// Keyword/phrase classifier for listing descriptions
+// Each category has weighted phrases (0-1); the confidence is the chance that at least one matched
+// phrase is right, 1 - (1 - w1)(1 - w2)..., so more and stronger phrases give a higher confidence
+// Phrases preceded by a negation ("not sold as is") within negationWindow words of the same clause are ignored
+export function createPhraseClassifier(config) {
+  const negations = new Set((config.negations || []).map(normalize));
+  const negationWindow = config.negationWindow ?? 3;
+
+  const categories = {};
+  for (const [name, category] of Object.entries(config.categories || {})) {
+    categories[name] = {
+      minConfidence: category.minConfidence ?? 0.5,
+      ignore: (category.ignore || []).map(phrasePattern),
+      phrases: Object.entries(category.phrases || {})
+        .map(([phrase, weight]) => ({ phrase, weight, pattern: phrasePattern(phrase) }))
+        // Longer phrases first so "handyman special" wins over "handyman" for the same words
+        .sort((a, b) => b.phrase.length - a.phrase.length)
+    };
+  }
+
+  function isNegated(sentence, matchIndex) {
+    const clause = sentence.slice(0, matchIndex).split('|').pop();
+    const preceding = clause.split(' ').filter(Boolean).slice(-negationWindow);
+    return preceding.some(word => negations.has(word));
+  }
+
+  // Returns { confidence, phrases, negatedPhrases } for one category
+  function classify(text, categoryName) {
+    const category = categories[categoryName];
+    if (!category) throw new Error(`Unknown phrase category "${categoryName}"`);
+
+    const matched = new Map();
+    const negated = new Set();
+
+    // Phrases never span sentences; "real estate" and other ignored phrases are blanked out first
+    const sentences = String(text || '').split(/[.!?;\n]+/).map(normalize).filter(Boolean);
+    for (let sentence of sentences) {
+      for (const pattern of category.ignore) {
+        sentence = sentence.replace(pattern, match => ' '.repeat(match.length));
+      }
+
+      const taken = [];
+      for (const { phrase, weight, pattern } of category.phrases) {
+        for (const match of sentence.matchAll(pattern)) {
+          const start = match.index;
+          const end = start + match[0].length;
+          if (taken.some(span => start < span.end && end > span.start)) continue;
+          taken.push({ start, end });
+
+          if (isNegated(sentence, start)) {
+            negated.add(phrase);
+          } else {
+            matched.set(phrase, weight);
+          }
+        }
+      }
+    }
+
+    const missProbability = [...matched.values()].reduce((product, weight) => product * (1 - weight), 1);
+    return {
+      confidence: Math.round((1 - missProbability) * 100) / 100,
+      phrases: [...matched.keys()],
+      negatedPhrases: [...negated].filter(phrase => !matched.has(phrase))
+    };
+  }
+
+  function getMinConfidence(categoryName) {
+    return categories[categoryName]?.minConfidence ?? 0.5;
+  }
+
+  return {
+    classify,
+    getMinConfidence
+  };
+}
+
+// Find where phrases occur in the original text, for highlighting
+// Matching is as loose as the classifier's: any case, optional apostrophes, and hyphens, slashes or
+// punctuation between words; returns [{ start, end, phrase }] sorted by position, without overlaps
+export function findPhraseSpans(text, phrases) {
+  text = String(text || '');
+  const spans = [];
+
+  // Longer phrases first so they win over the shorter phrases inside them
+  for (const phrase of [...phrases].sort((a, b) => b.length - a.length)) {
+    const words = normalize(phrase).split(' ').filter(word => word !== '|');
+    const pattern = new RegExp(
+      `\\b${words.map(word => [...word].map(escapeRegExp).join("['’‘`]?")).join('[\\s\\-/_,:()]+')}\\b`,
+      'gi'
+    );
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (spans.some(span => start < span.end && end > span.start)) continue;
+      spans.push({ start, end, phrase });
+    }
+  }
+
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+// Load the phrase lists from a JSON config file
+export async function loadPhraseClassifier(filePath) {
+  const config = JSON.parse(await readFile(filePath, 'utf8'));
+  console.log(`Loaded phrase lists (${Object.keys(config.categories || {}).join(', ')}) from ${filePath}`);
+  return createPhraseClassifier(config);
+}
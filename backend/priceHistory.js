@@ -0,0 +1,92 @@
+import { readJsonFile, createJsonFileWriter } from './jsonFile.js';
+
+// Price history store keyed by MLS number
+// Every time listings are fetched from upstream their list prices are recorded; a new observation is
+// only added when the price changes, so each entry is the sequence of distinct asking prices over time
+// Entries are { originalPrice, observations: [{ price, observedAt }] }
+export function createPriceHistoryStore({ filePath }) {
+  const histories = new Map();
+  const { scheduleSave } = createJsonFileWriter(filePath, () => ({ listings: Object.fromEntries(histories) }));
+
+  async function load() {
+    try {
+      const saved = await readJsonFile(filePath);
+      if (!saved) return;
+      for (const [mlsNumber, entry] of Object.entries(saved.listings || {})) {
+        histories.set(mlsNumber, entry);
+      }
+      console.log(`Loaded price history for ${histories.size} listings from ${filePath}`);
+    } catch (error) {
+      console.error(`Failed to load price history from ${filePath}:`, error.message);
+    }
+  }
+
+  // Record the current list price of each listing; returns the number of new observations
+  function record(listings, observedAt = new Date()) {
+    let added = 0;
+
+    for (const listing of listings) {
+      const { mlsNumber, listPrice: price } = listing;
+      if (!mlsNumber || !price) continue;
+
+      const entry = histories.get(mlsNumber) || { originalPrice: null, observations: [] };
+      const last = entry.observations[entry.observations.length - 1];
+      if (listing.originalPrice && entry.originalPrice !== listing.originalPrice) {
+        entry.originalPrice = listing.originalPrice;
+        histories.set(mlsNumber, entry);
+        scheduleSave();
+      }
+      if (last && last.price === price) continue;
+
+      entry.observations.push({ price, observedAt: observedAt.toISOString() });
+      histories.set(mlsNumber, entry);
+      added++;
+    }
+
+    if (added > 0) scheduleSave();
+    return added;
+  }
+
+  function get(mlsNumber) {
+    return histories.get(mlsNumber) || null;
+  }
+
+  // Just the observations, for callers that only need the price sequence
+  function getObservations(mlsNumber) {
+    return histories.get(mlsNumber)?.observations || [];
+  }
+
+  return {
+    filePath,
+    load,
+    record,
+    get,
+    getObservations
+  };
+}
+
+// Summarise a listing's price changes from its recorded observations and its original list price
+// - reductions: number of times the asking price went down
+// - dropPercent: drop from the first asking price to the current one (0 when it has not dropped)
+export function getPriceChangeStats(property, observations) {
+  const currentPrice = property.listPrice || 0;
+
+  let reductions = 0;
+  for (let i = 1; i < observations.length; i++) {
+    if (observations[i].price < observations[i - 1].price) reductions++;
+  }
+
+  // The original list price covers drops that happened before we started observing the listing
+  const firstObservedPrice = observations[0]?.price;
+  const initialPrice = property.originalPrice || firstObservedPrice || currentPrice;
+  const earliestKnownPrice = firstObservedPrice || currentPrice;
+  if (property.originalPrice && earliestKnownPrice && earliestKnownPrice < property.originalPrice) {
+    reductions++;
+  }
+
+  const dropPercent = initialPrice && currentPrice && currentPrice < initialPrice
+    ? Math.round(((initialPrice - currentPrice) / initialPrice) * 1000) / 10
+    : 0;
+
+  return { initialPrice, currentPrice, reductions, dropPercent };
+}
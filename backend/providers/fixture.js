@@ -0,0 +1,48 @@
+import { readJsonFile } from '../jsonFile.js';
+import { matchesCriteria, withListingDefaults } from './listingSchema.js';
+
+// Listing provider backed by a local JSON file, for offline development and tests
+// The file holds { listings: [...], soldListings: [...] } in the listing schema (see listingSchema.js);
+// listings may leave fields out. It is read on first use and kept in memory; searches filter it like the
+// upstream API would
+export function createFixtureProvider({ filePath }) {
+  let data = null;
+
+  async function load() {
+    if (data) return data;
+    const saved = await readJsonFile(filePath);
+    if (!saved) {
+      throw new Error(`Listing fixture not found: ${filePath}`);
+    }
+    data = {
+      listings: (saved.listings || []).map(withListingDefaults),
+      soldListings: (saved.soldListings || []).map(withListingDefaults)
+    };
+    console.log(`Loaded ${data.listings.length} listings and ${data.soldListings.length} sold listings from ${filePath}`);
+    return data;
+  }
+
+  return {
+    name: 'fixture',
+    configError: null,
+
+    async searchListings(criteria) {
+      const { listings } = await load();
+      const matches = listings.filter(listing => matchesCriteria(listing, criteria));
+      return { listings: matches, upstreamTotal: matches.length, pagesFetched: 1 };
+    },
+
+    async searchSoldListings(criteria, { since }) {
+      const { soldListings } = await load();
+      return {
+        listings: soldListings.filter(listing => matchesCriteria(listing, criteria) &&
+          (!listing.soldDate || new Date(listing.soldDate) >= since))
+      };
+    },
+
+    async getListing(mlsNumber) {
+      const { listings, soldListings } = await load();
+      return [...listings, ...soldListings].find(listing => listing.mlsNumber === mlsNumber) || null;
+    }
+  };
+}
@@ -0,0 +1,54 @@
+import { apiError } from '../errors.js';
+
+// Statuses worth retrying: the provider throttling us, or failing in a way that may clear up
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Error codes that mean the provider is down or overloaded, as opposed to rejecting the request itself
+export const UPSTREAM_OUTAGE_CODES = new Set(['UPSTREAM_UNAVAILABLE', 'UPSTREAM_RATE_LIMITED', 'UPSTREAM_TIMEOUT']);
+
+const sleep = ms => new Promise(resolvePromise => setTimeout(resolvePromise, ms));
+
+// Helper function to read a Retry-After header (seconds, or an HTTP date) as milliseconds; null when absent
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Fetch from a listing provider with a timeout per attempt and retries for 429/5xx and network errors
+// Retries back off exponentially from baseDelayMs (with jitter), or wait as long as Retry-After asks;
+// when Retry-After asks for longer than maxDelayMs we give up at once and pass the wait on to the client
+// Returns the response for any other status (including 404) and throws an apiError when retries run out
+// A retries value that is not a non-negative number falls back to 2, so a bad setting cannot retry forever
+export async function fetchWithRetry(url, options, { name, timeoutMs = 10000, retries = 2, baseDelayMs = 500, maxDelayMs = 10000 }) {
+  const maxRetries = Number.isFinite(retries) && retries >= 0 ? Math.floor(retries) : 2;
+  for (let attempt = 0; ; attempt++) {
+    let failure;
+    let retryAfterMs = null;
+
+    try {
+      const response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+      if (!RETRYABLE_STATUSES.has(response.status)) return response;
+
+      retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+      const errorText = await response.text().catch(() => '');
+      failure = response.status === 429
+        ? apiError('UPSTREAM_RATE_LIMITED', `${name} rate limit reached`, { retryAfterMs })
+        : apiError('UPSTREAM_UNAVAILABLE', `${name} returned ${response.status}`, { retryAfterMs });
+      console.error(`${name} error: ${response.status} - ${errorText.slice(0, 200)}`);
+    } catch (error) {
+      failure = error.name === 'TimeoutError'
+        ? apiError('UPSTREAM_TIMEOUT', `${name} did not respond within ${timeoutMs / 1000}s`)
+        : apiError('UPSTREAM_UNAVAILABLE', `${name} could not be reached`);
+      console.error(`${name} request failed:`, error.message);
+    }
+
+    const delayMs = retryAfterMs ?? Math.min(maxDelayMs, baseDelayMs * 2 ** attempt * (1 + Math.random()));
+    if (attempt >= maxRetries || delayMs > maxDelayMs) {
+      throw failure;
+    }
+    console.log(`Retrying ${name} in ${Math.round(delayMs)}ms (attempt ${attempt + 2} of ${maxRetries + 1})`);
+    await sleep(delayMs);
+  }
+}
@@ -0,0 +1,77 @@
+import { createRepliersProvider } from './repliers.js';
+import { createFixtureProvider } from './fixture.js';
+import { UPSTREAM_OUTAGE_CODES } from './http.js';
+
+// Listing providers: where listings come from
+//
+// A provider is an object with:
+// - name: used in cache keys and logs
+// - configError: null, or why the provider cannot be used (e.g. a missing API key)
+// - searchListings(criteria) => { listings, upstreamTotal, pagesFetched }: active listings matching the criteria
+// - searchSoldListings(criteria, { since }) => { listings }: listings sold since the given date
+// - getListing(mlsNumber) => listing, or null when the provider does not know it
+//
+// criteria come from parseSearchCriteria, and every listing a provider returns follows the normalised
+// schema documented in listingSchema.js
+
+export const LISTING_PROVIDERS = ['repliers', 'fixture'];
+
+// Create the provider selected by name, with its settings
+export function createListingProvider(name, settings) {
+  switch (name) {
+    case 'repliers':
+      return createRepliersProvider(settings.repliers);
+    case 'fixture':
+      return createFixtureProvider(settings.fixture);
+    default:
+      throw new Error(`Unknown listing provider "${name}": expected one of ${LISTING_PROVIDERS.join(', ')}`);
+  }
+}
+
+// Route a provider's calls through a circuit breaker (see circuitBreaker.js)
+// Only outages (timeouts, 5xx, rate limiting) count towards opening it
+export function withCircuitBreaker(provider, breaker) {
+  return {
+    ...provider,
+    searchListings: criteria => breaker.run(() => provider.searchListings(criteria)),
+    searchSoldListings: (criteria, options) => breaker.run(() => provider.searchSoldListings(criteria, options)),
+    getListing: mlsNumber => breaker.run(() => provider.getListing(mlsNumber))
+  };
+}
+
+// Whether an error from a provider means it is down, for the circuit breaker's isFailure
+export function isProviderOutage(error) {
+  return UPSTREAM_OUTAGE_CODES.has(error.code);
+}
+
+// Read the listing search criteria from /api/properties query parameters
+// Supported: city, propertyType (both may be repeated), minPrice, maxPrice, minBedrooms, maxBedrooms, minBathrooms,
+// maxBathrooms, bbox (west,south,east,north)
+// Throws on invalid values
+export function parseSearchCriteria(query) {
+  const criteria = {
+    city: [].concat(query.city ?? []).filter(Boolean).map(String),
+    propertyType: [].concat(query.propertyType ?? []).filter(Boolean).map(String)
+  };
+
+  for (const key of ['minPrice', 'maxPrice', 'minBedrooms', 'maxBedrooms', 'minBathrooms', 'maxBathrooms']) {
+    criteria[key] = null;
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${key}: expected a non-negative number`);
+    }
+    criteria[key] = value;
+  }
+
+  criteria.bbox = null;
+  if (query.bbox) {
+    const coords = String(query.bbox).split(',').map(Number);
+    if (coords.length !== 4 || coords.some(coord => !Number.isFinite(coord))) {
+      throw new Error('Invalid bbox: expected "west,south,east,north"');
+    }
+    criteria.bbox = coords;
+  }
+
+  return criteria;
+}
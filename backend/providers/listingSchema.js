@@ -0,0 +1,96 @@
+// Normalised listing schema
+//
+// Every listing a provider returns is normalised to this shape, which is what the search filters, bargain
+// rules, scores and formatters read; fields a source does not have are null (or empty for lists and the description)
+//
+// {
+//   mlsNumber: string,
+//   listPrice, originalPrice: number | null,
+//   listDate: ISO date string | null,
+//   daysOnMarket: number | null,
+//   soldPrice: number | null, soldDate: ISO date string | null (sold listings only),
+//   propertyType, style: string | null,
+//   bedrooms, bedroomsPlus, bathrooms, bathroomsPlus: number | null,
+//   sqft: number | string | null (as listed; ranges like "1500-2000" are read by parseSqft),
+//   yearBuilt: string | null (may be a range like "6-15"),
+//   description: string,
+//   address: { unitNumber, streetNumber, streetName, streetSuffix, city, area, neighbourhood, province, postalCode: string | null },
+//   latitude, longitude: number | null,
+//   images: string[],
+//   taxes: { annualAmount: number | null, year: number | null },
+//   maintenanceFee: number | null (monthly),
+//   lot: { width, depth, acres: number | null, measurement: string | null } | null,
+//   dates: { terminated, possession, conditionalExpiry, closed: ISO date string | null },
+//   history: [{ mlsNumber, soldPrice, soldDate }] (previous listings of the same property)
+// }
+
+// Fill in the fields a partial listing leaves out (null, or empty for lists and the description)
+// Lets hand-written fixtures list only the fields they care about
+export function withListingDefaults(listing) {
+  return {
+    mlsNumber: '',
+    listPrice: null,
+    originalPrice: null,
+    listDate: null,
+    daysOnMarket: null,
+    soldPrice: null,
+    soldDate: null,
+    propertyType: null,
+    style: null,
+    bedrooms: null,
+    bedroomsPlus: null,
+    bathrooms: null,
+    bathroomsPlus: null,
+    sqft: null,
+    yearBuilt: null,
+    description: '',
+    latitude: null,
+    longitude: null,
+    images: [],
+    maintenanceFee: null,
+    lot: null,
+    history: [],
+    ...listing,
+    address: {
+      unitNumber: null,
+      streetNumber: null,
+      streetName: null,
+      streetSuffix: null,
+      city: null,
+      area: null,
+      neighbourhood: null,
+      province: null,
+      postalCode: null,
+      ...listing.address
+    },
+    taxes: { annualAmount: null, year: null, ...listing.taxes },
+    dates: { terminated: null, possession: null, conditionalExpiry: null, closed: null, ...listing.dates }
+  };
+}
+
+// Tell whether a normalised listing matches the search criteria, for providers that filter themselves
+export function matchesCriteria(listing, criteria) {
+  const sameText = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+  if (criteria.city.length > 0 && !criteria.city.some(city => sameText(city, listing.address.city))) return false;
+  if (criteria.propertyType.length > 0 && !criteria.propertyType.some(type => sameText(type, listing.propertyType))) return false;
+  if (criteria.minPrice !== null && !(listing.listPrice >= criteria.minPrice)) return false;
+  if (criteria.maxPrice !== null && !(listing.listPrice <= criteria.maxPrice)) return false;
+  if (criteria.minBedrooms !== null && !(listing.bedrooms >= criteria.minBedrooms)) return false;
+  if (criteria.maxBedrooms !== null && !(listing.bedrooms <= criteria.maxBedrooms)) return false;
+  if (criteria.minBathrooms !== null && !(listing.bathrooms >= criteria.minBathrooms)) return false;
+  if (criteria.maxBathrooms !== null && !(listing.bathrooms <= criteria.maxBathrooms)) return false;
+  if (criteria.bbox) {
+    const [west, south, east, north] = criteria.bbox;
+    if (listing.latitude === null || listing.longitude === null) return false;
+    if (listing.longitude < west || listing.longitude > east || listing.latitude < south || listing.latitude > north) return false;
+  }
+  return true;
+}
+
+// Helper function for adapters to read a number that may be sent as a string; null when missing
+export function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
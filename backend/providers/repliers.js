@@ -0,0 +1,177 @@
+import { toNumber } from './listingSchema.js';
+import { fetchWithRetry } from './http.js';
+import { apiError } from '../errors.js';
+
+const REPLIERS_API_URL = 'https://api.repliers.io';
+
+// Normalise a Repliers listing to the listing schema (see listingSchema.js)
+export function normalizeRepliersListing(raw) {
+  const details = raw.details || {};
+  const address = raw.address || {};
+  const timestamps = raw.timestamps || {};
+  const lot = raw.lot || {};
+
+  return {
+    mlsNumber: raw.mlsNumber || '',
+    listPrice: toNumber(raw.listPrice),
+    originalPrice: toNumber(raw.originalPrice),
+    listDate: raw.listDate || null,
+    daysOnMarket: toNumber(raw.simpleDaysOnMarket),
+    soldPrice: toNumber(raw.soldPrice),
+    soldDate: raw.soldDate || null,
+    propertyType: details.propertyType || null,
+    style: details.style || null,
+    bedrooms: toNumber(details.numBedrooms),
+    bedroomsPlus: toNumber(details.numBedroomsPlus),
+    bathrooms: toNumber(details.numBathrooms),
+    bathroomsPlus: toNumber(details.numBathroomsPlus),
+    sqft: details.sqft || null,
+    yearBuilt: details.yearBuilt || null,
+    description: details.description || '',
+    address: {
+      unitNumber: address.unitNumber || null,
+      streetNumber: address.streetNumber || null,
+      streetName: address.streetName || null,
+      streetSuffix: address.streetSuffix || null,
+      city: address.city || null,
+      area: address.area || null,
+      neighbourhood: address.neighborhood || null,
+      province: address.state || null,
+      postalCode: address.zip || null
+    },
+    // Repliers may send coordinates as strings
+    latitude: toNumber(raw.map?.latitude),
+    longitude: toNumber(raw.map?.longitude),
+    images: raw.images || [],
+    taxes: {
+      annualAmount: toNumber(raw.taxes?.annualAmount),
+      year: toNumber(raw.taxes?.assessmentYear)
+    },
+    maintenanceFee: toNumber(raw.condominium?.fees?.maintenance),
+    lot: lot.width || lot.depth || lot.acres
+      ? {
+        width: toNumber(lot.width),
+        depth: toNumber(lot.depth),
+        acres: toNumber(lot.acres),
+        measurement: lot.measurement || null
+      }
+      : null,
+    dates: {
+      terminated: timestamps.terminatedDate || null,
+      possession: timestamps.possessionDate || null,
+      conditionalExpiry: timestamps.conditionalExpiryDate || null,
+      closed: timestamps.closedDate || null
+    },
+    history: (raw.history || []).map(entry => ({
+      mlsNumber: entry.mlsNumber || null,
+      soldPrice: toNumber(entry.soldPrice),
+      soldDate: entry.soldDate || null
+    }))
+  };
+}
+
+// Build the Repliers query string for search criteria (see parseSearchCriteria)
+export function buildRepliersParams(criteria, pageSize) {
+  // Note: Status must be 'A' (Active) or 'U' (Unknown) according to API
+  const params = new URLSearchParams({ province: 'ON', status: 'A' });
+
+  criteria.city.forEach(city => params.append('city', city));
+  criteria.propertyType.forEach(type => params.append('propertyType', type));
+  for (const key of ['minPrice', 'maxPrice', 'minBedrooms', 'maxBedrooms']) {
+    if (criteria[key] !== null) params.set(key, String(criteria[key]));
+  }
+  // Repliers calls bathrooms "baths"
+  if (criteria.minBathrooms !== null) params.set('minBaths', String(criteria.minBathrooms));
+  if (criteria.maxBathrooms !== null) params.set('maxBaths', String(criteria.maxBathrooms));
+
+  if (criteria.bbox) {
+    const [west, south, east, north] = criteria.bbox;
+    // Repliers accepts a polygon of [longitude, latitude] pairs
+    params.set('map', JSON.stringify([[[west, south], [east, south], [east, north], [west, north], [west, south]]]));
+  }
+
+  params.set('resultsPerPage', String(pageSize));
+  return params;
+}
+
+// Listing provider backed by the Repliers API
+// Searches follow pagination up to maxPages of pageSize listings each
+// Requests time out after timeoutMs and are retried up to retries times on 429/5xx (see fetchWithRetry)
+// baseUrl points the provider at another host serving the same API (tests use a local stub server)
+export function createRepliersProvider({
+  apiKey,
+  baseUrl = REPLIERS_API_URL,
+  pageSize = 100,
+  maxPages = 5,
+  timeoutMs = 10000,
+  retries = 2,
+  retryDelayMs = 500
+}) {
+  // Helper function to call the Repliers listings API; null on 404
+  async function request(path, params = null) {
+    const response = await fetchWithRetry(`${baseUrl}/listings${path}${params ? `?${params.toString()}` : ''}`, {
+      method: 'GET',
+      headers: {
+        'REPLIERS-API-KEY': apiKey,
+        'Content-Type': 'application/json'
+      }
+    }, { name: 'Repliers API', timeoutMs, retries, baseDelayMs: retryDelayMs });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Repliers API error: ${response.status} - ${errorText}`);
+      throw apiError('UPSTREAM_ERROR', `Repliers API returned ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Helper function to fetch every page of a search
+  async function fetchPages(params) {
+    const listings = [];
+    let upstreamTotal = 0;
+    let numPages = 1;
+    let pageNum = 1;
+    let pagesFetched = 0;
+
+    while (pageNum <= numPages && pageNum <= maxPages) {
+      params.set('pageNum', String(pageNum));
+      const data = await request('', params);
+      pagesFetched++;
+
+      const pageListings = data?.listings || [];
+      listings.push(...pageListings.map(normalizeRepliersListing));
+
+      upstreamTotal = data?.count ?? listings.length;
+      numPages = data?.numPages || 1;
+      if (pageListings.length === 0) break;
+      pageNum++;
+    }
+
+    return { listings, upstreamTotal, pagesFetched };
+  }
+
+  return {
+    name: 'repliers',
+    configError: apiKey ? null : 'Repliers API key not configured. Please set REPLIERS_API_KEY in .env file',
+
+    searchListings(criteria) {
+      return fetchPages(buildRepliersParams(criteria, pageSize));
+    },
+
+    // Sold listings are "unavailable" with a last status of sold; price criteria are left to the caller
+    async searchSoldListings(criteria, { since }) {
+      const params = buildRepliersParams(criteria, pageSize);
+      params.set('status', 'U');
+      params.set('lastStatus', 'Sld');
+      params.set('minSoldDate', since.toISOString().slice(0, 10));
+      const { listings } = await fetchPages(params);
+      return { listings };
+    },
+
+    async getListing(mlsNumber) {
+      const listing = await request(`/${encodeURIComponent(mlsNumber)}`);
+      return listing ? normalizeRepliersListing(listing) : null;
+    }
+  };
+}
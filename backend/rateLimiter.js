@@ -0,0 +1,41 @@
+// Fixed-window rate limiter: each client (by key, e.g. IP address) may make max requests per windowMs
+// Windows are kept in memory; expired ones are swept at most once per window
+export function createRateLimiter({ windowMs, max, now = Date.now }) {
+  const windows = new Map();
+  let lastSweep = now();
+
+  function sweep(time) {
+    if (time - lastSweep < windowMs) return;
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) windows.delete(key);
+    }
+    lastSweep = time;
+  }
+
+  // Count a request from a client
+  // Returns { allowed, limit, remaining, resetAt } where resetAt is when the window starts over (ms)
+  function hit(key) {
+    const time = now();
+    sweep(time);
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= time) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    return {
+      allowed: window.count <= max,
+      limit: max,
+      remaining: Math.max(0, max - window.count),
+      resetAt: window.resetAt
+    };
+  }
+
+  return {
+    windowMs,
+    max,
+    hit
+  };
+}
@@ -0,0 +1,301 @@
+import { randomInt, randomUUID } from 'crypto';
+import { readJsonFile, createJsonFileWriter } from './jsonFile.js';
+import { checkWebhookUrl } from './webhookTargets.js';
+import { apiError } from './errors.js';
+
+const DEFAULT_FREQUENCY_MINUTES = 24 * 60;
+// Wrong confirmation codes allowed before a code stops working and a new one has to be sent
+const MAX_CODE_ATTEMPTS = 5;
+
+// Query parameters of /api/properties that a saved search may keep, plus the frontend's tag filter;
+// anything else is dropped
+const SAVED_QUERY_KEYS = [
+  'type', 'combine', 'sort', 'order', 'rules', 'thresholds',
+  'city', 'propertyType', 'minPrice', 'maxPrice', 'minBedrooms', 'maxBedrooms', 'minBathrooms', 'maxBathrooms', 'bbox',
+  'minFixerConfidence', 'minRating', 'radiusKm', 'maxWalkMinutes', 'tag', 'minDaysOnMarket', 'maxDaysOnMarket', 'filter',
+  'polygon', 'near', 'withinMinutes', 'travelMode'
+];
+
+// Saved search store
+// Each saved search is { id, userId, name, query, notify: { email, webhookUrl }, frequencyMinutes,
+// emailConfirmation, createdAt, lastRunAt, lastRunStatus, lastRunError, lastResults } where lastResults maps
+// mlsNumber => { askingPrice, tags } from the previous run, so the next run can tell which listings are new
+// or have changed; lastRunStatus is ok, undelivered (no alert channel worked) or failed (the run threw)
+// Every run queries the listing provider and may send alerts, so searches run at most every
+// minFrequencyMinutes and each user may keep maxPerUser of them
+// validateQuery checks a search's query as the search itself would, throwing on invalid values
+// Alerts only go to an email address once it is confirmed with a code mailed to it, so a user cannot have
+// alerts sent to someone else; emailConfirmation is { code, attempts, confirmedAt }, or null without an email,
+// and each user is sent at most one code every codeIntervalMinutes
+export function createSavedSearchStore({
+  filePath,
+  minFrequencyMinutes = 60,
+  maxPerUser = 20,
+  codeIntervalMinutes = 5,
+  validateQuery = () => {}
+}) {
+  const searches = new Map();
+  // When each user was last sent a confirmation code
+  const codesSentAt = new Map();
+  const { scheduleSave } = createJsonFileWriter(filePath, () => ({ searches: [...searches.values()] }));
+
+  async function load() {
+    try {
+      const saved = await readJsonFile(filePath);
+      if (!saved) return;
+      for (const search of saved.searches || []) {
+        searches.set(search.id, search);
+      }
+      console.log(`Loaded ${searches.size} saved searches from ${filePath}`);
+    } catch (error) {
+      console.error(`Failed to load saved searches from ${filePath}:`, error.message);
+    }
+  }
+
+  function list() {
+    return [...searches.values()];
+  }
+
+  // Saved searches owned by a user; searches saved without an account have a null userId and belong to nobody
+  function listForUser(userId) {
+    if (!userId) return [];
+    return list().filter(search => search.userId === userId);
+  }
+
+  function get(id) {
+    return searches.get(id) || null;
+  }
+
+  // Create a saved search from a request body; throws on invalid input
+  function create(input, userId = null) {
+    const fields = validateSavedSearch(input, { minFrequencyMinutes, validateQuery });
+    if (listForUser(userId).length >= maxPerUser) {
+      throw apiError('SAVED_SEARCH_LIMIT', `Saved search limit reached: at most ${maxPerUser} per user`, {
+        details: { max: maxPerUser }
+      });
+    }
+    const search = {
+      id: randomUUID(),
+      userId,
+      ...fields,
+      emailConfirmation: getEmailConfirmation(null, fields.notify.email, userId),
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      lastRunStatus: null,
+      lastRunError: null,
+      lastResults: null
+    };
+    searches.set(search.id, search);
+    scheduleSave();
+    return search;
+  }
+
+  // Update the name, query, notify settings or frequency of a saved search; returns null when not found
+  function update(id, input) {
+    const search = searches.get(id);
+    if (!search) return null;
+
+    const updated = { ...search, ...validateSavedSearch({ ...search, ...input }, { minFrequencyMinutes, validateQuery }) };
+    updated.emailConfirmation = getEmailConfirmation(search, updated.notify.email, search.userId);
+    // A changed query starts over from a fresh baseline so the next run does not report every listing as new
+    if (JSON.stringify(updated.query) !== JSON.stringify(search.query)) {
+      updated.lastResults = null;
+    }
+    searches.set(id, updated);
+    scheduleSave();
+    return updated;
+  }
+
+  // Helper function to carry over or start the confirmation of a search's alert email: an unchanged address
+  // keeps its state, and one the user has already confirmed for another search counts as confirmed
+  function getEmailConfirmation(previous, email, userId) {
+    if (!email) return null;
+    if (previous?.notify.email === email && previous.emailConfirmation) return previous.emailConfirmation;
+
+    const confirmed = listForUser(userId).find(other => other.notify.email === email && other.emailConfirmation?.confirmedAt);
+    return { code: null, attempts: 0, confirmedAt: confirmed ? confirmed.emailConfirmation.confirmedAt : null };
+  }
+
+  // Start over the confirmation of a search's alert email with a new code, to be mailed to the address
+  // Returns { code }, or { code: null, retryAfterMs } when the user was sent a code too recently
+  // Throws when the search has no alert email waiting for confirmation
+  function issueEmailCode(id, now = new Date()) {
+    const search = searches.get(id);
+    if (!search?.emailConfirmation || search.emailConfirmation.confirmedAt) {
+      throw new Error('This saved search has no alert email waiting for confirmation');
+    }
+
+    const sentAt = codesSentAt.get(search.userId);
+    const retryAfterMs = sentAt ? sentAt + codeIntervalMinutes * 60 * 1000 - now.getTime() : 0;
+    if (retryAfterMs > 0) return { code: null, retryAfterMs };
+
+    const code = String(randomInt(1000000)).padStart(6, '0');
+    codesSentAt.set(search.userId, now.getTime());
+    search.emailConfirmation = { code, attempts: 0, confirmedAt: null };
+    scheduleSave();
+    return { code };
+  }
+
+  // Confirm a search's alert email with the code mailed to it; the user's other searches alerting the same
+  // address are confirmed with it. Returns whether the code was right
+  // After MAX_CODE_ATTEMPTS wrong codes the code stops working, so it cannot be guessed
+  function confirmEmail(id, code, now = new Date()) {
+    const search = searches.get(id);
+    const confirmation = search?.emailConfirmation;
+    if (!confirmation?.code || confirmation.confirmedAt) return false;
+
+    if (String(code ?? '').trim() !== confirmation.code) {
+      confirmation.attempts += 1;
+      if (confirmation.attempts >= MAX_CODE_ATTEMPTS) confirmation.code = null;
+      scheduleSave();
+      return false;
+    }
+
+    const confirmedAt = now.toISOString();
+    for (const other of listForUser(search.userId)) {
+      if (other.notify.email === search.notify.email && other.emailConfirmation && !other.emailConfirmation.confirmedAt) {
+        other.emailConfirmation = { code: null, attempts: 0, confirmedAt };
+      }
+    }
+    scheduleSave();
+    return true;
+  }
+
+  function remove(id) {
+    const removed = searches.delete(id);
+    if (removed) scheduleSave();
+    return removed;
+  }
+
+  // Note a run that failed or whose alert could not be delivered: the next run is due after the usual wait,
+  // rather than on every scheduler tick, and diffs against the same previous results so the listings are
+  // alerted on again
+  function recordFailedRun(id, { status = 'undelivered', error = null } = {}, ranAt = new Date()) {
+    const search = searches.get(id);
+    if (!search) return;
+
+    search.lastRunAt = ranAt.toISOString();
+    search.lastRunStatus = status;
+    search.lastRunError = error;
+    scheduleSave();
+  }
+
+  // Remember the results of a run for the next diff
+  function recordRun(id, properties, ranAt = new Date()) {
+    const search = searches.get(id);
+    if (!search) return;
+
+    search.lastRunAt = ranAt.toISOString();
+    search.lastRunStatus = 'ok';
+    search.lastRunError = null;
+    search.lastResults = Object.fromEntries(properties.map(property => [
+      property.mlsNumber,
+      { askingPrice: property.askingPrice, tags: property.tags }
+    ]));
+    scheduleSave();
+  }
+
+  // How long a search has to wait before it may be run by hand, in ms (0 when it may run now)
+  // Manual runs query the provider and send alerts like scheduled ones, so they are held to minFrequencyMinutes too
+  function getRunRetryAfterMs(id, now = new Date()) {
+    const search = searches.get(id);
+    if (!search?.lastRunAt) return 0;
+    return Math.max(0, new Date(search.lastRunAt).getTime() + minFrequencyMinutes * 60 * 1000 - now.getTime());
+  }
+
+  // Saved searches whose next run is due; those without an owner are no longer run, since nobody can
+  // see or stop them
+  function listDue(now = new Date()) {
+    return list().filter(search => {
+      if (!search.userId) return false;
+      if (!search.lastRunAt) return true;
+      return now - new Date(search.lastRunAt) >= search.frequencyMinutes * 60 * 1000;
+    });
+  }
+
+  return {
+    filePath,
+    minFrequencyMinutes,
+    maxPerUser,
+    codeIntervalMinutes,
+    load,
+    list,
+    listForUser,
+    get,
+    create,
+    update,
+    remove,
+    issueEmailCode,
+    confirmEmail,
+    recordRun,
+    recordFailedRun,
+    getRunRetryAfterMs,
+    listDue
+  };
+}
+
+// Helper function to check a saved search body and keep only the known fields
+function validateSavedSearch(input, { minFrequencyMinutes, validateQuery }) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new Error('Saved search name is required');
+  }
+
+  const query = {};
+  for (const key of SAVED_QUERY_KEYS) {
+    if (input.query?.[key] !== undefined && input.query[key] !== '') {
+      query[key] = input.query[key];
+    }
+  }
+  validateQuery(query);
+
+  const email = String(input.notify?.email || '').trim();
+  if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    throw apiError('INVALID_EMAIL', `Invalid email address "${email}"`, { details: { email } });
+  }
+  const webhookUrl = String(input.notify?.webhookUrl || '').trim();
+  if (webhookUrl) checkWebhookUrl(webhookUrl);
+
+  const frequencyMinutes = input.frequencyMinutes === undefined ? DEFAULT_FREQUENCY_MINUTES : Number(input.frequencyMinutes);
+  if (!Number.isFinite(frequencyMinutes) || frequencyMinutes < minFrequencyMinutes) {
+    throw new Error(`Invalid frequencyMinutes: expected at least ${minFrequencyMinutes}`);
+  }
+
+  return {
+    name,
+    query,
+    notify: { email: email || null, webhookUrl: webhookUrl || null },
+    frequencyMinutes
+  };
+}
+
+// Compare a run's properties with the previous run's results
+// - added: listings that were not in the previous results
+// - changed: listings whose asking price or tags changed, with what changed
+export function diffResults(previousResults, properties) {
+  const added = [];
+  const changed = [];
+
+  for (const property of properties) {
+    const previous = previousResults[property.mlsNumber];
+    if (!previous) {
+      added.push(property);
+      continue;
+    }
+
+    const changes = {};
+    if (previous.askingPrice !== property.askingPrice) {
+      changes.askingPrice = { from: previous.askingPrice, to: property.askingPrice };
+    }
+    const addedTags = property.tags.filter(tag => !previous.tags.includes(tag));
+    const removedTags = previous.tags.filter(tag => !property.tags.includes(tag));
+    if (addedTags.length > 0 || removedTags.length > 0) {
+      changes.tags = { added: addedTags, removed: removedTags };
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ ...property, changes });
+    }
+  }
+
+  return { added, changed };
+}
@@ -0,0 +1,43 @@
+import { readFile } from 'fs/promises';
+import { parseCsv } from './csv.js';
+
+// Helper function to normalise a school record from either CSV or GeoJSON input
+export function normalizeSchool(record) {
+  const rating = parseFloat(record.rating);
+  const latitude = parseFloat(record.latitude ?? record.lat);
+  const longitude = parseFloat(record.longitude ?? record.lon ?? record.lng);
+
+  if (!record.name || isNaN(rating) || isNaN(latitude) || isNaN(longitude)) {
+    return null;
+  }
+
+  return {
+    name: record.name,
+    board: record.board || '',
+    level: record.level || '',
+    rating,
+    latitude,
+    longitude
+  };
+}
+
+// Load a school dataset: a CSV (name,board,level,rating,latitude,longitude) or a GeoJSON FeatureCollection
+export async function loadSchools(filePath) {
+  const raw = await readFile(filePath, 'utf8');
+  let records;
+  if (filePath.toLowerCase().endsWith('.csv')) {
+    records = parseCsv(raw);
+  } else {
+    // GeoJSON: coordinates are [longitude, latitude]
+    const geojson = JSON.parse(raw);
+    records = (geojson.features || []).map(feature => ({
+      ...feature.properties,
+      longitude: feature.geometry?.coordinates?.[0],
+      latitude: feature.geometry?.coordinates?.[1]
+    }));
+  }
+
+  const schools = records.map(normalizeSchool).filter(Boolean);
+  console.log(`Loaded ${schools.length} schools from ${filePath}`);
+  return schools;
+}
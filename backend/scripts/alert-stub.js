@@ -0,0 +1,43 @@
+import http from 'http';
+import { SMTPServer } from 'smtp-server';
+
+// Local SMTP and webhook receivers for trying out saved-search alerts without real services
+// Point the backend at them with:
+//   SMTP_HOST=localhost SMTP_PORT=2525
+//   ALERT_WEBHOOK_URL=http://localhost:4000/alerts
+const SMTP_PORT = parseInt(process.env.STUB_SMTP_PORT) || 2525;
+const WEBHOOK_PORT = parseInt(process.env.STUB_WEBHOOK_PORT) || 4000;
+
+const smtpServer = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  onData(stream, session, callback) {
+    let message = '';
+    stream.on('data', chunk => { message += chunk; });
+    stream.on('end', () => {
+      console.log(`\n--- Email to ${session.envelope.rcptTo.map(rcpt => rcpt.address).join(', ')} ---`);
+      console.log(message);
+      callback();
+    });
+  }
+});
+smtpServer.listen(SMTP_PORT, () => {
+  console.log(`SMTP stub listening on localhost:${SMTP_PORT}`);
+});
+
+const webhookServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`\n--- Webhook ${req.method} ${req.url} ---`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+    res.writeHead(204).end();
+  });
+});
+webhookServer.listen(WEBHOOK_PORT, () => {
+  console.log(`Webhook stub listening on http://localhost:${WEBHOOK_PORT}`);
+});
@@ -0,0 +1,45 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { mkdir, writeFile } from 'fs/promises';
+import { createRepliersProvider } from '../providers/repliers.js';
+import { parseSearchCriteria } from '../providers/index.js';
+
+// Dump listings from Repliers to a fixture file for LISTING_PROVIDER=fixture
+// Usage: npm run dump-listings -- "city=Toronto&maxPrice=900000" data/fixtures/toronto.json
+// The first argument takes the same search parameters as /api/properties; recent sales in the same area
+// (the last COMPS_MONTHS, default 6) are included for the comparable-sales estimate
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const backendDir = join(__dirname, '..');
+dotenv.config({ path: join(backendDir, '.env') });
+if (!process.env.REPLIERS_API_KEY) {
+  dotenv.config({ path: join(backendDir, '..', '.env') });
+}
+
+const [queryString = '', outputPath = join('data', 'fixtures', 'listings.json')] = process.argv.slice(2);
+const provider = createRepliersProvider({
+  apiKey: process.env.REPLIERS_API_KEY,
+  baseUrl: process.env.REPLIERS_API_URL,
+  pageSize: parseInt(process.env.REPLIERS_PAGE_SIZE) || 100,
+  maxPages: parseInt(process.env.REPLIERS_MAX_PAGES) || 5
+});
+if (provider.configError) {
+  console.error(provider.configError);
+  process.exit(1);
+}
+
+// Repeated parameters (city, propertyType) become lists, as Express parses them
+const params = new URLSearchParams(queryString);
+const criteria = parseSearchCriteria(Object.fromEntries(
+  [...new Set(params.keys())].map(key => [key, params.getAll(key).length > 1 ? params.getAll(key) : params.get(key)])
+));
+const since = new Date();
+since.setUTCDate(since.getUTCDate() - Math.round((parseFloat(process.env.COMPS_MONTHS) || 6) * 30));
+
+const { listings } = await provider.searchListings(criteria);
+const { listings: soldListings } = await provider.searchSoldListings({ ...criteria, minPrice: null, maxPrice: null }, { since });
+
+const filePath = resolve(backendDir, outputPath);
+await mkdir(dirname(filePath), { recursive: true });
+await writeFile(filePath, JSON.stringify({ savedAt: new Date().toISOString(), criteria, listings, soldListings }, null, 2));
+console.log(`Wrote ${listings.length} listings and ${soldListings.length} sold listings to ${filePath}`);
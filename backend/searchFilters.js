@@ -0,0 +1,324 @@
+import { evaluateRules } from './bargainRules.js';
+import { calculateDistance, calculateWalkingTime, calculateTravelTime, isPointInPolygon } from './geo.js';
+import { formatAddress } from './formatters.js';
+
+// Search mode filters: each takes normalised listings and returns the ones that match, carrying what
+// made them match (bargain matches, fixer phrases, nearby schools, nearest station)
+// Nothing here reads the clock or loads data; the current time, phrase classifier, price history and
+// datasets are passed in
+
+// Evaluate the bargain rules for a listing with its recorded price history
+// context: { now, classifier, priceHistory, getComps }
+export function getBargainMatches(property, rules, { now, classifier, priceHistory = null, getComps = null }) {
+  return evaluateRules(property, rules, {
+    now,
+    getComps,
+    classifier,
+    priceObservations: priceHistory ? priceHistory.getObservations(property.mlsNumber) : []
+  });
+}
+
+// Filter properties for "捡漏房" - evaluates every enabled bargain rule once per listing
+// Properties that fire at least one rule are kept, carrying the fired rules for tags
+export function filterBargainProperties(properties, rules, context) {
+  const results = [];
+
+  for (const property of properties) {
+    const bargainMatches = getBargainMatches(property, rules, context);
+    if (bargainMatches.length > 0) {
+      results.push({ ...property, bargainMatches });
+    }
+  }
+
+  return results;
+}
+
+// Filter properties for "翻修房" - descriptions the phrase classifier reads as a fixer-upper
+// ("sold as is", "handyman special", "needs TLC", ...); each returned property carries its confidence and matched phrases
+export function filterFixerProperties(properties, { classifier, minConfidence = classifier.getMinConfidence('fixer') }) {
+  const results = [];
+  for (const property of properties) {
+    const { confidence, phrases } = classifier.classify(property.description, 'fixer');
+    if (phrases.length > 0 && confidence >= minConfidence) {
+      results.push({ ...property, fixer: { confidence, phrases } });
+    }
+  }
+
+  return results;
+}
+
+// Filter properties for "学区房" - properties within radiusKm of schools rated minRating or more
+// Each returned property carries the matched schools, sorted by distance
+export function filterSchoolProperties(properties, schools, { minRating, radiusKm }) {
+  const topSchools = schools.filter(school => school.rating >= minRating);
+
+  const results = [];
+  for (const property of properties) {
+    const lat = property.latitude;
+    const lon = property.longitude;
+    if (lat === null || lon === null) continue;
+
+    const nearbySchools = topSchools
+      .map(school => ({
+        name: school.name,
+        board: school.board,
+        level: school.level,
+        rating: school.rating,
+        distanceKm: Math.round(calculateDistance(lat, lon, school.latitude, school.longitude) * 100) / 100
+      }))
+      .filter(school => school.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    if (nearbySchools.length > 0) {
+      results.push({ ...property, nearbySchools });
+    }
+  }
+
+  return results;
+}
+
+// Filter properties for "5分钟内到地铁" - properties within maxWalkMinutes of a subway/LRT station
+// Each returned property carries its nearest station and the estimated walk time (at walkingSpeedKmh)
+export function filterSubwayProperties(properties, stations, { maxWalkMinutes, walkingSpeedKmh = 5 }) {
+  const results = [];
+  for (const property of properties) {
+    const lat = property.latitude;
+    const lon = property.longitude;
+    if (lat === null || lon === null) continue;
+
+    let nearest = null;
+    for (const station of stations) {
+      const distanceKm = calculateDistance(lat, lon, station.latitude, station.longitude);
+      if (!nearest || distanceKm < nearest.distanceKm) {
+        nearest = { station, distanceKm };
+      }
+    }
+    if (!nearest) continue;
+
+    const walkMinutes = calculateWalkingTime(nearest.distanceKm, walkingSpeedKmh);
+    if (walkMinutes <= maxWalkMinutes) {
+      results.push({
+        ...property,
+        nearestStation: {
+          name: nearest.station.name,
+          line: nearest.station.line,
+          agency: nearest.station.agency,
+          distanceKm: Math.round(nearest.distanceKm * 100) / 100,
+          walkMinutes: Math.round(walkMinutes * 10) / 10
+        }
+      });
+    }
+  }
+
+  return results;
+}
+
+// Combine the results of several search types by listing
+// 'and' keeps listings found by every search type (intersection), 'or' by any of them (union)
+// The extra data each filter attaches (bargain matches, schools, nearest station) is merged
+export function combineResults(resultSets, combine) {
+  const merged = new Map();
+  const matchCounts = new Map();
+
+  for (const results of resultSets) {
+    for (const property of results) {
+      const key = property.mlsNumber || formatAddress(property);
+      merged.set(key, { ...merged.get(key), ...property });
+      matchCounts.set(key, (matchCounts.get(key) || 0) + 1);
+    }
+  }
+
+  return [...merged.entries()]
+    .filter(([key]) => combine === 'or' || matchCounts.get(key) === resultSets.length)
+    .map(([, property]) => property);
+}
+
+// Travel modes of the commute filter; their speeds are set by the server
+export const TRAVEL_MODES = ['walk', 'drive'];
+
+// Helper function to read a "latitude,longitude" pair, or null when it is not one
+function parseLatLng(value) {
+  const coords = String(value).split(',').map(part => Number(part.trim()));
+  if (coords.length !== 2 || coords.some(coord => !Number.isFinite(coord))) return null;
+  const [latitude, longitude] = coords;
+  return Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 ? [latitude, longitude] : null;
+}
+
+// Read the search area from /api/properties query parameters
+// - polygon: "lat,lng;lat,lng;..." with at least three points; may be repeated, listings in any of them match
+// - near: an address, or "lat,lng", to estimate travel times from; withinMinutes: the longest travel time;
+//   travelMode: walk (default) or drive
+// Returns { polygons, near, withinMinutes, travelMode } where near is { latitude, longitude } for coordinates,
+// { address } for an address to geocode, or null
+// Throws on invalid values
+export function parseAreaFilters(query) {
+  const polygons = [].concat(query.polygon ?? []).filter(Boolean).map(polygon => {
+    const points = String(polygon).split(';').filter(point => point.trim()).map(parseLatLng);
+    if (points.length < 3 || points.includes(null)) {
+      throw new Error('Invalid polygon: expected at least three "latitude,longitude" points separated by ";"');
+    }
+    return points;
+  });
+
+  const nearText = String(query.near ?? '').trim();
+  const coords = nearText ? parseLatLng(nearText) : null;
+  const near = coords ? { latitude: coords[0], longitude: coords[1] } : nearText ? { address: nearText } : null;
+
+  let withinMinutes = null;
+  if (query.withinMinutes !== undefined && query.withinMinutes !== '') {
+    withinMinutes = Number(query.withinMinutes);
+    if (!Number.isFinite(withinMinutes) || withinMinutes <= 0) {
+      throw new Error('Invalid withinMinutes: expected a positive number');
+    }
+  }
+  if (near && withinMinutes === null) throw new Error('near needs withinMinutes');
+  if (!near && withinMinutes !== null) throw new Error('withinMinutes needs near');
+
+  const travelMode = query.travelMode || 'walk';
+  if (!TRAVEL_MODES.includes(travelMode)) {
+    throw new Error(`Invalid travelMode: expected one of ${TRAVEL_MODES.join(', ')}`);
+  }
+
+  return { polygons, near, withinMinutes, travelMode: near ? travelMode : null };
+}
+
+// Keep the listings inside the search area: inside one of the polygons, and within maxMinutes of the origin
+// at speedKmh over the straight-line distance; applied before the search modes
+// area: { polygons, origin: { latitude, longitude } | null, maxMinutes, travelMode, speedKmh }
+// Listings without coordinates cannot be placed, so they are left out; with an origin each listing carries
+// its estimated commute ({ distanceKm, minutes, travelMode })
+export function filterByArea(properties, { polygons, origin, maxMinutes, travelMode, speedKmh }) {
+  const results = [];
+  for (const property of properties) {
+    const lat = property.latitude;
+    const lon = property.longitude;
+    if (lat === null || lon === null) continue;
+    if (polygons.length > 0 && !polygons.some(polygon => isPointInPolygon(lat, lon, polygon))) continue;
+    if (!origin) {
+      results.push(property);
+      continue;
+    }
+
+    const distanceKm = calculateDistance(origin.latitude, origin.longitude, lat, lon);
+    const minutes = calculateTravelTime(distanceKm, speedKmh);
+    if (minutes <= maxMinutes) {
+      results.push({
+        ...property,
+        commute: {
+          distanceKm: Math.round(distanceKm * 100) / 100,
+          minutes: Math.round(minutes * 10) / 10,
+          travelMode
+        }
+      });
+    }
+  }
+
+  return results;
+}
+
+// Filters of the results page under filter[name], with their ranges; see parseResultFilters
+const RESULT_FILTER_RANGES = ['minPrice', 'maxPrice', 'minBedrooms', 'maxBedrooms', 'minBathrooms', 'maxBathrooms'];
+const RESULT_FILTER_LISTS = { propertyTypes: 'propertyType', cities: 'city' };
+
+// Helper function to read a repeated or comma-separated parameter as a list
+function readList(value) {
+  return [].concat(value ?? []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+// Helper function to read a non-negative number parameter; null when absent, throws when invalid
+function readNonNegative(value, name) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid ${name}: expected a non-negative number`);
+  }
+  return number;
+}
+
+// Read the filters applied to formatted search results from /api/properties query parameters
+// Unlike the search criteria they are not sent to the listing provider: tags and days on market need what the
+// search computes, and the results page's filters (filter[name]) narrow the cached listings of a search, so
+// changing them does not fetch the listings again
+// Supported: minDaysOnMarket, maxDaysOnMarket, tag (bargain rule IDs; may be repeated or comma-separated), and
+// filter[minPrice], filter[maxPrice], filter[minBedrooms], filter[maxBedrooms], filter[minBathrooms],
+// filter[maxBathrooms], filter[propertyType], filter[city] (the last two may be repeated or comma-separated)
+// Throws on invalid values
+export function parseResultFilters(query) {
+  const filters = { tags: readList(query.tag) };
+  for (const key of ['minDaysOnMarket', 'maxDaysOnMarket']) {
+    filters[key] = readNonNegative(query[key], key);
+  }
+
+  const filter = query.filter ?? {};
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Invalid filter: expected filter[name] parameters');
+  }
+  for (const key of RESULT_FILTER_RANGES) {
+    filters[key] = readNonNegative(filter[key], `filter[${key}]`);
+  }
+  for (const [key, name] of Object.entries(RESULT_FILTER_LISTS)) {
+    filters[key] = readList(filter[name]).map(value => value.toLowerCase());
+  }
+
+  return filters;
+}
+
+// Search mode thresholds of /api/properties query parameters, with the highest valid value of each
+const SEARCH_MODE_OPTIONS = {
+  minFixerConfidence: 1,
+  minRating: Infinity,
+  radiusKm: Infinity,
+  maxWalkMinutes: Infinity
+};
+
+// Read the thresholds the fixer, school and subway modes may override from query parameters
+// Returns { minFixerConfidence, minRating, radiusKm, maxWalkMinutes }, each null when absent so the mode uses
+// its default (an explicit 0 is kept); throws on invalid values
+export function parseSearchModeOptions(query) {
+  const options = {};
+  for (const [key, max] of Object.entries(SEARCH_MODE_OPTIONS)) {
+    options[key] = null;
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0 || value > max) {
+      throw new Error(`Invalid ${key}: expected ${max === Infinity ? 'a non-negative number' : `a number from 0 to ${max}`}`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+// Keep the formatted results matching the result filters; listings with any of the tags match the tag filter,
+// and property types and cities are matched by name regardless of case
+// Listings without a public price (an asking price of 0) are kept by the price range, since they may be in it
+export function filterResults(properties, filters) {
+  const { tags, minDaysOnMarket, maxDaysOnMarket, minPrice, maxPrice, propertyTypes, cities } = filters;
+  const inRange = (value, min, max) => (min === null || value >= min) && (max === null || value <= max);
+
+  return properties.filter(property => (
+    (tags.length === 0 || tags.some(tag => property.tags.includes(tag))) &&
+    inRange(property.daysOnMarket, minDaysOnMarket, maxDaysOnMarket) &&
+    (!property.askingPrice || inRange(property.askingPrice, minPrice, maxPrice)) &&
+    inRange(property.bedrooms, filters.minBedrooms, filters.maxBedrooms) &&
+    inRange(property.bathrooms, filters.minBathrooms, filters.maxBathrooms) &&
+    (propertyTypes.length === 0 || propertyTypes.includes(String(property.propertyType).toLowerCase())) &&
+    (cities.length === 0 || cities.includes(String(property.city).toLowerCase()))
+  ));
+}
+
+// Count the property types, cities and tags of formatted results, for the results page's filter options
+// Returns { propertyTypes, cities, tags }, each an object of value => number of listings
+export function countFacets(properties) {
+  const facets = { propertyTypes: {}, cities: {}, tags: {} };
+  const add = (counts, value) => {
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  };
+
+  for (const property of properties) {
+    add(facets.propertyTypes, property.propertyType);
+    add(facets.cities, property.city);
+    property.tags.forEach(tag => add(facets.tags, tag));
+  }
+
+  return facets;
+}
@@ -2,7 +2,46 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
+import { readdir } from 'fs/promises';
+import { createHash, timingSafeEqual } from 'crypto';
+import { createListingCache } from './listingCache.js';
+import { createPriceHistoryStore, getPriceChangeStats } from './priceHistory.js';
+import { loadRules, resolveRules } from './bargainRules.js';
+import { buildComparablePricePerSqft } from './bargainScore.js';
+import { loadPhraseClassifier } from './phraseClassifier.js';
+import { createSavedSearchStore, diffResults } from './savedSearches.js';
+import { createEmailNotifier, createWebhookNotifier, sendAlert } from './notifiers.js';
+import { createUserStore, toPublicUser } from './users.js';
+import { calculateCosts, parseCostOptions } from './costCalculator.js';
+import { calculateDistance } from './geo.js';
+import { createCompsEstimator } from './comps.js';
+import { EXPORT_FORMATS, exportProperties } from './exporters.js';
+import { createSessionStore, readCookie } from './sessions.js';
+import { createListingProvider, parseSearchCriteria, withCircuitBreaker, isProviderOutage } from './providers/index.js';
+import { formatProperty, formatPropertyDetail, getCostInputs, getTagLabel, getTagLabels } from './formatters.js';
+import {
+  getBargainMatches,
+  filterBargainProperties,
+  filterFixerProperties,
+  filterSchoolProperties,
+  filterSubwayProperties,
+  combineResults,
+  parseResultFilters,
+  filterResults,
+  countFacets,
+  parseAreaFilters,
+  filterByArea,
+  parseSearchModeOptions
+} from './searchFilters.js';
+import { loadSchools } from './schools.js';
+import { loadStations } from './transit.js';
+import { clock } from './clock.js';
+import { apiError, sendError, sendInvalidRequest, sendRouteError } from './errors.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { STATS_GROUPINGS, aggregateMarketStats } from './marketStats.js';
+import { createGeocoder } from './geocoder.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,298 +56,1107 @@ if (!process.env.REPLIERS_API_KEY) {
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Helper function to read a count setting from .env; missing, negative or non-integer values use the default
+function readCountSetting(value, defaultValue) {
+  const count = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(count) && count >= 0 ? count : defaultValue;
+}
+
+// Upstream protection settings (override via .env): after UPSTREAM_CIRCUIT_FAILURES outages in a row (timeouts,
+// 5xx or rate limiting, once retries are used up) the provider is left alone for UPSTREAM_CIRCUIT_RESET_SECONDS,
+// and searches are answered from the listing cache in the meantime
+const providerCircuit = createCircuitBreaker({
+  name: 'Listing provider',
+  failureThreshold: parseInt(process.env.UPSTREAM_CIRCUIT_FAILURES) || 5,
+  resetMs: (parseFloat(process.env.UPSTREAM_CIRCUIT_RESET_SECONDS) || 60) * 1000,
+  isFailure: isProviderOutage
+});
+
+// Where listings come from (override via .env): LISTING_PROVIDER=repliers (default), or fixture to read a local
+// JSON file (LISTING_FIXTURE_PATH, relative to backend/) for offline development
+// Repliers requests time out after REPLIERS_TIMEOUT_SECONDS and 429/5xx responses are retried REPLIERS_RETRIES times
+const listingProvider = withCircuitBreaker(createListingProvider(process.env.LISTING_PROVIDER || 'repliers', {
+  repliers: {
+    apiKey: process.env.REPLIERS_API_KEY,
+    baseUrl: process.env.REPLIERS_API_URL,
+    pageSize: parseInt(process.env.REPLIERS_PAGE_SIZE) || 100,
+    maxPages: parseInt(process.env.REPLIERS_MAX_PAGES) || 5,
+    timeoutMs: (parseFloat(process.env.REPLIERS_TIMEOUT_SECONDS) || 10) * 1000,
+    retries: readCountSetting(process.env.REPLIERS_RETRIES, 2)
+  },
+  fixture: {
+    filePath: resolve(__dirname, process.env.LISTING_FIXTURE_PATH || join('data', 'fixtures', 'sample-listings.json'))
+  }
+}), providerCircuit);
+const DEFAULT_RESULTS_PAGE_SIZE = 50;
+const MAX_RESULTS_PAGE_SIZE = 200;
+
+// Search modes accepted by the type parameter of /api/properties
+const SEARCH_TYPES = ['bargain', 'fixer', 'school', 'subway'];
+
+// Result sort options: field to sort on and its default direction
+// An asking price of 0 means the price is not public, so it is sorted with the missing values
+const SORT_OPTIONS = {
+  score: { field: 'score', order: 'desc' },
+  price: { field: 'askingPrice', order: 'asc', zeroIsMissing: true },
+  daysOnMarket: { field: 'daysOnMarket', order: 'desc' }
+};
+
+// Listing cache settings (override via .env)
+// Expired queries are kept as fallbacks for LISTING_CACHE_FALLBACK_HOURS, and at most LISTING_CACHE_MAX_ENTRIES
+// queries are kept (each cache), the least recently used going first
+// Set LISTING_CACHE_SNAPSHOT_PATH (relative to backend/) to persist cached queries to a JSON file across restarts
+const LISTING_CACHE_FALLBACK_MS = (parseFloat(process.env.LISTING_CACHE_FALLBACK_HOURS) || 24) * 60 * 60 * 1000;
+const LISTING_CACHE_MAX_ENTRIES = parseInt(process.env.LISTING_CACHE_MAX_ENTRIES) || 500;
+const listingCache = createListingCache({
+  ttlMs: (parseInt(process.env.LISTING_CACHE_TTL_SECONDS) || 600) * 1000,
+  staleMs: (parseInt(process.env.LISTING_CACHE_STALE_SECONDS) || 3600) * 1000,
+  fallbackMs: LISTING_CACHE_FALLBACK_MS,
+  maxEntries: LISTING_CACHE_MAX_ENTRIES,
+  snapshotPath: process.env.LISTING_CACHE_SNAPSHOT_PATH ? resolve(__dirname, process.env.LISTING_CACHE_SNAPSHOT_PATH) : null
+});
+await listingCache.loadSnapshot();
+
+// Comparable sales settings (override via .env; COMPS_RADIUS_KM=0 turns comparables off)
+// Sold listings change slowly, so they have their own cache that keeps them for COMPS_CACHE_HOURS
+const COMPS_RADIUS_KM = parseFloat(process.env.COMPS_RADIUS_KM ?? 2);
+const COMPS_MONTHS = parseFloat(process.env.COMPS_MONTHS) || 6;
+const COMPS_MIN_SALES = parseInt(process.env.COMPS_MIN_SALES) || 3;
+const COMPS_CACHE_MS = (parseFloat(process.env.COMPS_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+const soldListingCache = createListingCache({
+  ttlMs: COMPS_CACHE_MS,
+  staleMs: COMPS_CACHE_MS,
+  fallbackMs: LISTING_CACHE_FALLBACK_MS,
+  maxEntries: LISTING_CACHE_MAX_ENTRIES
+});
+
+// Commute filter settings (override via .env): travel times are estimated from the straight-line distance
+// at these speeds in km/h; the walking speed also applies to the walk to the station in subway search
+// Addresses are geocoded with GEOCODER_URL, a Nominatim search API (OpenStreetMap's by default)
+const WALKING_SPEED_KMH = parseFloat(process.env.WALKING_SPEED_KMH) || 5;
+const DRIVING_SPEED_KMH = parseFloat(process.env.DRIVING_SPEED_KMH) || 30;
+const TRAVEL_SPEEDS_KMH = { walk: WALKING_SPEED_KMH, drive: DRIVING_SPEED_KMH };
+const geocoder = createGeocoder({
+  url: process.env.GEOCODER_URL,
+  userAgent: process.env.GEOCODER_USER_AGENT || 'smart-real-estate-search'
+});
+
+// Price history settings (override via .env)
+// Prices are recorded on every upstream fetch, plus a periodic snapshot of the default Ontario query
+const priceHistory = createPriceHistoryStore({
+  filePath: resolve(__dirname, process.env.PRICE_HISTORY_PATH || join('cache', 'price-history.json'))
+});
+await priceHistory.load();
+const PRICE_SNAPSHOT_INTERVAL_MINUTES = parseFloat(process.env.PRICE_SNAPSHOT_INTERVAL_MINUTES ?? 360);
+
+// Bargain rule definitions for "捡漏房" (override the file via .env, relative to backend/)
+// Phrase lists for fixer-upper and estate-sale detection (override the file via .env, relative to backend/)
+const phraseClassifier = await loadPhraseClassifier(resolve(__dirname, process.env.PHRASE_LISTS_PATH || join('config', 'phrase-lists.json')));
+
+const bargainRules = await loadRules(resolve(__dirname, process.env.BARGAIN_RULES_PATH || join('config', 'bargain-rules.json')));
+
+// Saved searches and their alert settings (override via .env)
+// Due searches are checked every SAVED_SEARCH_CHECK_MINUTES; set it to 0 to turn the scheduler off
+// Each user may keep SAVED_SEARCH_MAX_PER_USER searches, run at most every SAVED_SEARCH_MIN_FREQUENCY_MINUTES
+const savedSearches = createSavedSearchStore({
+  filePath: resolve(__dirname, process.env.SAVED_SEARCHES_PATH || join('storage', 'saved-searches.json')),
+  minFrequencyMinutes: parseFloat(process.env.SAVED_SEARCH_MIN_FREQUENCY_MINUTES) || 60,
+  maxPerUser: parseInt(process.env.SAVED_SEARCH_MAX_PER_USER) || 20,
+  // Queries are checked as /api/properties would check them, so a bad one is rejected when it is saved
+  // rather than failing on every scheduled run
+  validateQuery: query => parseSearchQuery(query, { strict: true })
+});
+await savedSearches.load();
+const SAVED_SEARCH_CHECK_MINUTES = parseFloat(process.env.SAVED_SEARCH_CHECK_MINUTES ?? 15);
+
+// Alert channels: email when SMTP_HOST is set, webhooks always (per search, or ALERT_WEBHOOK_URL for all searches)
+// Webhook requests time out after ALERT_WEBHOOK_TIMEOUT_SECONDS
+const emailNotifier = process.env.SMTP_HOST ? createEmailNotifier({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  from: process.env.SMTP_FROM || 'housing-search@localhost'
+}) : null;
+const alertNotifiers = [
+  ...(emailNotifier ? [emailNotifier] : []),
+  createWebhookNotifier({
+    defaultUrl: process.env.ALERT_WEBHOOK_URL || null,
+    timeoutMs: (parseFloat(process.env.ALERT_WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000
+  })
+];
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-app.use(cors());
+// Accounts: users with their shortlists, and login sessions (override via .env, paths relative to backend/)
+const users = createUserStore({
+  filePath: resolve(__dirname, process.env.USERS_PATH || join('storage', 'users.json'))
+});
+await users.load();
+const sessions = createSessionStore({
+  filePath: resolve(__dirname, process.env.SESSIONS_PATH || join('storage', 'sessions.json')),
+  ttlMs: (parseFloat(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000
+});
+await sessions.load();
+const SESSION_COOKIE = 'housing_session';
+// Set SESSION_COOKIE_SECURE=true when the frontend is served from another site (e.g. GitHub Pages) over HTTPS
+const SESSION_COOKIE_SECURE = process.env.SESSION_COOKIE_SECURE === 'true';
+
+// Login cookies are only accepted cross-origin from the frontends listed in CORS_ORIGINS
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Content-Disposition is exposed so the frontend can name exported files, Retry-After so it can say how long to wait
+app.use(cors({
+  exposedHeaders: ['Content-Disposition', 'Retry-After'],
+  ...(corsOrigins.length > 0 && { origin: corsOrigins, credentials: true })
+}));
+
+// Rate limit settings (override via .env; RATE_LIMIT_MAX_REQUESTS=0 turns it off)
+// Each client may make RATE_LIMIT_MAX_REQUESTS /api requests per RATE_LIMIT_WINDOW_SECONDS, so the public site
+// can't use up the provider's API quota; behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one proxy hop) so
+// clients are told apart by their own address rather than the proxy's
+const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS ?? 120);
+const rateLimiter = createRateLimiter({
+  windowMs: (parseFloat(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000,
+  max: RATE_LIMIT_MAX_REQUESTS
+});
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
+app.use('/api', (req, res, next) => {
+  if (!(RATE_LIMIT_MAX_REQUESTS > 0)) return next();
+
+  const { allowed, limit, remaining, resetAt } = rateLimiter.hit(req.ip);
+  const resetMs = resetAt - Date.now();
+  res.set('RateLimit-Limit', String(limit));
+  res.set('RateLimit-Remaining', String(remaining));
+  res.set('RateLimit-Reset', String(Math.ceil(resetMs / 1000)));
+  if (!allowed) {
+    return sendError(res, 'RATE_LIMITED', 'Too many requests, please try again later', { retryAfterMs: resetMs });
+  }
+  next();
+});
 app.use(express.json());
 
+// Attach the logged-in user (or null) to every request
+app.use((req, res, next) => {
+  const userId = sessions.getUserId(readCookie(req, SESSION_COOKIE));
+  req.user = userId ? users.get(userId) : null;
+  next();
+});
+
 // Test endpoint to verify server is working
 app.get('/api/test', (req, res) => {
-  res.json({ message: 'Backend server is running!', apiKeyConfigured: !!process.env.REPLIERS_API_KEY });
+  res.json({
+    message: 'Backend server is running!',
+    provider: listingProvider.name,
+    providerConfigured: !listingProvider.configError,
+    apiKeyConfigured: !!process.env.REPLIERS_API_KEY
+  });
 });
 
 // API endpoint to fetch properties
 app.get('/api/properties', async (req, res) => {
   try {
-    const apiKey = process.env.REPLIERS_API_KEY;
-    const searchType = req.query.type || 'bargain';
-    
-    if (!apiKey) {
-      return res.status(500).json({ 
-        error: 'Repliers API key not configured. Please set REPLIERS_API_KEY in .env file' 
-      });
+    const format = req.query.format || 'json';
+    if (format !== 'json' && !EXPORT_FORMATS[format]) {
+      return sendError(res, 'INVALID_REQUEST', `Invalid format: expected one of json, ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (req.query.view !== undefined && req.query.view !== 'list' && req.query.view !== 'map') {
+      return sendError(res, 'INVALID_REQUEST', 'Invalid view: expected list or map');
     }
 
-    // Call Repliers API to get properties in Ontario
-    // Note: Status must be 'A' (Active) or 'U' (Unknown) according to API
-    const response = await fetch('https://api.repliers.io/listings?province=ON&status=A', {
-      method: 'GET',
-      headers: {
-        'REPLIERS-API-KEY': apiKey,
-        'Content-Type': 'application/json'
-      }
-    });
+    const result = await searchProperties(req.query);
+    const { properties, ...summary } = result;
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Repliers API error: ${response.status} - ${errorText}`);
+    // Exports contain every matching property rather than a page, with tag labels in the language
+    // of lang (zh-CN or en, default en) next to the tag IDs
+    if (format !== 'json') {
+      const lang = String(req.query.lang || '').toLowerCase().startsWith('zh') ? 'zh' : 'en';
+      const labelled = properties.map(property => ({ ...property, tagLabels: getTagLabels(property, bargainRules, lang) }));
+      const { body, contentType, extension } = await exportProperties(labelled, format);
+      const filename = `properties-${new Date().toISOString().slice(0, 10)}.${extension}`;
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(body);
     }
 
-    const data = await response.json();
-    
-    // Handle different possible response structures
-    const listings = data.listings || data.results || data.data || (Array.isArray(data) ? data : []);
-    
-    console.log(`Received ${listings.length} listings from API for search type: ${searchType}`);
-    
-    // Filter properties based on the search type
-    let filteredProperties = [];
-    switch (searchType) {
-      case 'fixer':
-        filteredProperties = filterFixerProperties(listings);
-        break;
-      case 'school':
-        filteredProperties = await filterSchoolProperties(listings);
-        break;
-      case 'subway':
-        filteredProperties = await filterSubwayProperties(listings);
-        break;
-      case 'bargain':
-      default:
-        filteredProperties = filterProperties(listings);
-        break;
+    // The map shows every result at once rather than a page, so view=map returns all the results that can be
+    // placed on it (those with coordinates)
+    if (req.query.view === 'map') {
+      const mapped = properties.filter(property => property.latitude !== null && property.longitude !== null);
+      return res.json({ properties: mapped, total: mapped.length, ...summary });
     }
-    
-    console.log(`Filtered to ${filteredProperties.length} properties matching criteria`);
-    
-    // Format properties for the frontend
-    const formattedProperties = filteredProperties.map(property => {
-      const tags = searchType === 'bargain' ? getBargainTags(property) : [];
-      return {
-        mlsNumber: property.mlsNumber || property.mls || '',
-        address: formatAddress(property),
-        askingPrice: property.listPrice || property.price || 0,
-        propertyType: property.details?.propertyType || property.type || 'Unknown',
-        thumbnail: property.images?.[0] || '',
-        realtorCaLink: `https://www.realtor.ca/real-estate/${property.mlsNumber || property.mls || ''}`,
-        tags: tags
-      };
-    });
 
-    res.json({ properties: formattedProperties });
-  } catch (error) {
-    console.error('Error fetching properties:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ 
-      error: error.message,
-      details: error.stack 
+    // Paginate the filtered results so the frontend can page through them
+    const pageSize = Math.min(Math.max(1, parseInt(req.query.pageSize) || DEFAULT_RESULTS_PAGE_SIZE), MAX_RESULTS_PAGE_SIZE);
+    const total = properties.length;
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+    const page = Math.min(Math.max(1, parseInt(req.query.page) || 1), totalPages);
+
+    res.json({
+      properties: properties.slice((page - 1) * pageSize, page * pageSize),
+      page,
+      pageSize,
+      total,
+      totalPages,
+      ...summary
     });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching properties');
   }
 });
 
-// Helper function to format address
-function formatAddress(property) {
-  const addr = property.address;
-  if (!addr) return 'Address not available';
+// Run a property search with the same query parameters as /api/properties
+// Returns every matching property, formatted and sorted; used by the route and by saved-search alerts
+// Read and check the query parameters of a property search; throws an INVALID_REQUEST apiError on invalid values
+// strict also rejects unknown bargain rules and thresholds, which a search ignores (see resolveRules)
+function parseSearchQuery(query, { strict = false } = {}) {
+  // type may list several search modes (e.g. "bargain,school"); combine=and keeps listings matching all of them, combine=or any
+  const searchTypes = [...new Set(String(query.type || 'bargain').split(',').map(type => type.trim()).filter(Boolean))];
+  const combine = query.combine === 'or' ? 'or' : 'and';
+
+  const invalidType = searchTypes.find(type => !SEARCH_TYPES.includes(type));
+  if (invalidType) {
+    throw apiError('INVALID_REQUEST', `Invalid type "${invalidType}": expected one of ${SEARCH_TYPES.join(', ')}`);
+  }
+
+  const sortBy = query.sort || 'score';
+  if (!SORT_OPTIONS[sortBy]) {
+    throw apiError('INVALID_REQUEST', `Invalid sort: expected one of ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+  const sortOrder = query.order === 'asc' || query.order === 'desc' ? query.order : SORT_OPTIONS[sortBy].order;
+
+  try {
+    return {
+      searchTypes,
+      combine,
+      sortBy,
+      sortOrder,
+      criteria: parseSearchCriteria(query),
+      resultFilters: parseResultFilters(query),
+      areaFilters: parseAreaFilters(query),
+      modeOptions: parseSearchModeOptions(query),
+      rules: resolveRules(bargainRules, query, { strict })
+    };
+  } catch (validationError) {
+    throw apiError('INVALID_REQUEST', validationError.message);
+  }
+}
+
+async function searchProperties(query) {
+  const now = clock.now();
+  if (listingProvider.configError) {
+    throw apiError('PROVIDER_NOT_CONFIGURED', listingProvider.configError);
+  }
+
+  const { searchTypes, combine, sortBy, sortOrder, criteria, resultFilters, areaFilters, modeOptions, rules } = parseSearchQuery(query);
+
+  // A drawn or commute area narrows the listings fetched to the box around it, unless the query has its own;
+  // comparable sales still come from the whole search, since those near the edge of the area count too
+  const area = await resolveSearchArea(areaFilters);
+  const listingCriteria = area && !criteria.bbox ? { ...criteria, bbox: getAreaBoundingBox(area) } : criteria;
+
+  // Serve from the listing cache, keyed by the provider and the search criteria
+  const cacheKey = getCacheKey('search', listingCriteria);
+  const cached = await listingCache.get(cacheKey, () => fetchAndRecordListings(listingCriteria));
+  const { listings, upstreamTotal, pagesFetched } = cached.value;
   
-  const streetParts = [];
-  if (addr.streetNumber) streetParts.push(addr.streetNumber);
-  if (addr.streetName) streetParts.push(addr.streetName);
-  if (addr.streetSuffix) streetParts.push(addr.streetSuffix);
-  if (addr.unitNumber) streetParts.push(`Unit ${addr.unitNumber}`);
+  console.log(`Using ${listings.length} listings (${pagesFetched} page(s), cache ${cached.status}) for search type: ${searchTypes.join(` ${combine} `)}`);
   
-  const streetAddress = streetParts.join(' ');
+  // Value estimates from recent sales in the same area, used by the under-market rule and shown on every result
+  const getComps = await loadCompsEstimator(criteria, now);
+
+  // Keep the listings inside the area before the search types run, then filter for each search type and
+  // combine the results
+  const areaListings = area ? filterByArea(listings, area) : listings;
+  const resultSets = [];
+  for (const searchType of searchTypes) {
+    resultSets.push(await filterBySearchType(searchType, areaListings, rules, modeOptions, { now, getComps }));
+  }
+  const filteredProperties = resultSets.length === 1 ? resultSets[0] : combineResults(resultSets, combine);
   
-  const addressParts = [];
-  if (streetAddress) addressParts.push(streetAddress);
-  if (addr.city) addressParts.push(addr.city);
-  if (addr.state) addressParts.push(addr.state);
-  if (addr.zip) addressParts.push(addr.zip);
+  console.log(`Filtered to ${filteredProperties.length} properties matching criteria`);
   
-  return addressParts.join(', ') || 'Address not available';
+  // Comparable price per sqft comes from every listing fetched, not just the ones that matched
+  const getComparablePricePerSqft = buildComparablePricePerSqft(listings);
+
+  // Format properties for the frontend
+  const allProperties = filteredProperties.map(property => formatProperty(property, getComparablePricePerSqft(property), now, getComps(property)));
+
+  // Tag and days-on-market filters; the filter options are counted before them so that picking a tag
+  // does not hide the others
+  const facets = countFacets(allProperties);
+  const formattedProperties = filterResults(allProperties, resultFilters);
+
+  // Sort before paginating; listings without a value for the field go last
+  const { field, zeroIsMissing } = SORT_OPTIONS[sortBy];
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const isMissing = value => value === null || value === undefined || (zeroIsMissing && value === 0);
+  formattedProperties.sort((a, b) => {
+    const aMissing = isMissing(a[field]);
+    const bMissing = isMissing(b[field]);
+    if (aMissing || bMissing) return aMissing - bMissing;
+    return (a[field] - b[field]) * direction;
+  });
+
+  return {
+    properties: formattedProperties,
+    facets,
+    area,
+    types: searchTypes,
+    combine,
+    sort: sortBy,
+    order: sortOrder,
+    upstreamTotal,
+    cache: cached.status,
+    fetchedAt: new Date(cached.fetchedAt).toISOString()
+  };
+}
+
+// API endpoint to calculate the purchase costs, monthly carrying costs and rental yield of a listing
+// Query: downPaymentPercent, interestRate, amortizationYears, firstTimeBuyer, monthlyRent, insuranceMonthly,
+// vacancyPercent, maintenancePercent; property tax and condo fees come from the listing
+app.get('/api/properties/:mlsNumber/costs', async (req, res) => {
+  try {
+    if (listingProvider.configError) {
+      return sendError(res, 'PROVIDER_NOT_CONFIGURED', listingProvider.configError);
+    }
+
+    let options;
+    try {
+      options = parseCostOptions(req.query);
+    } catch (validationError) {
+      return sendError(res, 'INVALID_REQUEST', validationError.message);
+    }
+
+    const listing = await getListing(req.params.mlsNumber);
+    if (!listing) {
+      return sendError(res, 'NOT_FOUND', `Listing ${req.params.mlsNumber} not found`);
+    }
+
+    try {
+      res.json({ mlsNumber: req.params.mlsNumber, ...calculateCosts(getCostInputs(listing), options) });
+    } catch (calculationError) {
+      sendError(res, 'INVALID_REQUEST', calculationError.message);
+    }
+  } catch (error) {
+    sendRouteError(res, error, 'Error calculating property costs');
+  }
+});
+
+// API endpoint to compare 2-4 listings side by side: ?mls=A1,B2,C3
+// Returns the full detail of each listing and the distance in km between every pair
+app.get('/api/properties/compare', async (req, res) => {
+  try {
+    const mlsNumbers = [...new Set(String(req.query.mls || '').split(',').map(mls => mls.trim()).filter(Boolean))];
+
+    if (listingProvider.configError) {
+      return sendError(res, 'PROVIDER_NOT_CONFIGURED', listingProvider.configError);
+    }
+    if (mlsNumbers.length < 2 || mlsNumbers.length > 4) {
+      return sendError(res, 'INVALID_REQUEST', 'Invalid mls: expected 2 to 4 comma-separated MLS numbers');
+    }
+
+    const listings = await Promise.all(mlsNumbers.map(mlsNumber => getListing(mlsNumber)));
+    const missing = mlsNumbers.filter((mlsNumber, index) => !listings[index]);
+    if (missing.length > 0) {
+      return sendError(res, 'NOT_FOUND', `Listings not found: ${missing.join(', ')}`);
+    }
+
+    const now = clock.now();
+    const properties = listings.map(listing => formatListingDetail(listing, now));
+    const distancesKm = properties.map(a => properties.map(b => {
+      if (a.latitude === null || a.longitude === null || b.latitude === null || b.longitude === null) return null;
+      return Math.round(calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) * 100) / 100;
+    }));
+
+    res.json({ properties, distancesKm });
+  } catch (error) {
+    sendRouteError(res, error, 'Error comparing properties');
+  }
+});
+
+// API endpoint to fetch the full detail of a single listing
+app.get('/api/properties/:mlsNumber', async (req, res) => {
+  try {
+    if (listingProvider.configError) {
+      return sendError(res, 'PROVIDER_NOT_CONFIGURED', listingProvider.configError);
+    }
+
+    const listing = await getListing(req.params.mlsNumber);
+    if (!listing) {
+      return sendError(res, 'NOT_FOUND', `Listing ${req.params.mlsNumber} not found`);
+    }
+
+    // Comparables for a single listing come from the sales within the radius around it
+    const now = clock.now();
+    const getComps = listing.latitude !== null && listing.longitude !== null
+      ? await loadCompsEstimator(parseSearchCriteria({ bbox: getBoundingBox(listing.latitude, listing.longitude, COMPS_RADIUS_KM).join(',') }), now)
+      : null;
+
+    res.json(formatListingDetail(listing, now, getComps));
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching property detail');
+  }
+});
+
+// API endpoint to list the bargain rules, so the UI can toggle them or tune thresholds per request
+app.get('/api/rules', (req, res) => {
+  res.json({
+    rules: bargainRules.map(({ id, label, description, predicate, thresholds, weight, enabled }) => ({
+      id, label, description, predicate, thresholds, weight, enabled
+    }))
+  });
+});
+
+// API endpoint to fetch the recorded price history of a listing
+app.get('/api/properties/:mlsNumber/history', (req, res) => {
+  const { mlsNumber } = req.params;
+  const history = priceHistory.get(mlsNumber);
+
+  if (!history || history.observations.length === 0) {
+    return sendError(res, 'NOT_FOUND', `No price history recorded for ${mlsNumber}`);
+  }
+
+  const { originalPrice, observations } = history;
+  const current = { listPrice: observations[observations.length - 1].price, originalPrice };
+  res.json({
+    mlsNumber,
+    originalPrice,
+    observations,
+    ...getPriceChangeStats(current, observations)
+  });
+});
+
+// API endpoint for market stats per city, neighbourhood or FSA (groupBy, default city): inventory, median
+// list price and days on market, the share of listings with each bargain tag and how often prices were cut
+// Aggregates the listings already in the listing cache, so nothing is fetched upstream; rules and thresholds
+// override the bargain rules as in /api/properties, and minListings (default 1) hides smaller groups
+app.get('/api/stats', (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'city';
+    if (!STATS_GROUPINGS[groupBy]) {
+      return sendError(res, 'INVALID_REQUEST', `Invalid groupBy: expected one of ${Object.keys(STATS_GROUPINGS).join(', ')}`);
+    }
+    const minListings = req.query.minListings === undefined ? 1 : Number(req.query.minListings);
+    if (!Number.isInteger(minListings) || minListings < 1) {
+      return sendError(res, 'INVALID_REQUEST', 'Invalid minListings: expected a positive whole number');
+    }
+
+    let rules;
+    try {
+      rules = resolveRules(bargainRules, req.query);
+    } catch (validationError) {
+      return sendError(res, 'INVALID_REQUEST', validationError.message);
+    }
+
+    const now = clock.now();
+    const { listings, updatedAt } = getCachedListings(listingCache);
+    const getComps = COMPS_RADIUS_KM > 0
+      ? createCompsEstimator(getCachedListings(soldListingCache).listings, {
+        radiusKm: COMPS_RADIUS_KM,
+        months: COMPS_MONTHS,
+        minSales: COMPS_MIN_SALES,
+        now
+      })
+      : null;
+    const context = { now, classifier: phraseClassifier, priceHistory, getComps };
+
+    const stats = aggregateMarketStats(listings, {
+      groupBy,
+      minListings,
+      now,
+      tagIds: rules.filter(rule => rule.enabled).map(rule => rule.id),
+      getTags: listing => getBargainMatches(listing, rules, context).map(match => match.id),
+      getPriceCuts: listing => getPriceChangeStats(listing, priceHistory.getObservations(listing.mlsNumber)).reductions
+    });
+
+    res.json({
+      groupBy,
+      listings: listings.length,
+      updatedAt,
+      ...stats
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error calculating market stats');
+  }
+});
+
+// Helper function to start a session and send its cookie
+function startSession(res, user) {
+  res.cookie(SESSION_COOKIE, sessions.create(user.id), {
+    httpOnly: true,
+    secure: SESSION_COOKIE_SECURE,
+    sameSite: SESSION_COOKIE_SECURE ? 'none' : 'lax',
+    maxAge: sessions.ttlMs
+  });
 }
 
-// Get tags for "捡漏房" properties based on criteria
-function getBargainTags(property) {
-  const tags = [];
-  const now = new Date();
-  const oneYearAgo = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
-  const twoMonthsInDays = 60;
+// Require a logged-in user
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return sendError(res, 'LOGIN_REQUIRED', 'Login required');
+  }
+  next();
+}
+
+// API endpoints for local accounts: register, log in, log out and the current user
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const user = await users.register(req.body?.username, req.body?.password);
+    startSession(res, user);
+    res.status(201).json({ user: toPublicUser(user) });
+  } catch (error) {
+    sendInvalidRequest(res, error);
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const user = await users.authenticate(req.body?.username, req.body?.password);
+    if (!user) {
+      return sendError(res, 'INVALID_CREDENTIALS', 'Invalid username or password');
+    }
+    startSession(res, user);
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    sendRouteError(res, error, 'Login failed');
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  sessions.destroy(readCookie(req, SESSION_COOKIE));
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, secure: SESSION_COOKIE_SECURE, sameSite: SESSION_COOKIE_SECURE ? 'none' : 'lax' });
+  res.status(204).end();
+});
+
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+// API endpoints for the logged-in user's shortlist: starred listings, private notes and a status
+// PUT body: { starred, note, status: interested|viewed|offered|rejected, property } (any subset)
+app.get('/api/me/shortlist', requireUser, (req, res) => {
+  res.json({ items: users.getShortlist(req.user.id) });
+});
+
+app.put('/api/me/shortlist/:mlsNumber', requireUser, (req, res) => {
+  try {
+    const item = users.updateShortlistItem(req.user.id, req.params.mlsNumber, req.body || {});
+    if (!item) {
+      return res.status(204).end();
+    }
+    res.json(item);
+  } catch (error) {
+    sendInvalidRequest(res, error);
+  }
+});
+
+app.delete('/api/me/shortlist/:mlsNumber', requireUser, (req, res) => {
+  if (!users.removeShortlistItem(req.user.id, req.params.mlsNumber)) {
+    return sendError(res, 'NOT_FOUND', `${req.params.mlsNumber} is not on your shortlist`);
+  }
+  res.status(204).end();
+});
+
+// API endpoints to manage saved searches
+// Body: { name, query: { type, combine, sort, rules, thresholds, minPrice, ... }, notify: { email, webhookUrl }, frequencyMinutes }
+// Saved searches send email and webhooks on a schedule, so they need a login; each user only sees their own
+app.use('/api/saved-searches', requireUser);
 
-  // Tag 1: "long time no sold" - on market >= 2 months
-  const daysOnMarket = property.simpleDaysOnMarket !== null && property.simpleDaysOnMarket !== undefined 
-    ? property.simpleDaysOnMarket 
-    : (property.listDate ? Math.floor((now - new Date(property.listDate)) / (1000 * 60 * 60 * 24)) : 0);
-  if (daysOnMarket >= twoMonthsInDays) {
-    tags.push('long time no sold');
+app.get('/api/saved-searches', (req, res) => {
+  res.json({ savedSearches: savedSearches.listForUser(req.user.id).map(summarizeSavedSearch) });
+});
+
+app.post('/api/saved-searches', async (req, res) => {
+  let search;
+  try {
+    search = savedSearches.create(req.body || {}, req.user.id);
+  } catch (error) {
+    return sendInvalidRequest(res, error);
   }
+  await trySendEmailCode(search);
+  res.status(201).json(summarizeSavedSearch(search));
+});
 
-  // Tag 2: "reposted" - has terminated listing in past year
-  const terminatedDate = property.timestamps?.terminatedDate ? new Date(property.timestamps.terminatedDate) : null;
-  if (terminatedDate && terminatedDate >= oneYearAgo) {
-    tags.push('reposted');
+app.get('/api/saved-searches/:id', (req, res) => {
+  const search = getOwnSavedSearch(req);
+  if (!search) {
+    return sendError(res, 'NOT_FOUND', `Saved search ${req.params.id} not found`);
   }
+  res.json(summarizeSavedSearch(search));
+});
 
-  // Tag 3: "selling at a loss" - current price < purchase price
-  const originalPrice = property.originalPrice || property.soldPrice;
-  if (originalPrice && property.listPrice && property.listPrice > 0 && property.listPrice < originalPrice) {
-    tags.push('selling at a loss');
+app.put('/api/saved-searches/:id', async (req, res) => {
+  let search;
+  try {
+    search = getOwnSavedSearch(req) && savedSearches.update(req.params.id, req.body || {});
+  } catch (error) {
+    return sendInvalidRequest(res, error);
+  }
+  if (!search) {
+    return sendError(res, 'NOT_FOUND', `Saved search ${req.params.id} not found`);
   }
+  await trySendEmailCode(search);
+  res.json(summarizeSavedSearch(search));
+});
 
-  // Tag 4: "selling at huge profit" - current price >= 100% higher than purchase price
-  if (originalPrice && property.listPrice && property.listPrice > 0 && property.listPrice >= originalPrice * 2) {
-    tags.push('selling at huge profit');
+app.delete('/api/saved-searches/:id', (req, res) => {
+  if (!getOwnSavedSearch(req) || !savedSearches.remove(req.params.id)) {
+    return sendError(res, 'NOT_FOUND', `Saved search ${req.params.id} not found`);
   }
+  res.status(204).end();
+});
 
-  // Tag 5: "quicky" - quick deal (close date within 30 days)
-  const possessionDate = property.timestamps?.possessionDate ? new Date(property.timestamps.possessionDate) : null;
-  const thirtyDaysFromNow = new Date(now);
-  thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-  if (possessionDate && possessionDate <= thirtyDaysFromNow && possessionDate >= now) {
-    tags.push('quicky');
+// Alert emails go out once the address is confirmed: saving a search with a new address mails it a code, which
+// is entered with POST .../confirm-email { code }; POST .../email-code sends a new one
+app.post('/api/saved-searches/:id/email-code', async (req, res) => {
+  const search = getOwnSavedSearch(req);
+  if (!search) {
+    return sendError(res, 'NOT_FOUND', `Saved search ${req.params.id} not found`);
   }
 
-  // Tag 6: "last deal fell through" - conditional sale that didn't close
-  const conditionalExpiryDate = property.timestamps?.conditionalExpiryDate;
-  const closedDate = property.timestamps?.closedDate;
-  if (conditionalExpiryDate && !closedDate) {
-    tags.push('last deal fell through');
+  try {
+    await sendEmailCode(search);
+    res.json(summarizeSavedSearch(search));
+  } catch (error) {
+    sendRouteError(res, error, `Sending the confirmation code of saved search "${search.name}" failed`);
   }
+});
 
-  // Tag 7: "estate sell" - estate sale
-  const description = property.details?.description || '';
-  if (description.toLowerCase().includes('estate')) {
-    tags.push('estate sell');
+app.post('/api/saved-searches/:id/confirm-email', (req, res) => {
+  const search = getOwnSavedSearch(req);
+  if (!search) {
+    return sendError(res, 'NOT_FOUND', `Saved search ${req.params.id} not found`);
+  }
+  if (!savedSearches.confirmEmail(search.id, req.body?.code)) {
+    return sendError(res, 'WRONG_CONFIRMATION_CODE', 'Wrong or expired confirmation code');
   }
+  res.json(summarizeSavedSearch(search));
+});
 
-  return tags;
+// Helper function to mail a new confirmation code to a saved search's alert email
+// Throws an apiError when email is not set up, there is nothing to confirm or the user was sent a code too recently
+async function sendEmailCode(search) {
+  if (!emailNotifier) {
+    throw apiError('INVALID_REQUEST', 'Email alerts are not set up on this server');
+  }
+
+  let issued;
+  try {
+    issued = savedSearches.issueEmailCode(search.id);
+  } catch (error) {
+    throw apiError('INVALID_REQUEST', error.message);
+  }
+  if (!issued.code) {
+    throw apiError('RATE_LIMITED', 'A confirmation code was sent recently, please try again later', { retryAfterMs: issued.retryAfterMs });
+  }
+  await emailNotifier.sendConfirmationCode(search, issued.code);
 }
 
-// Filter properties based on the specified criteria
-function filterProperties(properties) {
-  const now = new Date();
-  const oneYearAgo = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
-  const twoMonthsInDays = 60; // Approximate 2 months in days
+// Helper function to mail a confirmation code after a search is saved with an unconfirmed address
+// Saving still succeeds when it cannot be sent; the code can be asked for again
+async function trySendEmailCode(search) {
+  if (!emailNotifier || !search.emailConfirmation || search.emailConfirmation.confirmedAt || search.emailConfirmation.code) return;
+  try {
+    await sendEmailCode(search);
+  } catch (error) {
+    console.error(`Could not send the confirmation code of saved search "${search.name}":`, error.message);
+  }
+}
 
-  return properties.filter(property => {
-    // Criterion 1: Have been on the market for at least 2 months
-    const daysOnMarket = property.simpleDaysOnMarket !== null && property.simpleDaysOnMarket !== undefined 
-      ? property.simpleDaysOnMarket 
-      : (property.listDate ? Math.floor((now - new Date(property.listDate)) / (1000 * 60 * 60 * 24)) : 0);
-    const onMarket2Months = daysOnMarket >= twoMonthsInDays;
+// Run a saved search now and send alerts for anything new or changed since its last run
+// Like the scheduler, a search runs at most every SAVED_SEARCH_MIN_FREQUENCY_MINUTES
+app.post('/api/saved-searches/:id/run', async (req, res) => {
+  const search = getOwnSavedSearch(req);
+  if (!search) {
+    return sendError(res, 'NOT_FOUND', `Saved search ${req.params.id} not found`);
+  }
+  const retryAfterMs = savedSearches.getRunRetryAfterMs(search.id);
+  if (retryAfterMs > 0) {
+    return sendError(res, 'RATE_LIMITED', `Saved search "${search.name}" was checked recently, please try again later`, { retryAfterMs });
+  }
 
-    // Criterion 2: Have at least 1 "terminated" status listing in the past year
-    const terminatedDate = property.timestamps?.terminatedDate ? new Date(property.timestamps.terminatedDate) : null;
-    const hasTerminatedListing = terminatedDate && terminatedDate >= oneYearAgo;
+  try {
+    res.json(await runSavedSearch(search));
+  } catch (error) {
+    sendRouteError(res, error, `Saved search "${search.name}" failed`);
+  }
+});
 
-    // Criterion 3: Current market price is lower than what they bought for
-    const originalPrice = property.originalPrice || property.soldPrice;
-    const priceBelowPurchase = originalPrice && property.listPrice && property.listPrice > 0 && 
-                                property.listPrice < originalPrice;
+// Helper function to find the saved search in the URL when it belongs to the logged-in user
+// Searches saved without an account (before saved searches needed a login) belong to nobody
+function getOwnSavedSearch(req) {
+  const search = savedSearches.get(req.params.id);
+  return search && search.userId && search.userId === req.user?.id ? search : null;
+}
 
-    // Criterion 4: Current market price is at least 100% higher than what they bought for
-    const priceDoublePurchase = originalPrice && property.listPrice && property.listPrice > 0 && 
-                                 property.listPrice >= originalPrice * 2;
+// Helper function to leave the stored results and the email confirmation code out of API responses
+// emailConfirmed tells whether alerts go to the email address; emailCodeSent whether a code is waiting to be entered
+function summarizeSavedSearch({ lastResults, emailConfirmation, ...search }) {
+  return {
+    ...search,
+    emailConfirmed: !!emailConfirmation?.confirmedAt,
+    emailCodeSent: !!emailConfirmation?.code,
+    lastResultCount: lastResults ? Object.keys(lastResults).length : null
+  };
+}
 
-    // Criterion 5: They ask for quick deal (close date within 30 days)
-    const possessionDate = property.timestamps?.possessionDate ? new Date(property.timestamps.possessionDate) : null;
-    const thirtyDaysFromNow = new Date(now);
-    thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-    const quickClose = possessionDate && possessionDate <= thirtyDaysFromNow && possessionDate >= now;
+// Helper function to add English labels for the tags of a listing in an alert, next to the tag IDs
+// Removed tags no longer have the values that filled in their labels, so placeholders stay as they are
+function labelAlertTags(property) {
+  const label = id => getTagLabel(id, property.tagValues?.[id], bargainRules, 'en');
+  const tagChanges = property.changes?.tags;
+  return {
+    ...property,
+    tagLabels: property.tags.map(label),
+    ...(tagChanges && {
+      changes: { ...property.changes, tagLabels: { added: tagChanges.added.map(label), removed: tagChanges.removed.map(label) } }
+    })
+  };
+}
+
+// Run a saved search, diff against its previous results by MLS number and alert on new or changed listings
+// The first run only records a baseline, otherwise every current listing would be reported as new
+// When every alert channel fails, the results are not recorded, so the next run alerts on them again
+// A run that throws is recorded as failed, so the search waits its usual interval before the next attempt
+async function runSavedSearch(search) {
+  try {
+    return await runSavedSearchAlerts(search);
+  } catch (error) {
+    savedSearches.recordFailedRun(search.id, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+// Helper function to run a saved search and send its alerts (see runSavedSearch)
+async function runSavedSearchAlerts(search) {
+  const { properties } = await searchProperties(search.query);
+  const baseline = !search.lastResults;
+  const diff = baseline ? { added: [], changed: [] } : diffResults(search.lastResults, properties);
+
+  let delivery = { sent: [], failed: [] };
+  if (diff.added.length > 0 || diff.changed.length > 0) {
+    delivery = await sendAlert(alertNotifiers, search, {
+      added: diff.added.map(labelAlertTags),
+      changed: diff.changed.map(labelAlertTags)
+    });
+  }
+  const undelivered = delivery.failed.length > 0 && delivery.sent.length === 0;
+  if (undelivered) {
+    savedSearches.recordFailedRun(search.id);
+  } else {
+    savedSearches.recordRun(search.id, properties);
+  }
+
+  console.log(`Saved search "${search.name}": ${properties.length} matches, ${diff.added.length} new, ${diff.changed.length} changed${baseline ? ' (baseline)' : ''}${undelivered ? ', alert not delivered' : ''}`);
+  return {
+    id: search.id,
+    baseline,
+    delivered: !undelivered,
+    total: properties.length,
+    added: diff.added,
+    changed: diff.changed,
+    ...delivery
+  };
+}
+
+// Periodically run the saved searches that are due
+function startSavedSearchScheduler() {
+  if (!(SAVED_SEARCH_CHECK_MINUTES > 0)) return;
+
+  let running = false;
+  const runDueSearches = async () => {
+    // Skip a tick rather than overlap when a previous check is still running
+    if (running) return;
+    running = true;
+    try {
+      for (const search of savedSearches.listDue()) {
+        try {
+          await runSavedSearch(search);
+        } catch (error) {
+          console.error(`Saved search "${search.name}" failed:`, error.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
 
-    // Criterion 6: Their last listing had a deal fell through
-    const conditionalExpiryDate = property.timestamps?.conditionalExpiryDate;
-    const closedDate = property.timestamps?.closedDate;
-    const dealFellThrough = conditionalExpiryDate && !closedDate;
+  runDueSearches();
+  setInterval(runDueSearches, SAVED_SEARCH_CHECK_MINUTES * 60 * 1000);
+  console.log(`Checking saved searches every ${SAVED_SEARCH_CHECK_MINUTES} minutes`);
+}
 
-    // Criterion 7: Estate sells
-    const description = property.details?.description || '';
-    const isEstateSale = description.toLowerCase().includes('estate');
+// Filter properties based on a single search type, with the thresholds the query may override
+// (see parseSearchModeOptions; null falls back to the configured default)
+async function filterBySearchType(searchType, listings, rules, modeOptions, { now, getComps }) {
+  switch (searchType) {
+    case 'fixer':
+      return filterFixerProperties(listings, {
+        classifier: phraseClassifier,
+        minConfidence: modeOptions.minFixerConfidence ?? phraseClassifier.getMinConfidence('fixer')
+      });
+    case 'school':
+      return filterSchoolProperties(listings, await getSchools(), {
+        minRating: modeOptions.minRating ?? SCHOOL_MIN_RATING,
+        radiusKm: modeOptions.radiusKm ?? SCHOOL_RADIUS_KM
+      });
+    case 'subway':
+      return filterSubwayProperties(listings, await getStations(), {
+        maxWalkMinutes: modeOptions.maxWalkMinutes ?? SUBWAY_MAX_WALK_MINUTES,
+        walkingSpeedKmh: WALKING_SPEED_KMH
+      });
+    case 'bargain':
+    default:
+      return filterBargainProperties(listings, rules, { now, classifier: phraseClassifier, priceHistory, getComps });
+  }
+}
 
-    // Return true if property satisfies at least one criterion
-    return onMarket2Months || hasTerminatedListing || priceBelowPurchase || 
-           priceDoublePurchase || quickClose || dealFellThrough || isEstateSale;
+// Helper function to format the detail of a single listing, with the default bargain rules
+function formatListingDetail(listing, now, getComps = null) {
+  return formatPropertyDetail(listing, {
+    bargainMatches: getBargainMatches(listing, bargainRules, { now, classifier: phraseClassifier, priceHistory, getComps }),
+    rules: bargainRules,
+    classifier: phraseClassifier,
+    comps: getComps?.(listing) ?? null,
+    now
   });
 }
 
-// Filter properties for "翻修房" - properties with "sold as is" in description
-function filterFixerProperties(properties) {
-  return properties.filter(property => {
-    const description = property.details?.description || '';
-    return description.toLowerCase().includes('sold as is');
+// Require the admin token for cache administration; without ADMIN_TOKEN the admin endpoints are turned off
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return sendError(res, 'NOT_FOUND', 'Cache administration is disabled: ADMIN_TOKEN is not set');
+  }
+  if (!isSameToken(req.get('X-Admin-Token') || '', adminToken)) {
+    return sendError(res, 'ADMIN_TOKEN_REQUIRED', 'Admin token required');
+  }
+  next();
+}
+
+// Helper function to compare tokens in constant time; hashing first gives both the same length
+function isSameToken(given, expected) {
+  const hash = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(hash(given), hash(expected));
+}
+
+// Admin endpoint to inspect the listing cache
+app.get('/api/cache', requireAdmin, (req, res) => {
+  res.json({
+    ttlSeconds: listingCache.ttlMs / 1000,
+    staleSeconds: listingCache.staleMs / 1000,
+    fallbackSeconds: listingCache.fallbackMs / 1000,
+    maxEntries: listingCache.maxEntries,
+    snapshotPath: listingCache.snapshotPath,
+    circuit: providerCircuit.status(),
+    entries: listingCache.list()
   });
+});
+
+// Admin endpoint to flush the listing cache (all entries, or a single ?key=)
+app.delete('/api/cache', requireAdmin, (req, res) => {
+  const removed = listingCache.flush(req.query.key);
+  res.json({ removed });
+});
+
+// Unknown API routes get a JSON error like every other API response
+app.use('/api', (req, res) => {
+  sendError(res, 'NOT_FOUND', `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+});
+
+// Errors that reach Express (a malformed JSON body, or one a route passed on) are sent as JSON too,
+// never as Express's HTML page with the stack trace
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_REQUEST', 'Invalid JSON body');
+  }
+  sendRouteError(res, err, `Error handling ${req.method} ${req.path}`);
+});
+
+// Helper function to key the listing caches by provider, kind of query and search criteria
+function getCacheKey(kind, criteria) {
+  return `${listingProvider.name}/${kind}/${JSON.stringify(criteria)}`;
 }
 
-// Helper function to calculate distance between two coordinates (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in km
-}
-
-// Helper function to calculate walking time in minutes (assuming 5 km/h walking speed)
-function calculateWalkingTime(distanceKm) {
-  const walkingSpeedKmh = 5;
-  return (distanceKm / walkingSpeedKmh) * 60; // Time in minutes
-}
-
-// Filter properties for "学区房" - properties within 10km of schools rated 9.0+
-// Note: This requires integration with a school data API (e.g., school rating database)
-// For now, this is a placeholder that returns all properties with coordinates
-// Full implementation requires external school data API
-async function filterSchoolProperties(properties) {
-  // TODO: Integrate with school data API to get schools with ratings 9.0+
-  // For now, return properties that have coordinates (as a placeholder)
-  // In production, you would:
-  // 1. Get list of schools with ratings >= 9.0 from school database/API
-  // 2. For each property, check if it's within 10km of any high-rated school
-  // 3. Return matching properties
-  
-  return properties.filter(property => {
-    const lat = property.map?.latitude;
-    const lon = property.map?.longitude;
-    // Placeholder: return properties with coordinates
-    // Full implementation requires school data API
-    return lat && lon;
+// Get a single listing through the listing cache, recording its price like any other fetch
+// Cached as { listings: [listing] } (or an empty list when not found) so the cache admin counts it like a search
+async function getListing(mlsNumber) {
+  const cached = await listingCache.get(`${listingProvider.name}/listing/${mlsNumber}`, async () => {
+    const listing = await listingProvider.getListing(mlsNumber);
+    if (listing) priceHistory.record([listing]);
+    return { listings: listing ? [listing] : [] };
   });
+  return cached.value.listings[0] || null;
 }
 
-// Filter properties for "5分钟内到地铁" - properties within 5 min walk of subway stations
-// Note: This requires integration with transit/subway data API
-// For now, this is a placeholder that returns all properties with coordinates
-// Full implementation requires external transit API (e.g., Google Maps, Transit API)
-async function filterSubwayProperties(properties) {
-  // TODO: Integrate with transit/subway API to get subway station locations
-  // For now, return properties that have coordinates (as a placeholder)
-  // In production, you would:
-  // 1. Get list of subway station coordinates from transit API
-  // 2. For each property, calculate walking distance to nearest subway station
-  // 3. If walking time <= 5 minutes, include the property
-  // 4. Return matching properties
-  
-  // Placeholder implementation - in production, you'd need:
-  // - Transit API key (e.g., Google Maps, TTC API for Toronto)
-  // - Subway station data
-  // - Walking distance/routing calculation
-  
-  return properties.filter(property => {
-    const lat = property.map?.latitude;
-    const lon = property.map?.longitude;
-    // Placeholder: return properties with coordinates
-    // Full implementation requires transit/subway data API
-    return lat && lon;
+// Every listing of the current provider in a listing cache, once each (the most recently fetched copy
+// when several queries returned it), and when the newest of them was fetched (null for an empty cache)
+function getCachedListings(cache) {
+  const byMls = new Map();
+  let updatedAt = null;
+  const entries = cache.all()
+    .filter(entry => entry.key.startsWith(`${listingProvider.name}/`))
+    .sort((a, b) => a.fetchedAt - b.fetchedAt);
+
+  for (const entry of entries) {
+    for (const listing of entry.value?.listings || []) {
+      if (listing.mlsNumber) byMls.set(listing.mlsNumber, listing);
+    }
+    updatedAt = new Date(entry.fetchedAt).toISOString();
+  }
+  return { listings: [...byMls.values()], updatedAt };
+}
+
+// Load recent sales in the same area as a search and build the comparable-sales estimator: same city,
+// property type and map area, sold within COMPS_MONTHS; price criteria are left out since they apply to asking prices
+// Comparables are extra information, so when they cannot be loaded every estimate is simply null
+async function loadCompsEstimator(criteria, now) {
+  if (!(COMPS_RADIUS_KM > 0)) return () => null;
+
+  try {
+    const soldCriteria = { ...criteria, minPrice: null, maxPrice: null };
+    // Whole days keep the cache key stable through the day
+    const since = new Date(now.toISOString().slice(0, 10));
+    since.setUTCDate(since.getUTCDate() - Math.round(COMPS_MONTHS * 30));
+    const cacheKey = getCacheKey(`sold-since-${since.toISOString().slice(0, 10)}`, soldCriteria);
+    const cached = await soldListingCache.get(cacheKey, () => listingProvider.searchSoldListings(soldCriteria, { since }));
+    return createCompsEstimator(cached.value.listings, {
+      radiusKm: COMPS_RADIUS_KM,
+      months: COMPS_MONTHS,
+      minSales: COMPS_MIN_SALES,
+      now
+    });
+  } catch (error) {
+    console.error('Failed to load comparable sales:', error.message);
+    return () => null;
+  }
+}
+
+// Helper function to get the [west, south, east, north] box that contains a radius around a point
+function getBoundingBox(latitude, longitude, radiusKm) {
+  const latDelta = radiusKm / 111;
+  const lonDelta = radiusKm / (111 * Math.cos(latitude * Math.PI / 180));
+  return [longitude - lonDelta, latitude - latDelta, longitude + lonDelta, latitude + latDelta]
+    .map(value => Math.round(value * 1e5) / 1e5);
+}
+
+// Turn the area filters of a search into the area to keep listings in, geocoding an address to start from
+// Returns null when the search has no area, otherwise { polygons, origin, maxMinutes, travelMode, speedKmh,
+// radiusKm } with origin { latitude, longitude, label } (or null) and the farthest reach in radiusKm
+async function resolveSearchArea({ polygons, near, withinMinutes, travelMode }) {
+  if (polygons.length === 0 && !near) return null;
+
+  let origin = null;
+  if (near?.address) {
+    origin = await geocoder.geocode(near.address);
+    if (!origin) throw apiError('INVALID_REQUEST', `Address not found: ${near.address}`);
+  } else if (near) {
+    origin = { ...near, label: `${near.latitude},${near.longitude}` };
+  }
+
+  const speedKmh = travelMode ? TRAVEL_SPEEDS_KMH[travelMode] : null;
+  return {
+    polygons,
+    origin,
+    maxMinutes: withinMinutes,
+    travelMode,
+    speedKmh,
+    radiusKm: origin ? Math.round((speedKmh * withinMinutes / 60) * 100) / 100 : null
+  };
+}
+
+// Helper function to get the [west, south, east, north] box around a search area: the drawn polygons,
+// or the reach around the origin
+function getAreaBoundingBox({ polygons, origin, radiusKm }) {
+  if (polygons.length === 0) return getBoundingBox(origin.latitude, origin.longitude, radiusKm);
+
+  const points = polygons.flat();
+  const latitudes = points.map(([latitude]) => latitude);
+  const longitudes = points.map(([, longitude]) => longitude);
+  return [Math.min(...longitudes), Math.min(...latitudes), Math.max(...longitudes), Math.max(...latitudes)];
+}
+
+// Fetch listings from the provider and record their current prices in the price history
+async function fetchAndRecordListings(criteria) {
+  const result = await listingProvider.searchListings(criteria);
+  const added = priceHistory.record(result.listings);
+  if (added > 0) {
+    console.log(`Recorded ${added} new price observations`);
+  }
+  return result;
+}
+
+// Fetch the default Ontario query and record its prices, bypassing the listing cache
+function takePriceSnapshot() {
+  return fetchAndRecordListings(parseSearchCriteria({}));
+}
+
+// Periodically snapshot the default Ontario query so price history builds up without user searches
+function startPriceSnapshots() {
+  if (listingProvider.configError || !(PRICE_SNAPSHOT_INTERVAL_MINUTES > 0)) return;
+
+  const takeSnapshot = () => {
+    takePriceSnapshot().catch(error => {
+      console.error('Price snapshot failed:', error.message);
+    });
+  };
+
+  takeSnapshot();
+  setInterval(takeSnapshot, PRICE_SNAPSHOT_INTERVAL_MINUTES * 60 * 1000);
+  console.log(`Taking price snapshots every ${PRICE_SNAPSHOT_INTERVAL_MINUTES} minutes`);
+}
+
+// School dataset settings (override via .env)
+// SCHOOL_DATA_PATH (relative to backend/) may point to a CSV (name,board,level,rating,latitude,longitude) or a GeoJSON FeatureCollection
+const SCHOOL_DATA_PATH = resolve(__dirname, process.env.SCHOOL_DATA_PATH || join('data', 'schools.csv'));
+const SCHOOL_MIN_RATING = parseFloat(process.env.SCHOOL_MIN_RATING) || 9.0;
+const SCHOOL_RADIUS_KM = parseFloat(process.env.SCHOOL_RADIUS_KM) || 10;
+
+let schoolsCache = null;
+
+// Load the school dataset once and keep it in memory
+async function getSchools() {
+  if (!schoolsCache) schoolsCache = await loadSchools(SCHOOL_DATA_PATH);
+  return schoolsCache;
+}
+
+// Transit dataset settings (override via .env)
+// TRANSIT_GTFS_DIRS is a comma-separated list of GTFS feed directories (relative to backend/); defaults to every folder in data/gtfs
+const TRANSIT_GTFS_ROOT = join(__dirname, 'data', 'gtfs');
+const TRANSIT_GTFS_DIRS = process.env.TRANSIT_GTFS_DIRS
+  ? process.env.TRANSIT_GTFS_DIRS.split(',').map(dir => dir.trim()).filter(Boolean).map(dir => resolve(__dirname, dir))
+  : null;
+const SUBWAY_MAX_WALK_MINUTES = parseFloat(process.env.SUBWAY_MAX_WALK_MINUTES) || 5;
+
+let stationsCache = null;
+
+// Load subway/LRT stations from all configured GTFS feeds once and keep them in memory
+async function getStations() {
+  if (stationsCache) return stationsCache;
+
+  const feedDirs = TRANSIT_GTFS_DIRS || (await readdir(TRANSIT_GTFS_ROOT, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => join(TRANSIT_GTFS_ROOT, entry.name));
+  stationsCache = await loadStations(feedDirs);
+  return stationsCache;
+}
+
+// Listen only when run directly (npm start); tests import the app and drive it with supertest
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  app.listen(PORT, () => {
+    console.log(`Backend server running on http://localhost:${PORT}`);
+    startPriceSnapshots();
+    startSavedSearchScheduler();
   });
 }
 
-app.listen(PORT, () => {
-  console.log(`Backend server running on http://localhost:${PORT}`);
-});
+export { app, searchProperties, takePriceSnapshot };
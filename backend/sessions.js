@@ -0,0 +1,69 @@
+import { randomBytes } from 'crypto';
+import { readJsonFile, createJsonFileWriter } from './jsonFile.js';
+
+// Login sessions keyed by a random id that is sent to the browser in a cookie
+// Sessions are { userId, expiresAt } and are persisted so logins survive a restart
+export function createSessionStore({ filePath, ttlMs }) {
+  const sessions = new Map();
+  const { scheduleSave } = createJsonFileWriter(filePath, () => ({ sessions: Object.fromEntries(sessions) }));
+
+  async function load() {
+    try {
+      const saved = await readJsonFile(filePath);
+      if (!saved) return;
+      const now = Date.now();
+      for (const [id, session] of Object.entries(saved.sessions || {})) {
+        if (session.expiresAt > now) sessions.set(id, session);
+      }
+    } catch (error) {
+      console.error(`Failed to load sessions from ${filePath}:`, error.message);
+    }
+  }
+
+  function create(userId) {
+    const id = randomBytes(32).toString('hex');
+    sessions.set(id, { userId, expiresAt: Date.now() + ttlMs });
+    scheduleSave();
+    return id;
+  }
+
+  // Returns the user id of a live session, or null
+  function getUserId(id) {
+    const session = id ? sessions.get(id) : null;
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(id);
+      scheduleSave();
+      return null;
+    }
+    return session.userId;
+  }
+
+  function destroy(id) {
+    if (sessions.delete(id)) scheduleSave();
+  }
+
+  return {
+    ttlMs,
+    load,
+    create,
+    getUserId,
+    destroy
+  };
+}
+
+// Helper function to read one cookie from the request's Cookie header
+// A value that is not valid URI encoding is treated as absent rather than failing the request
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key !== name) continue;
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,150 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import request from 'supertest';
+
+// Integration tests for the account and shortlist routes; they never reach the listing provider, so the
+// server runs on the bundled fixture listings
+let app;
+let storageDir;
+
+before(async () => {
+  storageDir = await mkdtemp(join(tmpdir(), 'housing-auth-test-'));
+  Object.assign(process.env, {
+    LISTING_PROVIDER: 'fixture',
+    PRICE_HISTORY_PATH: join(storageDir, 'price-history.json'),
+    SAVED_SEARCHES_PATH: join(storageDir, 'saved-searches.json'),
+    USERS_PATH: join(storageDir, 'users.json'),
+    SESSIONS_PATH: join(storageDir, 'sessions.json'),
+    LISTING_CACHE_SNAPSHOT_PATH: ''
+  });
+
+  // Imported after the environment is set, since the server reads its settings on load
+  ({ app } = await import('../server.js'));
+});
+
+after(async () => {
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+// Helper function to register a user and return an agent that keeps their session cookie
+async function registerAgent(username, password = `${username}-password`) {
+  const agent = request.agent(app);
+  await agent.post('/api/auth/register').send({ username, password }).expect(201);
+  return agent;
+}
+
+describe('/api/auth', () => {
+  test('registers a user and starts a session', async () => {
+    const agent = request.agent(app);
+    const res = await agent.post('/api/auth/register').send({ username: 'alice', password: 'alice-password' }).expect(201);
+    assert.deepEqual(Object.keys(res.body.user).sort(), ['createdAt', 'id', 'username']);
+    assert.match(res.headers['set-cookie'][0], /^housing_session=.+; .*HttpOnly/);
+
+    const me = await agent.get('/api/auth/me').expect(200);
+    assert.equal(me.body.user.id, res.body.user.id);
+  });
+
+  test('refuses invalid registrations with a code for each reason', async () => {
+    await registerAgent('bob');
+    for (const [body, code] of [
+      [{ username: 'b', password: 'long-enough' }, 'INVALID_USERNAME'],
+      [{ username: 'carol', password: 'short' }, 'PASSWORD_TOO_SHORT'],
+      [{ username: 'BOB', password: 'another-password' }, 'USERNAME_TAKEN'],
+      [undefined, 'INVALID_USERNAME']
+    ]) {
+      const res = await request(app).post('/api/auth/register').send(body).expect(400);
+      assert.equal(res.body.code, code);
+      assert.equal(res.headers['set-cookie'], undefined);
+    }
+  });
+
+  test('logs in with the registered password only', async () => {
+    await registerAgent('dave');
+    for (const body of [{ username: 'dave', password: 'wrong-password' }, { username: 'nobody', password: 'dave-password' }, {}]) {
+      const res = await request(app).post('/api/auth/login').send(body).expect(401);
+      assert.equal(res.body.code, 'INVALID_CREDENTIALS');
+      assert.equal(res.headers['set-cookie'], undefined);
+    }
+
+    const agent = request.agent(app);
+    const res = await agent.post('/api/auth/login').send({ username: 'Dave', password: 'dave-password' }).expect(200);
+    assert.equal(res.body.user.username, 'dave');
+    assert.equal((await agent.get('/api/auth/me').expect(200)).body.user.username, 'dave');
+  });
+
+  test('requires a session for /api/auth/me', async () => {
+    for (const cookie of [null, 'housing_session=unknown-session', 'housing_session=%E0%A4%A']) {
+      const req = request(app).get('/api/auth/me');
+      const res = await (cookie ? req.set('Cookie', cookie) : req).expect(401);
+      assert.equal(res.body.code, 'LOGIN_REQUIRED');
+    }
+  });
+
+  test('ends the session on logout', async () => {
+    const agent = await registerAgent('erin');
+    const login = await request(app).post('/api/auth/login').send({ username: 'erin', password: 'erin-password' }).expect(200);
+    const cookie = login.headers['set-cookie'][0].split(';')[0];
+
+    await request(app).post('/api/auth/logout').set('Cookie', cookie).expect(204);
+    await request(app).get('/api/auth/me').set('Cookie', cookie).expect(401);
+    // Other sessions of the same user stay logged in
+    await agent.get('/api/auth/me').expect(200);
+    await request(app).post('/api/auth/logout').expect(204);
+  });
+});
+
+describe('/api/me/shortlist', () => {
+  test('requires a login', async () => {
+    for (const req of [
+      request(app).get('/api/me/shortlist'),
+      request(app).put('/api/me/shortlist/C9001001').send({ starred: true }),
+      request(app).delete('/api/me/shortlist/C9001001')
+    ]) {
+      const res = await req.expect(401);
+      assert.equal(res.body.code, 'LOGIN_REQUIRED');
+    }
+  });
+
+  test('stars, annotates and removes listings', async () => {
+    const agent = await registerAgent('frank');
+    assert.deepEqual((await agent.get('/api/me/shortlist').expect(200)).body.items, []);
+
+    const starred = await agent.put('/api/me/shortlist/C9001001').send({ starred: true, property: { address: '4800 Yonge St' } }).expect(200);
+    assert.equal(starred.body.mlsNumber, 'C9001001');
+    assert.equal(starred.body.starred, true);
+    const noted = await agent.put('/api/me/shortlist/C9001001').send({ note: 'Call the agent', status: 'viewed' }).expect(200);
+    assert.equal(noted.body.starred, true);
+    assert.deepEqual(noted.body.property, { address: '4800 Yonge St' });
+    await agent.put('/api/me/shortlist/E9002002').send({ status: 'interested' }).expect(200);
+
+    const { items } = (await agent.get('/api/me/shortlist').expect(200)).body;
+    assert.deepEqual(items.map(item => item.mlsNumber).sort(), ['C9001001', 'E9002002']);
+    assert.equal(items.find(item => item.mlsNumber === 'C9001001').note, 'Call the agent');
+
+    // Clearing everything drops the entry
+    await agent.put('/api/me/shortlist/E9002002').send({ status: null }).expect(204);
+    await agent.delete('/api/me/shortlist/C9001001').expect(204);
+    assert.deepEqual((await agent.get('/api/me/shortlist').expect(200)).body.items, []);
+  });
+
+  test('rejects unknown statuses and items that are not on the shortlist', async () => {
+    const agent = await registerAgent('grace');
+    const invalid = await agent.put('/api/me/shortlist/C9001001').send({ status: 'bought' }).expect(400);
+    assert.equal(invalid.body.code, 'INVALID_REQUEST');
+    const missing = await agent.delete('/api/me/shortlist/C9001001').expect(404);
+    assert.equal(missing.body.code, 'NOT_FOUND');
+  });
+
+  test('keeps each user to their own shortlist', async () => {
+    const owner = await registerAgent('heidi');
+    const other = await registerAgent('ivan');
+    await owner.put('/api/me/shortlist/C9001001').send({ starred: true }).expect(200);
+
+    assert.deepEqual((await other.get('/api/me/shortlist').expect(200)).body.items, []);
+    await other.delete('/api/me/shortlist/C9001001').expect(404);
+    assert.equal((await owner.get('/api/me/shortlist').expect(200)).body.items.length, 1);
+  });
+});
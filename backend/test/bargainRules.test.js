@@ -0,0 +1,188 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { loadRules, resolveRules, evaluateRules, explainRule, getDaysOnMarket } from '../bargainRules.js';
+import { loadPhraseClassifier } from '../phraseClassifier.js';
+import { withListingDefaults } from '../providers/listingSchema.js';
+
+const configDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'config');
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+let rules;
+let classifier;
+
+before(async () => {
+  rules = await loadRules(join(configDir, 'bargain-rules.json'));
+  classifier = await loadPhraseClassifier(join(configDir, 'phrase-lists.json'));
+});
+
+// Helper function to evaluate a single rule against a listing with the default thresholds
+function fires(ruleId, listing, context = {}) {
+  const rule = rules.find(candidate => candidate.id === ruleId);
+  const matches = evaluateRules(withListingDefaults(listing), [rule], {
+    now: NOW,
+    classifier,
+    priceObservations: [],
+    getComps: null,
+    ...context
+  });
+  return matches[0] || null;
+}
+
+describe('longOnMarket', () => {
+  test('fires at 60 days on market', () => {
+    assert.equal(fires('longOnMarket', { daysOnMarket: 60 }).values.days, 60);
+    assert.equal(fires('longOnMarket', { daysOnMarket: 59 }), null);
+  });
+
+  test('falls back to the list date', () => {
+    assert.ok(fires('longOnMarket', { listDate: '2025-12-01' }));
+    assert.equal(fires('longOnMarket', { listDate: '2026-02-01' }), null);
+    assert.equal(getDaysOnMarket(withListingDefaults({ listDate: '2026-02-01T12:00:00Z' }), NOW), 28);
+  });
+});
+
+describe('reposted', () => {
+  test('fires for a listing terminated within the past year', () => {
+    assert.ok(fires('reposted', { dates: { terminated: '2025-06-01' } }));
+    assert.equal(fires('reposted', { dates: { terminated: '2024-12-01' } }), null);
+    assert.equal(fires('reposted', {}), null);
+  });
+});
+
+describe('sellingAtLoss and hugeProfit', () => {
+  const history = soldPrice => [{ mlsNumber: 'OLD1', soldPrice, soldDate: '2020-05-01' }];
+
+  test('sellingAtLoss fires below the previous purchase price', () => {
+    const match = fires('sellingAtLoss', { mlsNumber: 'NEW1', listPrice: 800000, history: history(900000) });
+    assert.equal(match.values.purchasePrice, 900000);
+    assert.equal(fires('sellingAtLoss', { mlsNumber: 'NEW1', listPrice: 950000, history: history(900000) }), null);
+  });
+
+  test('hugeProfit fires at twice the previous purchase price', () => {
+    assert.ok(fires('hugeProfit', { mlsNumber: 'NEW1', listPrice: 800000, history: history(400000) }));
+    assert.equal(fires('hugeProfit', { mlsNumber: 'NEW1', listPrice: 799999, history: history(400000) }), null);
+  });
+
+  test('the most recent previous sale is the purchase price, ignoring the listing itself', () => {
+    const listing = {
+      mlsNumber: 'NEW1',
+      listPrice: 800000,
+      history: [
+        { mlsNumber: 'OLD1', soldPrice: 300000, soldDate: '2010-01-01' },
+        { mlsNumber: 'OLD2', soldPrice: 900000, soldDate: '2021-01-01' },
+        { mlsNumber: 'NEW1', soldPrice: 100000, soldDate: '2026-01-01' }
+      ]
+    };
+    assert.equal(fires('sellingAtLoss', listing).values.purchasePrice, 900000);
+    assert.equal(fires('hugeProfit', listing), null);
+  });
+
+  test('neither fires without a previous sale', () => {
+    assert.equal(fires('sellingAtLoss', { listPrice: 800000 }), null);
+    assert.equal(fires('hugeProfit', { listPrice: 800000 }), null);
+  });
+});
+
+describe('quickClose', () => {
+  test('fires for possession within the next 30 days', () => {
+    assert.ok(fires('quickClose', { dates: { possession: '2026-03-20' } }));
+    assert.equal(fires('quickClose', { dates: { possession: '2026-05-01' } }), null);
+    assert.equal(fires('quickClose', { dates: { possession: '2026-02-01' } }), null);
+  });
+});
+
+describe('dealFellThrough', () => {
+  test('fires when a conditional sale expired without closing', () => {
+    assert.ok(fires('dealFellThrough', { dates: { conditionalExpiry: '2026-01-15' } }));
+    assert.equal(fires('dealFellThrough', { dates: { conditionalExpiry: '2026-01-15', closed: '2026-02-01' } }), null);
+  });
+});
+
+describe('estateSale', () => {
+  test('fires on estate sale phrases', () => {
+    const match = fires('estateSale', { description: 'Estate sale. Sold as is.' });
+    assert.ok(match);
+    assert.ok(match.values.confidence >= 0.5);
+  });
+
+  test('ignores negated phrases and unrelated descriptions', () => {
+    assert.equal(fires('estateSale', { description: 'Not an estate sale.' }), null);
+    assert.equal(fires('estateSale', { description: 'Bright corner unit with a view.' }), null);
+  });
+});
+
+describe('priceReduced and priceDrop', () => {
+  const observations = [
+    { price: 1000000, observedAt: '2026-01-01' },
+    { price: 950000, observedAt: '2026-01-15' },
+    { price: 900000, observedAt: '2026-02-01' }
+  ];
+
+  test('priceReduced counts reductions in the recorded history', () => {
+    const match = fires('priceReduced', { listPrice: 900000 }, { priceObservations: observations });
+    assert.equal(match.values.count, 2);
+    assert.equal(match.label.en, 'price reduced 2 times');
+    assert.equal(match.label.zh, '降价2次');
+  });
+
+  test('priceReduced counts a drop from the original list price once', () => {
+    const match = fires('priceReduced', { listPrice: 900000, originalPrice: 1000000 });
+    assert.equal(match.label.en, 'price reduced once');
+    assert.equal(fires('priceReduced', { listPrice: 900000 }), null);
+  });
+
+  test('priceDrop reports the drop from the original list price', () => {
+    const match = fires('priceDrop', { listPrice: 900000, originalPrice: 1000000 });
+    assert.equal(match.values.percent, 10);
+    assert.equal(match.label.en, 'dropped 10% since listing');
+    assert.equal(fires('priceDrop', { listPrice: 1000000, originalPrice: 1000000 }), null);
+  });
+});
+
+describe('underMarket', () => {
+  test('fires at 5% or more below the comparable-sales estimate', () => {
+    const match = fires('underMarket', { listPrice: 900000 }, { getComps: () => ({ underMarketPercent: 12.4 }) });
+    assert.equal(match.label.en, 'under market by 12%');
+    assert.equal(fires('underMarket', { listPrice: 900000 }, { getComps: () => ({ underMarketPercent: 4 }) }), null);
+  });
+
+  test('does not fire without an estimate', () => {
+    assert.equal(fires('underMarket', { listPrice: 900000 }, { getComps: () => null }), null);
+    assert.equal(fires('underMarket', { listPrice: 900000 }), null);
+  });
+});
+
+describe('resolveRules', () => {
+  test('enables only the listed rules', () => {
+    const resolved = resolveRules(rules, { rules: 'longOnMarket,estateSale' });
+    assert.deepEqual(resolved.filter(rule => rule.enabled).map(rule => rule.id), ['longOnMarket', 'estateSale']);
+  });
+
+  test('overrides thresholds and rejects non-numbers', () => {
+    const resolved = resolveRules(rules, { thresholds: { longOnMarket: { minDays: '30' } } });
+    assert.equal(resolved.find(rule => rule.id === 'longOnMarket').thresholds.minDays, 30);
+    assert.throws(() => resolveRules(rules, { thresholds: { longOnMarket: { minDays: 'soon' } } }), /Invalid threshold/);
+  });
+
+  test('ignores threshold names the rule does not have, including inherited ones', () => {
+    const resolved = resolveRules(rules, { thresholds: { longOnMarket: { constructor: 'x', toString: 'y', minDays: '45' } } });
+    const { thresholds } = resolved.find(rule => rule.id === 'longOnMarket');
+    assert.equal(thresholds.minDays, 45);
+    assert.ok(!Object.hasOwn(thresholds, 'constructor'));
+    assert.ok(!Object.hasOwn(thresholds, 'toString'));
+  });
+
+  test('rejects unknown rules and thresholds when strict', () => {
+    assert.throws(() => resolveRules(rules, { rules: 'longOnMarket,noSuchRule' }, { strict: true }), /Unknown bargain rule "noSuchRule"/);
+    assert.throws(() => resolveRules(rules, { thresholds: { noSuchRule: { minDays: '30' } } }, { strict: true }), /Unknown bargain rule/);
+    assert.throws(() => resolveRules(rules, { thresholds: { longOnMarket: { constructor: '1' } } }, { strict: true }), /Unknown threshold longOnMarket.constructor/);
+    assert.equal(resolveRules(rules, { thresholds: { longOnMarket: { minDays: '30' } } }, { strict: true })
+      .find(rule => rule.id === 'longOnMarket').thresholds.minDays, 30);
+  });
+
+  test('explainRule fills in threshold values', () => {
+    assert.equal(explainRule(rules.find(rule => rule.id === 'longOnMarket')), 'On the market for at least 60 days');
+  });
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCircuitBreaker } from '../circuitBreaker.js';
+import { apiError } from '../errors.js';
+
+// Helper function to create a breaker on a clock the test moves by hand
+function createTestBreaker(options = {}) {
+  const clock = { time: 0 };
+  const breaker = createCircuitBreaker({ name: 'Test', failureThreshold: 2, resetMs: 1000, now: () => clock.time, ...options });
+  return { breaker, clock };
+}
+
+const outage = () => Promise.reject(apiError('UPSTREAM_UNAVAILABLE', 'down'));
+
+test('opens after failureThreshold failures in a row and fails fast', async () => {
+  const { breaker } = createTestBreaker();
+  await assert.rejects(breaker.run(outage), /down/);
+  await assert.rejects(breaker.run(outage), /down/);
+  assert.equal(breaker.status().state, 'open');
+
+  let called = false;
+  await assert.rejects(breaker.run(async () => { called = true; }), error => {
+    assert.equal(error.code, 'UPSTREAM_UNAVAILABLE');
+    assert.equal(error.retryAfterMs, 1000);
+    return true;
+  });
+  assert.equal(called, false);
+});
+
+test('a success resets the failure count', async () => {
+  const { breaker } = createTestBreaker();
+  await assert.rejects(breaker.run(outage));
+  assert.equal(await breaker.run(async () => 'ok'), 'ok');
+  await assert.rejects(breaker.run(outage));
+  assert.equal(breaker.status().state, 'closed');
+});
+
+test('lets one trial call through after resetMs', async () => {
+  const { breaker, clock } = createTestBreaker();
+  await assert.rejects(breaker.run(outage));
+  await assert.rejects(breaker.run(outage));
+
+  clock.time = 1000;
+  assert.equal(breaker.status().state, 'half-open');
+  await assert.rejects(breaker.run(outage), /down/);
+  assert.equal(breaker.status().state, 'open');
+
+  clock.time = 2000;
+  assert.equal(await breaker.run(async () => 'back'), 'back');
+  assert.equal(breaker.status().state, 'closed');
+});
+
+test('ignores errors that isFailure does not count', async () => {
+  const { breaker } = createTestBreaker({ isFailure: error => error.code === 'UPSTREAM_UNAVAILABLE' });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(breaker.run(() => Promise.reject(apiError('UPSTREAM_ERROR', 'bad key'))), /bad key/);
+  }
+  assert.equal(breaker.status().state, 'closed');
+});
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateCosts,
+  getCmhcPremiumRate,
+  getLandTransferTax,
+  getMinimumDownPayment,
+  getMonthlyMortgagePayment,
+  parseCostOptions
+} from '../costCalculator.js';
+
+describe('getLandTransferTax', () => {
+  test('applies the Ontario brackets', () => {
+    assert.deepEqual(getLandTransferTax(1150000), { ontario: 19475, toronto: 0, firstTimeBuyerRebate: 0, total: 19475 });
+    assert.equal(getLandTransferTax(50000).ontario, 250);
+    assert.equal(getLandTransferTax(400000).ontario, 4475);
+  });
+
+  test('adds the Toronto municipal tax with its luxury tiers', () => {
+    assert.equal(getLandTransferTax(1150000, { toronto: true }).toronto, 19475);
+    const luxury = getLandTransferTax(3500000, { toronto: true });
+    assert.equal(luxury.ontario, 73975);
+    assert.equal(luxury.toronto, 78975);
+  });
+
+  test('takes off the first-time buyer rebates', () => {
+    assert.deepEqual(getLandTransferTax(1150000, { toronto: true, firstTimeBuyer: true }), {
+      ontario: 19475,
+      toronto: 19475,
+      firstTimeBuyerRebate: 8475,
+      total: 30475
+    });
+    // The rebates cover the whole tax on cheaper homes, never more
+    assert.equal(getLandTransferTax(300000, { firstTimeBuyer: true }).total, 0);
+  });
+});
+
+describe('getMonthlyMortgagePayment', () => {
+  test('compounds the quoted rate semi-annually', () => {
+    // $639.81 is the published payment for $100k at 6% over 25 years; monthly compounding would give $644.30
+    assert.equal(Math.round(getMonthlyMortgagePayment(100000, 6, 25) * 100) / 100, 639.81);
+  });
+
+  test('spreads the principal evenly at 0%', () => {
+    assert.equal(getMonthlyMortgagePayment(300000, 0, 25), 1000);
+  });
+});
+
+describe('CMHC insurance', () => {
+  test('charges the premium of each down payment tier', () => {
+    assert.equal(getCmhcPremiumRate(500000, 100000), 0);
+    assert.equal(getCmhcPremiumRate(500000, 75000), 0.028);
+    assert.equal(getCmhcPremiumRate(500000, 50000), 0.031);
+    assert.equal(getCmhcPremiumRate(500000, 25000), 0.04);
+  });
+
+  test('adds the premium to the mortgage at each tier boundary', () => {
+    const listing = { price: 500000, annualPropertyTax: 0, monthlyCondoFees: 0, toronto: false };
+    const cases = [
+      { downPaymentPercent: 20, premium: 0, principal: 400000, payment: 2326.42 },
+      { downPaymentPercent: 15, premium: 11900, principal: 436900, payment: 2541.03 },
+      { downPaymentPercent: 10, premium: 13950, principal: 463950, payment: 2698.36 },
+      { downPaymentPercent: 5, premium: 19000, principal: 494000, payment: 2873.13 }
+    ];
+    for (const { downPaymentPercent, premium, principal, payment } of cases) {
+      const { mortgage } = calculateCosts(listing, { downPaymentPercent });
+      assert.equal(mortgage.insurancePremium, premium, `${downPaymentPercent}% down`);
+      assert.equal(mortgage.principal, principal, `${downPaymentPercent}% down`);
+      assert.equal(mortgage.monthlyPayment, payment, `${downPaymentPercent}% down`);
+      assert.equal(mortgage.insuranceSalesTax, Math.round(premium * 0.08 * 100) / 100);
+    }
+  });
+
+  test('limits insured mortgages to 30 years', () => {
+    const listing = { price: 500000 };
+    assert.throws(() => calculateCosts(listing, { downPaymentPercent: 10, amortizationYears: 35 }), /amortizationYears/);
+    assert.doesNotThrow(() => calculateCosts(listing, { downPaymentPercent: 20, amortizationYears: 35 }));
+  });
+});
+
+describe('minimum down payment', () => {
+  test('is 5% of the first $500k and 10% of the rest, 20% from $1.5M', () => {
+    assert.equal(getMinimumDownPayment(400000), 20000);
+    assert.equal(getMinimumDownPayment(700000), 45000);
+    assert.equal(getMinimumDownPayment(1500000), 300000);
+  });
+
+  test('rejects a lower down payment', () => {
+    assert.throws(() => calculateCosts({ price: 700000 }, { downPaymentPercent: 6 }), /at least 6\.43% is required/);
+    assert.throws(() => calculateCosts({ price: 1500000 }, { downPaymentPercent: 19 }), /at least 20% is required/);
+    assert.equal(calculateCosts({ price: 700000 }, { downPaymentPercent: 6.43 }).downPayment.minimum, 45000);
+  });
+
+  test('rejects listings without a price', () => {
+    assert.throws(() => calculateCosts({ price: 0 }), /no asking price/);
+  });
+});
+
+describe('parseCostOptions', () => {
+  test('reads numbers and the first-time buyer flag', () => {
+    assert.deepEqual(parseCostOptions({ downPaymentPercent: '10', interestRate: '', firstTimeBuyer: 'true' }), {
+      downPaymentPercent: 10,
+      firstTimeBuyer: true
+    });
+  });
+
+  test('rejects values out of range', () => {
+    assert.throws(() => parseCostOptions({ interestRate: '45' }), /Invalid interestRate/);
+    assert.throws(() => parseCostOptions({ downPaymentPercent: 'lots' }), /Invalid downPaymentPercent/);
+  });
+});
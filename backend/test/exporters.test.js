@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../exporters.js';
+import { parseCsvLine } from '../csv.js';
+
+// Helper function to read the data row of a one-listing CSV export by column header
+function exportRow(property) {
+  const [header, row] = toCsv([{ tags: [], ...property }]).replace(/^\uFEFF/, '').split('\r\n');
+  const headers = parseCsvLine(header);
+  return Object.fromEntries(parseCsvLine(row).map((value, index) => [headers[index], value]));
+}
+
+test('quotes fields with separators, quotes and line breaks', () => {
+  const row = exportRow({ mlsNumber: 'C1', address: '12 "The" Lane, Toronto' });
+  assert.equal(row.address, '12 "The" Lane, Toronto');
+});
+
+test('keeps text a spreadsheet would run as a formula from being run', () => {
+  const row = exportRow({ mlsNumber: '=HYPERLINK("http://example.com")', address: '+1 Main St', propertyType: '@SUM(A1)', thumbnail: '-2+3' });
+  assert.equal(row.mlsNumber, `'=HYPERLINK("http://example.com")`);
+  assert.equal(row.address, `'+1 Main St`);
+  assert.equal(row.propertyType, `'@SUM(A1)`);
+  assert.equal(row.thumbnail, `'-2+3`);
+});
+
+test('leaves negative numbers as numbers', () => {
+  assert.equal(exportRow({ mlsNumber: 'C1', underMarketPercent: -4.5 }).underMarketPercent, '-4.5');
+});
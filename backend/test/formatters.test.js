@@ -0,0 +1,85 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatAddress, formatProperty, getCostInputs, getTagLabels } from '../formatters.js';
+import { withListingDefaults } from '../providers/listingSchema.js';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+describe('formatAddress', () => {
+  test('joins street, city, province and postal code', () => {
+    const listing = withListingDefaults({
+      address: { streetNumber: '100', streetName: 'Queen', streetSuffix: 'St W', city: 'Toronto', province: 'ON', postalCode: 'M5H 2N2' }
+    });
+    assert.equal(formatAddress(listing), '100 Queen St W, Toronto, ON, M5H 2N2');
+  });
+
+  test('puts the unit after the street', () => {
+    const listing = withListingDefaults({
+      address: { unitNumber: '1203', streetNumber: '8', streetName: 'Park', streetSuffix: 'Rd', city: 'Toronto' }
+    });
+    assert.equal(formatAddress(listing), '8 Park Rd Unit 1203, Toronto');
+  });
+
+  test('skips missing parts', () => {
+    assert.equal(formatAddress(withListingDefaults({ address: { city: 'Ottawa', province: 'ON' } })), 'Ottawa, ON');
+    assert.equal(formatAddress(withListingDefaults({ address: { streetName: 'Bank' } })), 'Bank');
+  });
+
+  test('falls back when there is no address', () => {
+    assert.equal(formatAddress(withListingDefaults({})), 'Address not available');
+  });
+});
+
+describe('getCostInputs', () => {
+  test('applies the Toronto land transfer tax by city or area', () => {
+    assert.equal(getCostInputs(withListingDefaults({ address: { city: 'Toronto C08' } })).toronto, true);
+    assert.equal(getCostInputs(withListingDefaults({ address: { area: 'Toronto', city: 'Scarborough' } })).toronto, true);
+    assert.equal(getCostInputs(withListingDefaults({ address: { city: 'Mississauga', area: 'Peel' } })).toronto, false);
+  });
+
+  test('reads price, taxes and condo fees', () => {
+    const inputs = getCostInputs(withListingDefaults({ listPrice: 650000, taxes: { annualAmount: 3200 }, maintenanceFee: 540 }));
+    assert.deepEqual(inputs, { price: 650000, annualPropertyTax: 3200, monthlyCondoFees: 540, toronto: false });
+  });
+});
+
+describe('formatProperty', () => {
+  test('uses the rule IDs as tags and keeps filter data', () => {
+    const listing = withListingDefaults({ mlsNumber: 'W123', listPrice: 800000, address: { city: 'Toronto' } });
+    const formatted = formatProperty({
+      ...listing,
+      bargainMatches: [{ id: 'longOnMarket', weight: 1, values: { days: 90 }, label: { zh: '长期未售', en: 'long time on market' } }],
+      nearestStation: { name: 'Union', walkMinutes: 4 }
+    }, null, NOW);
+
+    assert.equal(formatted.mlsNumber, 'W123');
+    assert.equal(formatted.address, 'Toronto');
+    assert.deepEqual(formatted.tags, ['longOnMarket']);
+    assert.deepEqual(formatted.tagValues, { longOnMarket: { days: 90 } });
+    assert.equal(formatted.realtorCaLink, 'https://www.realtor.ca/real-estate/W123');
+    assert.equal(formatted.nearestStation.name, 'Union');
+    assert.equal(formatted.comps, null);
+    assert.ok(formatted.monthlyCost > 0);
+  });
+
+  test('has no monthly cost without a price', () => {
+    assert.equal(formatProperty(withListingDefaults({}), null, NOW).monthlyCost, null);
+  });
+});
+
+describe('getTagLabels', () => {
+  const rules = [
+    { id: 'longOnMarket', label: { zh: '长期未售', en: 'long time on market' } },
+    { id: 'priceReduced', label: { zh: '降价{count}次', en: { one: 'price reduced once', other: 'price reduced {count} times' } } }
+  ];
+
+  test('labels tags in the requested language with their values', () => {
+    const property = { tags: ['longOnMarket', 'priceReduced'], tagValues: { longOnMarket: { days: 90 }, priceReduced: { count: 2 } } };
+    assert.deepEqual(getTagLabels(property, rules, 'en'), ['long time on market', 'price reduced 2 times']);
+    assert.deepEqual(getTagLabels(property, rules, 'zh'), ['长期未售', '降价2次']);
+  });
+
+  test('keeps the ID of tags without a rule', () => {
+    assert.deepEqual(getTagLabels({ tags: ['retired'], tagValues: {} }, rules, 'en'), ['retired']);
+  });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDistance, calculateWalkingTime, calculateTravelTime, isPointInPolygon } from '../geo.js';
+
+test('calculateDistance is zero for the same point', () => {
+  assert.equal(calculateDistance(43.6532, -79.3832, 43.6532, -79.3832), 0);
+});
+
+test('calculateDistance matches known distances', () => {
+  // Toronto City Hall to Ottawa Parliament Hill, about 352 km
+  const distance = calculateDistance(43.6534, -79.3841, 45.4236, -75.7009);
+  assert.ok(Math.abs(distance - 352) < 2, `got ${distance}`);
+
+  // One degree of latitude is about 111.2 km
+  assert.ok(Math.abs(calculateDistance(43, -79, 44, -79) - 111.19) < 0.01);
+});
+
+test('calculateWalkingTime assumes 5 km/h', () => {
+  assert.equal(calculateWalkingTime(0), 0);
+  assert.equal(calculateWalkingTime(0.5), 6);
+  assert.equal(calculateWalkingTime(5), 60);
+});
+
+test('calculateWalkingTime takes another walking speed', () => {
+  assert.equal(calculateWalkingTime(1, 4), 15);
+});
+
+test('calculateTravelTime converts distance and speed to minutes', () => {
+  assert.equal(calculateTravelTime(10, 30), 20);
+});
+
+// Roughly downtown Toronto, from the waterfront to Bloor St
+const downtown = [[43.64, -79.40], [43.67, -79.40], [43.67, -79.37], [43.64, -79.37]];
+
+test('isPointInPolygon finds points inside the polygon', () => {
+  // Union Station
+  assert.equal(isPointInPolygon(43.6455, -79.3807, downtown), true);
+});
+
+test('isPointInPolygon rejects points outside the polygon', () => {
+  // North York Centre
+  assert.equal(isPointInPolygon(43.7685, -79.4129, downtown), false);
+  assert.equal(isPointInPolygon(43.655, -79.35, downtown), false);
+});
+
+test('isPointInPolygon handles concave polygons', () => {
+  // An L shape missing its north-east quarter
+  const lShape = [[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2]];
+  assert.equal(isPointInPolygon(0.5, 1.5, lShape), true);
+  assert.equal(isPointInPolygon(1.5, 1.5, lShape), false);
+});
@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createGeocoder } from '../geocoder.js';
+
+// Stub Nominatim: knows one address, fails for "broken", and answers "throttled" and "html" with something
+// other than a list of matches
+const requests = [];
+const server = createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push({ url, userAgent: req.headers['user-agent'] });
+  const q = url.searchParams.get('q');
+  if (q === 'broken') {
+    res.writeHead(400);
+    return res.end('{}');
+  }
+  if (q === 'throttled' || q === 'html') {
+    res.writeHead(200, { 'Content-Type': q === 'html' ? 'text/html' : 'application/json' });
+    return res.end(q === 'html' ? '<html>Bandwidth limit exceeded</html>' : JSON.stringify({ error: 'Rate limit exceeded' }));
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(q === '100 Queen St W, Toronto'
+    ? [{ lat: '43.6534', lon: '-79.3841', display_name: 'Toronto City Hall, 100, Queen Street West, Toronto' }]
+    : []));
+});
+let geocoder;
+
+before(async () => {
+  await new Promise(resolvePromise => server.listen(0, '127.0.0.1', resolvePromise));
+  geocoder = createGeocoder({ url: `http://127.0.0.1:${server.address().port}/search`, userAgent: 'housing-test' });
+});
+
+after(() => new Promise(resolvePromise => server.close(resolvePromise)));
+
+test('geocodes an address within Canada', async () => {
+  const result = await geocoder.geocode('100 Queen St W, Toronto');
+  assert.deepEqual(result, { latitude: 43.6534, longitude: -79.3841, label: 'Toronto City Hall, 100, Queen Street West, Toronto' });
+
+  const { url, userAgent } = requests[requests.length - 1];
+  assert.equal(url.searchParams.get('countrycodes'), 'ca');
+  assert.equal(userAgent, 'housing-test');
+});
+
+test('remembers addresses, including those not found', async () => {
+  requests.length = 0;
+  assert.equal(await geocoder.geocode('Nowhere Rd'), null);
+  assert.equal(await geocoder.geocode('nowhere rd '), null);
+  await geocoder.geocode('100 Queen St W, Toronto');
+  assert.equal(requests.length, 1);
+});
+
+test('reports geocoder errors as upstream errors', async () => {
+  await assert.rejects(geocoder.geocode('broken'), { code: 'UPSTREAM_ERROR' });
+});
+
+test('reports responses that are not a list of matches as upstream errors', async () => {
+  await assert.rejects(geocoder.geocode('throttled'), { code: 'UPSTREAM_ERROR' });
+  await assert.rejects(geocoder.geocode('html'), { code: 'UPSTREAM_ERROR' });
+});
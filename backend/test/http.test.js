@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { fetchWithRetry, parseRetryAfter } from '../providers/http.js';
+
+// Stub upstream: /status/<code> answers with that status, /flaky fails once, /slow never answers in time
+let flakyCalls = 0;
+let requestCount = 0;
+const server = createServer((req, res) => {
+  requestCount++;
+  if (req.url === '/flaky' && flakyCalls++ === 0) {
+    res.writeHead(503, { 'Retry-After': '0' });
+    return res.end();
+  }
+  if (req.url === '/slow') {
+    setTimeout(() => res.end('{}'), 500);
+    return;
+  }
+  const status = parseInt(req.url.split('/')[2]) || 200;
+  res.writeHead(status, status === 429 ? { 'Retry-After': '3600' } : {});
+  res.end('{}');
+});
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolvePromise => server.listen(0, '127.0.0.1', resolvePromise));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise(resolvePromise => server.close(resolvePromise));
+});
+
+const options = { name: 'Test API', retries: 2, baseDelayMs: 1 };
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('30'), 30000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:01:00 GMT', Date.parse('2026-01-01T00:00:00Z')), 60000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('returns non-retryable responses as they are', async () => {
+  assert.equal((await fetchWithRetry(`${baseUrl}/status/404`, {}, options)).status, 404);
+  assert.equal((await fetchWithRetry(`${baseUrl}/status/200`, {}, options)).status, 200);
+});
+
+test('retries 5xx responses', async () => {
+  const response = await fetchWithRetry(`${baseUrl}/flaky`, {}, options);
+  assert.equal(response.status, 200);
+  assert.equal(flakyCalls, 2);
+});
+
+test('gives up with UPSTREAM_UNAVAILABLE when retries run out', async () => {
+  await assert.rejects(fetchWithRetry(`${baseUrl}/status/500`, {}, options), error => {
+    assert.equal(error.code, 'UPSTREAM_UNAVAILABLE');
+    assert.equal(error.status, 503);
+    return true;
+  });
+});
+
+test('does not wait out a long Retry-After', async () => {
+  await assert.rejects(fetchWithRetry(`${baseUrl}/status/429`, {}, options), error => {
+    assert.equal(error.code, 'UPSTREAM_RATE_LIMITED');
+    assert.equal(error.retryAfterMs, 3600000);
+    return true;
+  });
+});
+
+test('times out slow responses', async () => {
+  await assert.rejects(fetchWithRetry(`${baseUrl}/slow`, {}, { ...options, timeoutMs: 50, retries: 0 }), error => {
+    assert.equal(error.code, 'UPSTREAM_TIMEOUT');
+    assert.equal(error.status, 504);
+    return true;
+  });
+});
+
+test('falls back to the default retries when retries is not a number', async () => {
+  const requestsBefore = requestCount;
+  await assert.rejects(fetchWithRetry(`${baseUrl}/status/500`, {}, { ...options, retries: NaN }), error => {
+    assert.equal(error.code, 'UPSTREAM_UNAVAILABLE');
+    return true;
+  });
+  assert.equal(requestCount - requestsBefore, 3);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createListingCache } from '../listingCache.js';
+
+const failingLoader = () => Promise.reject(new Error('upstream down'));
+
+test('serves fresh entries without calling the loader again', async () => {
+  const cache = createListingCache({ ttlMs: 60000, staleMs: 0 });
+  let calls = 0;
+  const loader = async () => ({ listings: [++calls] });
+
+  assert.equal((await cache.get('key', loader)).status, 'miss');
+  const cached = await cache.get('key', loader);
+  assert.equal(cached.status, 'hit');
+  assert.deepEqual(cached.value, { listings: [1] });
+});
+
+test('falls back to the expired entry when the refetch fails', async () => {
+  const cache = createListingCache({ ttlMs: 0, staleMs: 0 });
+  await cache.get('key', async () => ({ listings: ['last good'] }));
+
+  const cached = await cache.get('key', failingLoader);
+  assert.equal(cached.status, 'fallback');
+  assert.deepEqual(cached.value, { listings: ['last good'] });
+});
+
+test('throws when there is nothing to fall back to', async () => {
+  const cache = createListingCache({ ttlMs: 0, staleMs: 0 });
+  await assert.rejects(cache.get('key', failingLoader), /upstream down/);
+});
+
+test('lists every entry without refreshing expired ones', async () => {
+  const cache = createListingCache({ ttlMs: 0, staleMs: 0 });
+  await cache.get('a', async () => ({ listings: ['one'] }));
+  await cache.get('b', async () => ({ listings: ['two'] }));
+
+  const entries = cache.all();
+  assert.deepEqual(entries.map(entry => [entry.key, entry.value.listings]), [['a', ['one']], ['b', ['two']]]);
+  assert.ok(entries.every(entry => typeof entry.fetchedAt === 'number'));
+});
+
+test('drops the least recently used entries beyond maxEntries', async () => {
+  const cache = createListingCache({ ttlMs: 60000, staleMs: 0, maxEntries: 2 });
+  const loader = key => async () => ({ listings: [key] });
+  await cache.get('a', loader('a'));
+  await cache.get('b', loader('b'));
+  await cache.get('a', loader('a'));
+  await cache.get('c', loader('c'));
+
+  assert.deepEqual(cache.all().map(entry => entry.key), ['a', 'c']);
+});
+
+test('drops expired entries once their fallback window has passed', async () => {
+  const cache = createListingCache({ ttlMs: 0, staleMs: 0, fallbackMs: 1 });
+  await cache.get('old', async () => ({ listings: ['old'] }));
+  await new Promise(resolvePromise => setTimeout(resolvePromise, 5));
+  await cache.get('new', async () => ({ listings: ['new'] }));
+
+  assert.deepEqual(cache.all().map(entry => entry.key), ['new']);
+  await assert.rejects(cache.get('old', failingLoader), /upstream down/);
+});
@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { withListingDefaults } from '../providers/listingSchema.js';
+import { aggregateMarketStats, getFsa } from '../marketStats.js';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const listings = [
+  withListingDefaults({
+    mlsNumber: 'A1',
+    listPrice: 900000,
+    daysOnMarket: 70,
+    address: { city: 'Toronto', neighbourhood: 'Willowdale East', postalCode: 'M2N 5N5' }
+  }),
+  withListingDefaults({
+    mlsNumber: 'A2',
+    listPrice: 700000,
+    daysOnMarket: 10,
+    address: { city: 'Toronto', neighbourhood: 'Willowdale East', postalCode: 'm2n0a1' }
+  }),
+  withListingDefaults({
+    mlsNumber: 'A3',
+    listPrice: 500000,
+    listDate: '2026-02-20',
+    address: { city: 'Toronto', neighbourhood: 'Newtonbrook West', postalCode: 'M2M 0B2' }
+  }),
+  withListingDefaults({
+    mlsNumber: 'B1',
+    listPrice: 450000,
+    address: { city: 'Ottawa', postalCode: null }
+  })
+];
+
+const tagsByMls = { A1: ['longOnMarket', 'priceReduced'], A2: ['priceReduced'], A3: [], B1: ['longOnMarket'] };
+const cutsByMls = { A1: 2, A2: 1, A3: 0, B1: 0 };
+
+const aggregate = options => aggregateMarketStats(listings, {
+  tagIds: ['longOnMarket', 'priceReduced'],
+  getTags: listing => tagsByMls[listing.mlsNumber],
+  getPriceCuts: listing => cutsByMls[listing.mlsNumber],
+  now: NOW,
+  ...options
+});
+
+describe('getFsa', () => {
+  test('reads the first three characters of a postal code', () => {
+    assert.equal(getFsa('M2N 5N5'), 'M2N');
+    assert.equal(getFsa(' k1y0d4'), 'K1Y');
+  });
+
+  test('returns null for missing or malformed postal codes', () => {
+    assert.equal(getFsa(null), null);
+    assert.equal(getFsa('12345'), null);
+  });
+});
+
+describe('aggregateMarketStats', () => {
+  test('summarises each city, largest inventory first', () => {
+    const { groups } = aggregate({ groupBy: 'city' });
+    assert.deepEqual(groups.map(group => [group.name, group.inventory]), [['Toronto', 3], ['Ottawa', 1]]);
+
+    const toronto = groups[0];
+    assert.equal(toronto.medianListPrice, 700000);
+    // A3 has been listed for 9 days, from its list date
+    assert.equal(toronto.medianDaysOnMarket, 10);
+    assert.deepEqual(toronto.tagPercents, { longOnMarket: 33.3, priceReduced: 66.7 });
+    assert.equal(toronto.priceCutPercent, 66.7);
+    assert.equal(toronto.averagePriceCuts, 1);
+  });
+
+  test('leaves listings without days on market or a list date out of the median', () => {
+    const ottawa = aggregate({ groupBy: 'city' }).groups[1];
+    assert.equal(ottawa.medianDaysOnMarket, null);
+    assert.deepEqual(ottawa.tagPercents, { longOnMarket: 100, priceReduced: 0 });
+  });
+
+  test('groups by neighbourhood and FSA, skipping listings without one', () => {
+    assert.deepEqual(aggregate({ groupBy: 'neighbourhood' }).groups.map(group => group.name), ['Willowdale East', 'Newtonbrook West']);
+    assert.deepEqual(aggregate({ groupBy: 'fsa' }).groups.map(group => [group.name, group.inventory]), [['M2N', 2], ['M2M', 1]]);
+  });
+
+  test('covers every listing in the overall summary', () => {
+    const { overall } = aggregate({ groupBy: 'fsa' });
+    assert.equal(overall.inventory, 4);
+    assert.equal(overall.medianListPrice, 600000);
+    assert.equal(overall.priceCutPercent, 50);
+  });
+
+  test('leaves out groups smaller than minListings', () => {
+    assert.deepEqual(aggregate({ groupBy: 'city', minListings: 2 }).groups.map(group => group.name), ['Toronto']);
+  });
+});
@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createEmailNotifier, createWebhookNotifier, sendAlert } from '../notifiers.js';
+
+// Stub webhook endpoint: /slow never answers, /ok accepts the alert
+const pending = [];
+const server = createServer((req, res) => {
+  if (req.url === '/slow') return pending.push(res);
+  res.writeHead(204);
+  res.end();
+});
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolvePromise => server.listen(0, '127.0.0.1', resolvePromise));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  for (const res of pending) res.end();
+  return new Promise(resolvePromise => server.close(resolvePromise));
+});
+
+const search = { id: 's1', name: 'Toronto', query: {}, notify: { email: null, webhookUrl: null } };
+const diff = { added: [{ mlsNumber: 'C1' }], changed: [] };
+
+test('delivers to the default webhook', async () => {
+  const notifier = createWebhookNotifier({ defaultUrl: `${baseUrl}/ok` });
+  assert.deepEqual(await sendAlert([notifier], search, diff), { sent: ['webhook'], failed: [] });
+});
+
+test('gives up on a webhook that does not answer in time', async () => {
+  const notifier = createWebhookNotifier({ defaultUrl: `${baseUrl}/slow`, timeoutMs: 100 });
+  const { sent, failed } = await sendAlert([notifier], search, diff);
+  assert.deepEqual(sent, []);
+  assert.equal(failed[0].name, 'webhook');
+  assert.match(failed[0].error, /timeout|aborted/i);
+});
+
+test('refuses a search webhook on a local address', async () => {
+  const notifier = createWebhookNotifier();
+  const { failed } = await sendAlert([notifier], { ...search, notify: { webhookUrl: `${baseUrl}/ok` } }, diff);
+  assert.match(failed[0].error, /private and local addresses/);
+});
+
+test('only emails alerts to confirmed addresses', () => {
+  const notifier = createEmailNotifier({ host: '127.0.0.1', port: 2525, secure: false, from: 'alerts@localhost' });
+  const notify = { email: 'me@example.com', webhookUrl: null };
+  assert.equal(notifier.appliesTo({ ...search, notify, emailConfirmation: { code: '123456', attempts: 0, confirmedAt: null } }), false);
+  assert.equal(notifier.appliesTo({ ...search, notify, emailConfirmation: { code: null, attempts: 0, confirmedAt: '2026-03-01T00:00:00.000Z' } }), true);
+});
@@ -0,0 +1,595 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import request from 'supertest';
+import { SMTPServer } from 'smtp-server';
+import { clock } from '../clock.js';
+
+// Integration tests for /api/properties against a stub Repliers server
+// The stub serves payloads recorded from the Repliers API (fixtures/repliers), so the whole path from the
+// provider adapter through the filters to the response runs as it does in production
+const testDir = dirname(fileURLToPath(import.meta.url));
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+// Helper function to read a recorded Repliers payload
+async function readRecording(name) {
+  return JSON.parse(await readFile(join(testDir, 'fixtures', 'repliers', name), 'utf8'));
+}
+
+const listingsPage = await readRecording('listings.json');
+const soldPage = await readRecording('sold-listings.json');
+
+// Stub Repliers API: sold searches get the recorded sales, other searches the recorded listings,
+// /listings/<mlsNumber> a single listing
+// Some cities simulate upstream trouble: Broken always fails, Flaky fails once and then recovers,
+// Throttled is rate limited for two minutes
+// /geocode stands in for the geocoder of the commute filter and only knows Toronto City Hall
+// listPriceChanges (MLS number => price) changes the asking prices of the recorded listings
+const upstreamRequests = [];
+const listPriceChanges = new Map();
+let flakyFailed = false;
+const upstream = createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  upstreamRequests.push(url);
+  const send = (status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  if (url.pathname === '/geocode') {
+    return send(200, url.searchParams.get('q') === 'Toronto City Hall'
+      ? [{ lat: '43.6534', lon: '-79.3841', display_name: 'Toronto City Hall, 100 Queen Street West, Toronto' }]
+      : []);
+  }
+  if (req.headers['repliers-api-key'] !== 'test-key') return send(401, { message: 'Unauthorized' });
+  const city = url.searchParams.get('city');
+  if (city === 'Broken') return send(503, { message: 'Service Unavailable' }, { 'Retry-After': '0' });
+  if (city === 'Flaky' && !flakyFailed) {
+    flakyFailed = true;
+    return send(502, { message: 'Bad Gateway' }, { 'Retry-After': '0' });
+  }
+  if (city === 'Throttled') return send(429, { message: 'Too Many Requests' }, { 'Retry-After': '120' });
+
+  const listings = listingsPage.listings.map(listing => (
+    listPriceChanges.has(listing.mlsNumber) ? { ...listing, listPrice: String(listPriceChanges.get(listing.mlsNumber)) } : listing
+  ));
+  const single = url.pathname.match(/^\/listings\/(.+)$/);
+  if (single) {
+    const listing = listings.find(candidate => candidate.mlsNumber === decodeURIComponent(single[1]));
+    return listing ? send(200, listing) : send(404, { message: 'Listing not found' });
+  }
+  if (url.pathname === '/listings') {
+    return send(200, url.searchParams.get('lastStatus') === 'Sld' ? soldPage : { ...listingsPage, listings });
+  }
+  send(404, { message: 'Not found' });
+});
+
+// Stub SMTP server keeping the emails the backend sends, as { to, message }
+const emails = [];
+const smtp = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  onData(stream, session, callback) {
+    let message = '';
+    stream.on('data', chunk => { message += chunk; });
+    stream.on('end', () => {
+      emails.push({ to: session.envelope.rcptTo.map(rcpt => rcpt.address), message });
+      callback();
+    });
+  }
+});
+
+let app;
+let takePriceSnapshot;
+let storageDir;
+
+before(async () => {
+  await new Promise(resolvePromise => upstream.listen(0, '127.0.0.1', resolvePromise));
+  await new Promise(resolvePromise => smtp.listen(0, '127.0.0.1', resolvePromise));
+  storageDir = await mkdtemp(join(tmpdir(), 'housing-test-'));
+
+  Object.assign(process.env, {
+    LISTING_PROVIDER: 'repliers',
+    REPLIERS_API_KEY: 'test-key',
+    REPLIERS_API_URL: `http://127.0.0.1:${upstream.address().port}`,
+    REPLIERS_RETRIES: '1',
+    GEOCODER_URL: `http://127.0.0.1:${upstream.address().port}/geocode`,
+    PRICE_HISTORY_PATH: join(storageDir, 'price-history.json'),
+    SAVED_SEARCHES_PATH: join(storageDir, 'saved-searches.json'),
+    USERS_PATH: join(storageDir, 'users.json'),
+    SESSIONS_PATH: join(storageDir, 'sessions.json'),
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.server.address().port),
+    LISTING_CACHE_SNAPSHOT_PATH: ''
+  });
+  clock.now = () => NOW;
+
+  // Imported after the environment is set, since the server reads its settings on load
+  ({ app, takePriceSnapshot } = await import('../server.js'));
+});
+
+after(async () => {
+  await new Promise(resolvePromise => upstream.close(resolvePromise));
+  await new Promise(resolvePromise => smtp.close(resolvePromise));
+  await rm(storageDir, { recursive: true, force: true });
+});
+
+describe('GET /api/properties', () => {
+  test('returns bargain listings with their tags, score and comparable-sales estimate', async () => {
+    const res = await request(app).get('/api/properties').expect(200);
+
+    assert.deepEqual(res.body.properties.map(property => property.mlsNumber), ['C9001001']);
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.upstreamTotal, 3);
+    assert.deepEqual(res.body.types, ['bargain']);
+
+    const [property] = res.body.properties;
+    assert.equal(property.address, '4800 Yonge St, Toronto C14, ON, M2N 5N5');
+    assert.equal(property.askingPrice, 899000);
+    assert.deepEqual(property.tags, ['longOnMarket', 'reposted', 'sellingAtLoss', 'estateSale', 'priceReduced', 'priceDrop', 'underMarket']);
+    assert.deepEqual(property.tagValues.priceDrop, { percent: 10 });
+    assert.equal(property.daysOnMarket, 74);
+    assert.equal(property.comps.sampleSize, 3);
+    assert.ok(property.score > 0);
+  });
+
+  test('sends the search criteria upstream', async () => {
+    upstreamRequests.length = 0;
+    await request(app).get('/api/properties?city=Toronto&maxPrice=950000&propertyType=Detached').expect(200);
+
+    const search = upstreamRequests.find(url => url.pathname === '/listings' && !url.searchParams.has('lastStatus'));
+    assert.equal(search.searchParams.get('city'), 'Toronto');
+    assert.equal(search.searchParams.get('maxPrice'), '950000');
+    assert.equal(search.searchParams.get('propertyType'), 'Detached');
+    assert.equal(search.searchParams.get('status'), 'A');
+  });
+
+  test('serves repeated searches from the listing cache', async () => {
+    await request(app).get('/api/properties?city=Ottawa').expect(200);
+    const res = await request(app).get('/api/properties?city=Ottawa').expect(200);
+    assert.equal(res.body.cache, 'hit');
+  });
+
+  test('finds fixer-uppers', async () => {
+    const res = await request(app).get('/api/properties?type=fixer').expect(200);
+    const mlsNumbers = res.body.properties.map(property => property.mlsNumber);
+    assert.ok(mlsNumbers.includes('X9003003'));
+    assert.ok(!mlsNumbers.includes('E9002002'));
+    const fixer = res.body.properties.find(property => property.mlsNumber === 'X9003003').fixer;
+    assert.ok(fixer.phrases.includes('handyman special'));
+  });
+
+  test('combines search types', async () => {
+    const and = await request(app).get('/api/properties?type=bargain,fixer&combine=and').expect(200);
+    const or = await request(app).get('/api/properties?type=bargain,fixer&combine=or').expect(200);
+    assert.ok(and.body.properties.every(property => property.tags.length > 0 && property.fixer));
+    assert.ok(or.body.total >= and.body.total);
+    assert.ok(or.body.properties.some(property => property.mlsNumber === 'X9003003'));
+  });
+
+  test('filters by tag', async () => {
+    const res = await request(app).get('/api/properties?rules=longOnMarket,sellingAtLoss&tag=sellingAtLoss').expect(200);
+    assert.deepEqual(res.body.properties.map(property => property.tags), [['longOnMarket', 'sellingAtLoss']]);
+    assert.equal((await request(app).get('/api/properties?tag=loss').expect(200)).body.total, 0);
+  });
+
+  test('filters by days on market and counts the filter options before filtering', async () => {
+    const res = await request(app).get('/api/properties?type=bargain,fixer&combine=or&maxDaysOnMarket=30&tag=longOnMarket').expect(200);
+    assert.equal(res.body.total, 0);
+    assert.equal(res.body.facets.tags.longOnMarket, 1);
+    assert.equal(res.body.facets.propertyTypes.Detached, 2);
+    assert.deepEqual(Object.keys(res.body.facets.cities).sort(), ['Ottawa', 'Toronto C14']);
+  });
+
+  test('applies the results page filters to the cached listings without fetching them again', async () => {
+    const search = '/api/properties?type=bargain,fixer&combine=or';
+    const all = await request(app).get(search).expect(200);
+    upstreamRequests.length = 0;
+
+    const res = await request(app).get(`${search}&filter[city]=Toronto C14&filter[propertyType]=Detached&filter[maxPrice]=950000`).expect(200);
+    assert.equal(res.body.cache, 'hit');
+    assert.equal(upstreamRequests.filter(url => url.pathname === '/listings' && !url.searchParams.has('lastStatus')).length, 0);
+    assert.ok(res.body.total > 0 && res.body.total < all.body.total);
+    assert.ok(res.body.properties.every(property => (
+      property.city === 'Toronto C14' && property.propertyType === 'Detached' && property.askingPrice <= 950000
+    )));
+    assert.deepEqual(res.body.facets, all.body.facets);
+    await request(app).get(`${search}&filter[minBedrooms]=many`).expect(400);
+  });
+
+  test('sends the bathroom range upstream', async () => {
+    upstreamRequests.length = 0;
+    await request(app).get('/api/properties?minBathrooms=2').expect(200);
+    const search = upstreamRequests.find(url => url.pathname === '/listings' && !url.searchParams.has('lastStatus'));
+    assert.equal(search.searchParams.get('minBaths'), '2');
+  });
+
+  test('keeps listings inside a drawn polygon and fetches only the box around it', async () => {
+    upstreamRequests.length = 0;
+    // Around Ottawa
+    const polygon = '45.3,-75.8;45.5,-75.8;45.5,-75.6;45.3,-75.6';
+    const res = await request(app).get(`/api/properties?type=bargain,fixer&combine=or&polygon=${polygon}`).expect(200);
+    assert.deepEqual(res.body.properties.map(property => property.mlsNumber), ['X9003003']);
+    assert.equal(res.body.area.polygons.length, 1);
+
+    const search = upstreamRequests.find(url => url.pathname === '/listings' && !url.searchParams.has('lastStatus'));
+    assert.deepEqual(JSON.parse(search.searchParams.get('map')), [[[-75.8, 45.3], [-75.6, 45.3], [-75.6, 45.5], [-75.8, 45.5], [-75.8, 45.3]]]);
+  });
+
+  test('keeps listings within the travel time of coordinates', async () => {
+    const res = await request(app).get('/api/properties?near=43.77,-79.41&withinMinutes=15').expect(200);
+    assert.deepEqual(res.body.properties.map(property => property.mlsNumber), ['C9001001']);
+    assert.equal(res.body.properties[0].commute.travelMode, 'walk');
+    assert.ok(res.body.properties[0].commute.minutes < 15);
+    assert.deepEqual(res.body.area.origin, { latitude: 43.77, longitude: -79.41, label: '43.77,-79.41' });
+    assert.equal(res.body.area.radiusKm, 1.25);
+  });
+
+  test('geocodes the address to travel from', async () => {
+    // North York Centre is about 12 km from City Hall: out of reach in 20 minutes at 30 km/h, in reach in 30
+    const tooFar = await request(app).get('/api/properties?near=Toronto City Hall&withinMinutes=20&travelMode=drive').expect(200);
+    assert.equal(tooFar.body.total, 0);
+    assert.equal(tooFar.body.area.origin.label, 'Toronto City Hall, 100 Queen Street West, Toronto');
+
+    const res = await request(app).get('/api/properties?near=Toronto City Hall&withinMinutes=30&travelMode=drive').expect(200);
+    assert.deepEqual(res.body.properties.map(property => property.mlsNumber), ['C9001001']);
+    assert.equal(res.body.properties[0].commute.travelMode, 'drive');
+  });
+
+  test('rejects addresses that cannot be found', async () => {
+    const res = await request(app).get('/api/properties?near=Atlantis&withinMinutes=10').expect(400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+    assert.match(res.body.error, /Address not found/);
+  });
+
+  test('paginates results', async () => {
+    const res = await request(app).get('/api/properties?type=bargain,fixer&combine=or&pageSize=1&page=2').expect(200);
+    assert.equal(res.body.properties.length, 1);
+    assert.equal(res.body.page, 2);
+    assert.equal(res.body.pageSize, 1);
+    assert.equal(res.body.totalPages, res.body.total);
+  });
+
+  test('returns every result with coordinates for the map', async () => {
+    const res = await request(app).get('/api/properties?type=bargain,fixer&combine=or&view=map&pageSize=1').expect(200);
+    const paged = await request(app).get('/api/properties?type=bargain,fixer&combine=or').expect(200);
+    assert.equal(res.body.properties.length, res.body.total);
+    assert.ok(res.body.total > 1);
+    assert.ok(res.body.properties.every(property => property.latitude !== null && property.longitude !== null));
+    assert.equal(res.body.page, undefined);
+    assert.ok(res.body.total <= paged.body.total);
+    await request(app).get('/api/properties?view=globe').expect(400);
+  });
+
+  test('exports CSV', async () => {
+    const res = await request(app).get('/api/properties?format=csv').expect(200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+    assert.match(res.headers['content-disposition'], /attachment; filename="properties-.*\.csv"/);
+    assert.match(res.text, /C9001001/);
+    assert.match(res.text, /longOnMarket; reposted/);
+    assert.match(res.text, /long time on market; reposted/);
+  });
+
+  test('exports tag labels in the requested language', async () => {
+    const res = await request(app).get('/api/properties?format=csv&lang=zh-CN').expect(200);
+    assert.match(res.text, /长期未售; 下架重挂/);
+    assert.match(res.text, /较挂牌价降10%/);
+  });
+
+  test('rejects invalid parameters', async () => {
+    const res = await request(app).get('/api/properties?type=cheap').expect(400);
+    assert.match(res.body.error, /type/);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+    assert.match((await request(app).get('/api/properties?format=pdf').expect(400)).body.error, /format/);
+    assert.match((await request(app).get('/api/properties?minPrice=abc').expect(400)).body.error, /minPrice/);
+    assert.match((await request(app).get('/api/properties?type=school&minRating=good').expect(400)).body.error, /minRating/);
+  });
+
+  test('keeps an explicit 0 for search mode thresholds', async () => {
+    const res = await request(app).get('/api/properties?type=school&minRating=0&radiusKm=0').expect(200);
+    assert.equal(res.body.total, 0);
+  });
+
+  test('retries upstream errors', async () => {
+    upstreamRequests.length = 0;
+    await request(app).get('/api/properties?city=Flaky').expect(200);
+    assert.equal(upstreamRequests.filter(url => url.searchParams.get('city') === 'Flaky' && !url.searchParams.has('lastStatus')).length, 2);
+  });
+
+  test('reports upstream outages with an error code and no internals', async () => {
+    const res = await request(app).get('/api/properties?city=Broken').expect(503);
+    assert.equal(res.body.code, 'UPSTREAM_UNAVAILABLE');
+    assert.equal(res.body.error, 'Repliers API returned 503');
+    assert.deepEqual(Object.keys(res.body).sort(), ['code', 'error', 'retryAfter']);
+  });
+
+  test('passes long upstream rate limits on without retrying', async () => {
+    upstreamRequests.length = 0;
+    const res = await request(app).get('/api/properties?city=Throttled').expect(503);
+    assert.equal(res.body.code, 'UPSTREAM_RATE_LIMITED');
+    assert.equal(res.headers['retry-after'], '120');
+    assert.equal(upstreamRequests.length, 1);
+  });
+
+  test('sends rate limit headers', async () => {
+    const res = await request(app).get('/api/test').expect(200);
+    assert.equal(res.headers['ratelimit-limit'], '120');
+    assert.ok(Number(res.headers['ratelimit-remaining']) < 120);
+  });
+});
+
+describe('GET /api/properties/:mlsNumber', () => {
+  test('returns a listing with its bargain explanations', async () => {
+    const res = await request(app).get('/api/properties/C9001001').expect(200);
+    assert.equal(res.body.mlsNumber, 'C9001001');
+    assert.equal(res.body.bargainMatches.find(match => match.id === 'longOnMarket').explanation, 'On the market for at least 60 days');
+    assert.equal(res.body.sqftRange, '1500-2000');
+  });
+
+  test('returns 404 for an unknown listing', async () => {
+    const res = await request(app).get('/api/properties/NOPE123').expect(404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+});
+
+describe('GET /api/properties/compare', () => {
+  test('returns the listings in the order asked for, with the distances between them', async () => {
+    const res = await request(app).get('/api/properties/compare?mls=X9003003, C9001001,E9002002').expect(200);
+    assert.deepEqual(res.body.properties.map(property => property.mlsNumber), ['X9003003', 'C9001001', 'E9002002']);
+    assert.equal(res.body.properties[1].sqftRange, '1500-2000');
+
+    const { distancesKm } = res.body;
+    assert.deepEqual(distancesKm.map(row => row.length), [3, 3, 3]);
+    distancesKm.forEach((row, i) => {
+      assert.equal(row[i], 0);
+      row.forEach((distance, j) => assert.equal(distance, distancesKm[j][i]));
+    });
+    // Ottawa is a few hundred kilometres from Toronto; the two Toronto listings are a short drive apart
+    assert.ok(distancesKm[0][1] > 300);
+    assert.ok(distancesKm[1][2] > 5 && distancesKm[1][2] < 20);
+  });
+
+  test('takes 2 to 4 different MLS numbers', async () => {
+    for (const mls of ['', 'C9001001', 'C9001001,C9001001', 'C9001001,E9002002,X9003003,A1,B2']) {
+      const res = await request(app).get(`/api/properties/compare?mls=${mls}`).expect(400);
+      assert.equal(res.body.code, 'INVALID_REQUEST');
+    }
+    await request(app).get('/api/properties/compare').expect(400);
+    await request(app).get('/api/properties/compare?mls=C9001001,E9002002,X9003003,C9001001').expect(200);
+  });
+
+  test('names the listings that were not found', async () => {
+    const res = await request(app).get('/api/properties/compare?mls=C9001001,NOPE123,NOPE456').expect(404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+    assert.equal(res.body.error, 'Listings not found: NOPE123, NOPE456');
+  });
+});
+
+describe('GET /api/properties/:mlsNumber/costs', () => {
+  test('calculates the costs of a Toronto listing with the default assumptions', async () => {
+    const res = await request(app).get('/api/properties/C9001001/costs').expect(200);
+    assert.equal(res.body.mlsNumber, 'C9001001');
+    assert.equal(res.body.price, 899000);
+    assert.deepEqual(res.body.landTransferTax, { ontario: 14455, toronto: 14455, firstTimeBuyerRebate: 0, total: 28910 });
+    assert.equal(res.body.mortgage.principal, 719200);
+    assert.equal(res.body.mortgage.monthlyPayment, 4182.9);
+    assert.equal(res.body.monthlyCosts.propertyTax, 436.21);
+  });
+
+  test('rejects a down payment below the minimum and invalid options', async () => {
+    const res = await request(app).get('/api/properties/C9001001/costs?downPaymentPercent=5').expect(400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+    assert.match(res.body.error, /at least 7\.22%/);
+    assert.match((await request(app).get('/api/properties/C9001001/costs?interestRate=abc').expect(400)).body.error, /interestRate/);
+  });
+
+  test('returns 404 for unknown listings', async () => {
+    const res = await request(app).get('/api/properties/NOPE123/costs').expect(404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+});
+
+describe('GET /api/stats', () => {
+  test('aggregates the cached listings by FSA', async () => {
+    await request(app).get('/api/properties').expect(200);
+    const res = await request(app).get('/api/stats?groupBy=fsa').expect(200);
+
+    assert.equal(res.body.groupBy, 'fsa');
+    assert.equal(res.body.listings, 3);
+    assert.deepEqual(res.body.groups.map(group => [group.name, group.inventory]), [['K1H', 1], ['M1P', 1], ['M2N', 1]]);
+
+    const willowdale = res.body.groups.find(group => group.name === 'M2N');
+    assert.equal(willowdale.medianListPrice, 899000);
+    assert.equal(willowdale.medianDaysOnMarket, 74);
+    assert.equal(willowdale.tagPercents.estateSale, 100);
+    assert.equal(willowdale.priceCutPercent, 100);
+    assert.equal(res.body.overall.tagPercents.estateSale, 33.3);
+  });
+
+  test('groups by neighbourhood', async () => {
+    const res = await request(app).get('/api/stats?groupBy=neighbourhood').expect(200);
+    assert.deepEqual(res.body.groups.map(group => group.name), ['Willowdale East']);
+  });
+
+  test('rejects invalid parameters', async () => {
+    const res = await request(app).get('/api/stats?groupBy=street').expect(400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+    await request(app).get('/api/stats?minListings=0').expect(400);
+  });
+});
+
+describe('/api/cache', () => {
+  after(() => {
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  test('is turned off without an admin token', async () => {
+    delete process.env.ADMIN_TOKEN;
+    const res = await request(app).delete('/api/cache').expect(404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+
+  test('requires the admin token when one is set', async () => {
+    process.env.ADMIN_TOKEN = 'secret-token';
+    const res = await request(app).get('/api/cache').set('X-Admin-Token', 'wrong').expect(401);
+    assert.equal(res.body.code, 'ADMIN_TOKEN_REQUIRED');
+    await request(app).get('/api/cache').expect(401);
+
+    const cache = await request(app).get('/api/cache').set('X-Admin-Token', 'secret-token').expect(200);
+    assert.ok(Array.isArray(cache.body.entries));
+  });
+});
+
+describe('/api/saved-searches', () => {
+  test('requires a login', async () => {
+    const res = await request(app).get('/api/saved-searches').expect(401);
+    assert.equal(res.body.code, 'LOGIN_REQUIRED');
+    await request(app).post('/api/saved-searches').send({ name: 'Anonymous' }).expect(401);
+  });
+
+  test('only shows, runs and changes the searches of the user who saved them', async () => {
+    const owner = request.agent(app);
+    const other = request.agent(app);
+    await owner.post('/api/auth/register').send({ username: 'search-owner', password: 'owner-password' }).expect(201);
+    await other.post('/api/auth/register').send({ username: 'search-other', password: 'other-password' }).expect(201);
+
+    const saved = await owner.post('/api/saved-searches')
+      .send({ name: 'Toronto', query: { city: 'Toronto' }, notify: { email: 'owner@example.com' } })
+      .expect(201);
+    const { id } = saved.body;
+
+    assert.deepEqual((await owner.get('/api/saved-searches').expect(200)).body.savedSearches.map(search => search.id), [id]);
+    assert.deepEqual((await other.get('/api/saved-searches').expect(200)).body.savedSearches, []);
+    await other.get(`/api/saved-searches/${id}`).expect(404);
+    await other.post(`/api/saved-searches/${id}/run`).expect(404);
+    await other.put(`/api/saved-searches/${id}`).send({ name: 'Taken' }).expect(404);
+    await other.delete(`/api/saved-searches/${id}`).expect(404);
+    assert.equal((await owner.get(`/api/saved-searches/${id}`).expect(200)).body.name, 'Toronto');
+  });
+
+  test('only alerts an email address once it is confirmed with the code mailed to it', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/auth/register').send({ username: 'search-email', password: 'email-password' }).expect(201);
+
+    const saved = await agent.post('/api/saved-searches')
+      .send({ name: 'Alerts', query: { city: 'Toronto' }, notify: { email: 'alerts@example.com' } })
+      .expect(201);
+    const { id } = saved.body;
+    assert.equal(saved.body.emailConfirmed, false);
+    assert.equal(saved.body.emailCodeSent, true);
+    assert.equal(saved.body.emailConfirmation, undefined);
+
+    const email = emails.findLast(sent => sent.to.includes('alerts@example.com'));
+    const code = email.message.match(/confirmation code is (\d{6})/)[1];
+    const wrongCode = String((Number(code) + 1) % 1000000).padStart(6, '0');
+    const wrong = await agent.post(`/api/saved-searches/${id}/confirm-email`).send({ code: wrongCode }).expect(400);
+    assert.equal(wrong.body.code, 'WRONG_CONFIRMATION_CODE');
+    const resend = await agent.post(`/api/saved-searches/${id}/email-code`).expect(429);
+    assert.equal(resend.body.code, 'RATE_LIMITED');
+
+    const confirmed = await agent.post(`/api/saved-searches/${id}/confirm-email`).send({ code }).expect(200);
+    assert.equal(confirmed.body.emailConfirmed, true);
+    await agent.post(`/api/saved-searches/${id}/email-code`).expect(400);
+
+    // The same address is confirmed for the user's other searches; a new one needs its own code
+    const second = await agent.post('/api/saved-searches').send({ name: 'Second', notify: { email: 'alerts@example.com' } }).expect(201);
+    assert.equal(second.body.emailConfirmed, true);
+    const changed = await agent.put(`/api/saved-searches/${second.body.id}`).send({ notify: { email: 'someone@example.com' } }).expect(200);
+    assert.equal(changed.body.emailConfirmed, false);
+  });
+
+  test('rejects queries that /api/properties would reject', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/auth/register').send({ username: 'search-invalid', password: 'invalid-password' }).expect(201);
+    const save = query => agent.post('/api/saved-searches').send({ name: 'Invalid', query });
+
+    for (const [query, message] of [
+      [{ type: 'bargain,castle' }, /Invalid type "castle"/],
+      [{ minPrice: 'cheap' }, /minPrice/],
+      [{ polygon: '43.6,-79.4;43.7' }, /Invalid polygon/],
+      [{ minRating: '-1' }, /Invalid minRating/],
+      [{ thresholds: { longOnMarket: { minWeeks: '3' } } }, /Unknown threshold longOnMarket.minWeeks/],
+      [{ rules: 'noSuchRule' }, /Unknown bargain rule/]
+    ]) {
+      const res = await save(query).expect(400);
+      assert.equal(res.body.code, 'INVALID_REQUEST');
+      assert.match(res.body.error, message);
+    }
+    await save({ type: 'bargain,school', minPrice: '500000', thresholds: { longOnMarket: { minDays: '30' } } }).expect(201);
+  });
+
+  test('records a run that fails so the scheduler does not retry it at once', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/auth/register').send({ username: 'search-failing', password: 'failing-password' }).expect(201);
+    const saved = await agent.post('/api/saved-searches').send({ name: 'Broken', query: { city: 'Broken' } }).expect(201);
+
+    const res = await agent.post(`/api/saved-searches/${saved.body.id}/run`).expect(503);
+    assert.equal(res.body.code, 'UPSTREAM_UNAVAILABLE');
+    const search = (await agent.get(`/api/saved-searches/${saved.body.id}`).expect(200)).body;
+    assert.ok(search.lastRunAt);
+    assert.equal(search.lastRunStatus, 'failed');
+    assert.equal(search.lastRunError, 'Repliers API returned 503');
+    assert.equal(search.lastResultCount, null);
+
+    const again = await agent.post(`/api/saved-searches/${saved.body.id}/run`).expect(429);
+    assert.equal(again.body.code, 'RATE_LIMITED');
+    assert.ok(again.body.retryAfter > 0);
+  });
+});
+
+describe('API errors', () => {
+  test('reports a malformed JSON body as INVALID_REQUEST without a stack trace', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{bad')
+      .expect(400)
+      .expect('Content-Type', /json/);
+    assert.deepEqual(res.body, { error: 'Invalid JSON body', code: 'INVALID_REQUEST' });
+  });
+
+  test('answers unknown API routes with NOT_FOUND', async () => {
+    const res = await request(app).get('/api/nothing-here').expect(404).expect('Content-Type', /json/);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+});
+
+// Last, since the price changes recorded here count towards the bargain rules of later searches
+describe('GET /api/properties/:mlsNumber/history', () => {
+  test('returns the prices recorded by the price snapshots, with the reductions', async () => {
+    await takePriceSnapshot();
+    listPriceChanges.set('E9002002', 499000);
+    try {
+      await takePriceSnapshot();
+    } finally {
+      listPriceChanges.clear();
+    }
+
+    const res = await request(app).get('/api/properties/E9002002/history').expect(200);
+    assert.equal(res.body.mlsNumber, 'E9002002');
+    assert.deepEqual(res.body.observations.map(observation => observation.price), [529000, 499000]);
+    assert.ok(res.body.observations.every(observation => !Number.isNaN(Date.parse(observation.observedAt))));
+    assert.equal(res.body.originalPrice, 529000);
+    assert.equal(res.body.initialPrice, 529000);
+    assert.equal(res.body.currentPrice, 499000);
+    assert.equal(res.body.reductions, 1);
+    assert.equal(res.body.dropPercent, 5.7);
+  });
+
+  test('returns a single observation for a listing whose price has not changed', async () => {
+    await takePriceSnapshot();
+    const res = await request(app).get('/api/properties/X9003003/history').expect(200);
+    assert.deepEqual(res.body.observations.map(observation => observation.price), [449900]);
+    assert.equal(res.body.reductions, 0);
+    assert.equal(res.body.dropPercent, 0);
+  });
+
+  test('returns 404 for a listing without recorded prices', async () => {
+    const res = await request(app).get('/api/properties/NOPE123/history').expect(404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+});
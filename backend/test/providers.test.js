@@ -0,0 +1,102 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFile } from 'fs/promises';
+import { parseSearchCriteria, createListingProvider } from '../providers/index.js';
+import { normalizeRepliersListing, buildRepliersParams } from '../providers/repliers.js';
+import { createFixtureProvider } from '../providers/fixture.js';
+
+const testDir = dirname(fileURLToPath(import.meta.url));
+const repliersPage = JSON.parse(await readFile(join(testDir, 'fixtures', 'repliers', 'listings.json'), 'utf8'));
+
+describe('parseSearchCriteria', () => {
+  test('reads lists, numbers and the bounding box', () => {
+    assert.deepEqual(parseSearchCriteria({ city: ['Toronto', 'Ottawa'], propertyType: 'Detached', maxPrice: '900000', bbox: '-79.5,43.6,-79.3,43.8' }), {
+      city: ['Toronto', 'Ottawa'],
+      propertyType: ['Detached'],
+      minPrice: null,
+      maxPrice: 900000,
+      minBedrooms: null,
+      maxBedrooms: null,
+      minBathrooms: null,
+      maxBathrooms: null,
+      bbox: [-79.5, 43.6, -79.3, 43.8]
+    });
+  });
+
+  test('rejects invalid numbers and boxes', () => {
+    assert.throws(() => parseSearchCriteria({ minPrice: 'cheap' }), /Invalid minPrice/);
+    assert.throws(() => parseSearchCriteria({ bbox: '1,2,3' }), /Invalid bbox/);
+  });
+});
+
+describe('normalizeRepliersListing', () => {
+  test('maps a recorded Repliers listing to the listing schema', () => {
+    const listing = normalizeRepliersListing(repliersPage.listings[0]);
+    assert.equal(listing.mlsNumber, 'C9001001');
+    assert.equal(listing.listPrice, 899000);
+    assert.equal(listing.daysOnMarket, 74);
+    assert.equal(listing.propertyType, 'Detached');
+    assert.equal(listing.address.province, 'ON');
+    assert.equal(listing.address.postalCode, 'M2N 5N5');
+    assert.equal(listing.address.neighbourhood, 'Willowdale East');
+    assert.equal(listing.latitude, 43.7615);
+    assert.equal(listing.taxes.annualAmount, 5234.5);
+    assert.equal(listing.dates.terminated, '2025-11-02T00:00:00.000Z');
+    assert.deepEqual(listing.history, [{ mlsNumber: 'C5001234', soldPrice: 980000, soldDate: '2019-06-14' }]);
+  });
+
+  test('fills missing fields with nulls and empty lists', () => {
+    const listing = normalizeRepliersListing({ mlsNumber: 'X1' });
+    assert.equal(listing.listPrice, null);
+    assert.equal(listing.description, '');
+    assert.deepEqual(listing.images, []);
+    assert.equal(listing.lot, null);
+    assert.deepEqual(listing.history, []);
+  });
+});
+
+describe('buildRepliersParams', () => {
+  test('sends criteria and the bounding box as a polygon', () => {
+    const params = buildRepliersParams(parseSearchCriteria({ city: ['Toronto', 'Ottawa'], minPrice: '500000', bbox: '-79.5,43.6,-79.3,43.8' }), 50);
+    assert.deepEqual(params.getAll('city'), ['Toronto', 'Ottawa']);
+    assert.equal(params.get('minPrice'), '500000');
+    assert.equal(params.get('status'), 'A');
+    assert.equal(params.get('resultsPerPage'), '50');
+    assert.deepEqual(JSON.parse(params.get('map'))[0][0], [-79.5, 43.6]);
+  });
+
+  test('sends bathrooms as baths', () => {
+    const params = buildRepliersParams(parseSearchCriteria({ minBathrooms: '2', maxBathrooms: '3' }), 50);
+    assert.equal(params.get('minBaths'), '2');
+    assert.equal(params.get('maxBaths'), '3');
+    assert.equal(params.get('minBathrooms'), null);
+  });
+});
+
+describe('createListingProvider', () => {
+  test('reports a missing Repliers API key', () => {
+    assert.match(createListingProvider('repliers', { repliers: {} }).configError, /REPLIERS_API_KEY/);
+  });
+
+  test('rejects unknown providers', () => {
+    assert.throws(() => createListingProvider('zillow', {}), /zillow/);
+  });
+});
+
+describe('fixture provider', () => {
+  const provider = createFixtureProvider({ filePath: join(testDir, '..', 'data', 'fixtures', 'sample-listings.json') });
+
+  test('filters listings by criteria', async () => {
+    const all = await provider.searchListings(parseSearchCriteria({}));
+    const { listings } = await provider.searchListings(parseSearchCriteria({ maxPrice: '700000' }));
+    assert.ok(all.listings.length > listings.length);
+    assert.ok(listings.every(listing => listing.listPrice <= 700000));
+  });
+
+  test('finds a listing by MLS number', async () => {
+    assert.equal((await provider.getListing('SAMPLE001')).mlsNumber, 'SAMPLE001');
+    assert.equal(await provider.getListing('MISSING'), null);
+  });
+});
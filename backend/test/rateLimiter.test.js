@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../rateLimiter.js';
+
+test('allows max requests per window for each client', () => {
+  const clock = { time: 0 };
+  const limiter = createRateLimiter({ windowMs: 1000, max: 2, now: () => clock.time });
+
+  assert.deepEqual(limiter.hit('a'), { allowed: true, limit: 2, remaining: 1, resetAt: 1000 });
+  assert.equal(limiter.hit('a').allowed, true);
+  assert.deepEqual(limiter.hit('a'), { allowed: false, limit: 2, remaining: 0, resetAt: 1000 });
+  assert.equal(limiter.hit('b').allowed, true);
+});
+
+test('starts a new window once the old one ends', () => {
+  const clock = { time: 0 };
+  const limiter = createRateLimiter({ windowMs: 1000, max: 1, now: () => clock.time });
+
+  limiter.hit('a');
+  assert.equal(limiter.hit('a').allowed, false);
+  clock.time = 1000;
+  assert.deepEqual(limiter.hit('a'), { allowed: true, limit: 1, remaining: 0, resetAt: 2000 });
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createSavedSearchStore } from '../savedSearches.js';
+
+// Nothing is saved to disk unless a test waits for the writer, so one path serves every store
+const filePath = join(tmpdir(), `saved-searches-${process.pid}.json`);
+
+test('rejects searches run more often than the minimum frequency', () => {
+  const store = createSavedSearchStore({ filePath, minFrequencyMinutes: 60 });
+  assert.throws(() => store.create({ name: 'Often', frequencyMinutes: 0.01 }, 'u1'), /at least 60/);
+  assert.equal(store.create({ name: 'Hourly', frequencyMinutes: 60 }, 'u1').frequencyMinutes, 60);
+});
+
+test('checks the query when a search is saved or changed', () => {
+  const validateQuery = query => {
+    if (query.type && query.type !== 'bargain') throw new Error(`Invalid type "${query.type}"`);
+  };
+  const store = createSavedSearchStore({ filePath, validateQuery });
+  assert.throws(() => store.create({ name: 'Typo', query: { type: 'bargian' } }, 'u1'), /Invalid type "bargian"/);
+  const search = store.create({ name: 'Bargains', query: { type: 'bargain' } }, 'u1');
+  assert.throws(() => store.update(search.id, { query: { type: 'nope' } }), /Invalid type "nope"/);
+  assert.deepEqual(store.get(search.id).query, { type: 'bargain' });
+});
+
+test('limits the number of searches per user', () => {
+  const store = createSavedSearchStore({ filePath, maxPerUser: 2 });
+  store.create({ name: 'One' }, 'u1');
+  store.create({ name: 'Two' }, 'u1');
+  assert.throws(() => store.create({ name: 'Three' }, 'u1'), error => error.code === 'SAVED_SEARCH_LIMIT' && error.details.max === 2);
+  assert.equal(store.create({ name: 'Other user' }, 'u2').userId, 'u2');
+});
+
+test('rejects webhooks to private or local addresses', () => {
+  const store = createSavedSearchStore({ filePath });
+  assert.throws(
+    () => store.create({ name: 'SSRF', notify: { webhookUrl: 'http://127.0.0.1:3999/api/cache' } }, 'u1'),
+    /private and local addresses/
+  );
+  const search = store.create({ name: 'Public', notify: { webhookUrl: 'https://hooks.example.com/alerts' } }, 'u1');
+  assert.throws(() => store.update(search.id, { notify: { webhookUrl: 'http://10.0.0.5/hook' } }), /private and local addresses/);
+});
+
+test('keeps each user to their own searches and leaves ownerless ones out', () => {
+  const store = createSavedSearchStore({ filePath });
+  const own = store.create({ name: 'Mine' }, 'u1');
+  store.create({ name: 'Theirs' }, 'u2');
+  store.create({ name: 'Anonymous' }, null);
+
+  assert.deepEqual(store.listForUser('u1').map(search => search.id), [own.id]);
+  assert.deepEqual(store.listForUser(null), []);
+  assert.deepEqual(store.listDue().map(search => search.name).sort(), ['Mine', 'Theirs']);
+});
+
+test('keeps the previous results after a run whose alert was not delivered', () => {
+  const store = createSavedSearchStore({ filePath });
+  const search = store.create({ name: 'Alerts' }, 'u1');
+  store.recordRun(search.id, [{ mlsNumber: 'C1', askingPrice: 500000, tags: [] }], new Date('2026-03-01T00:00:00Z'));
+  store.recordFailedRun(search.id, {}, new Date('2026-03-02T00:00:00Z'));
+
+  const updated = store.get(search.id);
+  assert.equal(updated.lastRunAt, '2026-03-02T00:00:00.000Z');
+  assert.equal(updated.lastRunStatus, 'undelivered');
+  assert.deepEqual(Object.keys(updated.lastResults), ['C1']);
+});
+
+test('holds manual runs to the minimum frequency', () => {
+  const store = createSavedSearchStore({ filePath, minFrequencyMinutes: 60 });
+  const search = store.create({ name: 'Manual' }, 'u1');
+  assert.equal(store.getRunRetryAfterMs(search.id), 0);
+  store.recordRun(search.id, [], new Date('2026-03-02T00:00:00Z'));
+  assert.equal(store.getRunRetryAfterMs(search.id, new Date('2026-03-02T00:45:00Z')), 15 * 60 * 1000);
+  assert.equal(store.getRunRetryAfterMs(search.id, new Date('2026-03-02T01:00:00Z')), 0);
+});
+
+test('waits the usual interval after a failed run', () => {
+  const store = createSavedSearchStore({ filePath });
+  const search = store.create({ name: 'Failing', frequencyMinutes: 60 }, 'u1');
+  store.recordFailedRun(search.id, { status: 'failed', error: 'Repliers API returned 503' }, new Date('2026-03-02T00:00:00Z'));
+
+  const failed = store.get(search.id);
+  assert.equal(failed.lastRunStatus, 'failed');
+  assert.equal(failed.lastRunError, 'Repliers API returned 503');
+  assert.equal(failed.lastResults, null);
+  assert.ok(!store.listDue(new Date('2026-03-02T00:30:00Z')).some(due => due.id === search.id));
+  assert.ok(store.listDue(new Date('2026-03-02T01:00:00Z')).some(due => due.id === search.id));
+});
+
+test('confirms an alert email with the code sent to it, and stops taking guesses', () => {
+  const store = createSavedSearchStore({ filePath, codeIntervalMinutes: 5 });
+  const search = store.create({ name: 'Email', notify: { email: 'me@example.com' } }, 'u1');
+  assert.deepEqual(search.emailConfirmation, { code: null, attempts: 0, confirmedAt: null });
+
+  const now = new Date('2026-03-01T00:00:00Z');
+  const { code } = store.issueEmailCode(search.id, now);
+  assert.match(code, /^\d{6}$/);
+  assert.deepEqual(store.issueEmailCode(search.id, new Date('2026-03-01T00:01:00Z')), { code: null, retryAfterMs: 4 * 60 * 1000 });
+
+  const wrongCode = code === '000000' ? '111111' : '000000';
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal(store.confirmEmail(search.id, wrongCode), false);
+  }
+  assert.equal(store.confirmEmail(search.id, code), false);
+
+  const { code: newCode } = store.issueEmailCode(search.id, new Date('2026-03-01T00:05:00Z'));
+  assert.equal(store.confirmEmail(search.id, newCode, now), true);
+  assert.equal(store.get(search.id).emailConfirmation.confirmedAt, now.toISOString());
+  assert.throws(() => store.issueEmailCode(search.id), /no alert email waiting/);
+});
+
+test('keeps a confirmed email until the address changes', () => {
+  const store = createSavedSearchStore({ filePath });
+  const search = store.create({ name: 'Email', notify: { email: 'me@example.com' } }, 'u1');
+  store.confirmEmail(search.id, store.issueEmailCode(search.id).code);
+
+  assert.ok(store.update(search.id, { name: 'Renamed' }).emailConfirmation.confirmedAt);
+  assert.ok(store.create({ name: 'Same address', notify: { email: 'me@example.com' } }, 'u1').emailConfirmation.confirmedAt);
+  assert.equal(store.create({ name: 'Other user', notify: { email: 'me@example.com' } }, 'u2').emailConfirmation.confirmedAt, null);
+  assert.equal(store.update(search.id, { notify: { email: 'new@example.com' } }).emailConfirmation.confirmedAt, null);
+  assert.equal(store.update(search.id, { notify: {} }).emailConfirmation, null);
+});
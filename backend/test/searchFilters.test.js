@@ -0,0 +1,276 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPhraseClassifier } from '../phraseClassifier.js';
+import { withListingDefaults } from '../providers/listingSchema.js';
+import {
+  filterBargainProperties,
+  filterFixerProperties,
+  filterSchoolProperties,
+  filterSubwayProperties,
+  combineResults,
+  parseResultFilters,
+  filterResults,
+  countFacets,
+  parseAreaFilters,
+  filterByArea,
+  parseSearchModeOptions
+} from '../searchFilters.js';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const classifier = createPhraseClassifier({
+  negations: ['not'],
+  categories: {
+    fixer: { minConfidence: 0.5, phrases: { 'handyman special': 0.9, 'needs updating': 0.4 } },
+    estate: { minConfidence: 0.5, phrases: { 'estate sale': 0.9 } }
+  }
+});
+
+// Near Union Station, Toronto
+const downtown = withListingDefaults({ mlsNumber: 'C1', latitude: 43.6455, longitude: -79.3807, daysOnMarket: 90, description: 'Handyman special' });
+// About 1.5 km north of downtown
+const midtown = withListingDefaults({ mlsNumber: 'C2', latitude: 43.659, longitude: -79.3849, daysOnMarket: 5, description: 'Needs updating' });
+const noLocation = withListingDefaults({ mlsNumber: 'C3', daysOnMarket: 120, description: '' });
+
+describe('filterBargainProperties', () => {
+  const rules = [{
+    id: 'longOnMarket',
+    label: { zh: '长期未售', en: 'long time on market' },
+    predicate: 'daysOnMarket',
+    thresholds: { minDays: 60 },
+    weight: 1,
+    enabled: true
+  }];
+
+  test('keeps listings that fire a rule, carrying the matches', () => {
+    const results = filterBargainProperties([downtown, midtown, noLocation], rules, { now: NOW, classifier });
+    assert.deepEqual(results.map(property => property.mlsNumber), ['C1', 'C3']);
+    assert.equal(results[0].bargainMatches[0].values.days, 90);
+  });
+
+  test('reads recorded observations from the price history', () => {
+    const priceHistory = { getObservations: mlsNumber => (mlsNumber === 'C2' ? [{ price: 2 }, { price: 1 }] : []) };
+    const reduced = [{ id: 'priceReduced', label: { zh: '降价', en: 'price reduced' }, predicate: 'priceReductions', thresholds: { minReductions: 1 }, weight: 1, enabled: true }];
+    const results = filterBargainProperties([downtown, midtown], reduced, { now: NOW, classifier, priceHistory });
+    assert.deepEqual(results.map(property => property.mlsNumber), ['C2']);
+  });
+});
+
+describe('filterFixerProperties', () => {
+  test('keeps descriptions at or above the minimum confidence', () => {
+    const results = filterFixerProperties([downtown, midtown, noLocation], { classifier });
+    assert.deepEqual(results.map(property => property.mlsNumber), ['C1']);
+    assert.deepEqual(results[0].fixer.phrases, ['handyman special']);
+  });
+
+  test('takes a lower minimum confidence', () => {
+    const results = filterFixerProperties([downtown, midtown], { classifier, minConfidence: 0.3 });
+    assert.deepEqual(results.map(property => property.mlsNumber), ['C1', 'C2']);
+  });
+});
+
+describe('filterSchoolProperties', () => {
+  const schools = [
+    { name: 'Top School', board: 'TDSB', level: 'Secondary', rating: 9.5, latitude: 43.6465, longitude: -79.3807 },
+    { name: 'Other School', board: 'TDSB', level: 'Elementary', rating: 6, latitude: 43.6455, longitude: -79.3810 }
+  ];
+
+  test('keeps listings near highly rated schools', () => {
+    const results = filterSchoolProperties([downtown, midtown, noLocation], schools, { minRating: 9, radiusKm: 1 });
+    assert.deepEqual(results.map(property => property.mlsNumber), ['C1']);
+    assert.deepEqual(results[0].nearbySchools.map(school => school.name), ['Top School']);
+    assert.equal(results[0].nearbySchools[0].distanceKm, 0.11);
+  });
+
+  test('sorts matched schools by distance', () => {
+    const results = filterSchoolProperties([downtown], schools, { minRating: 5, radiusKm: 1 });
+    assert.deepEqual(results[0].nearbySchools.map(school => school.name), ['Other School', 'Top School']);
+  });
+});
+
+describe('filterSubwayProperties', () => {
+  const stations = [
+    { name: 'Union', line: 'Line 1', agency: 'TTC', latitude: 43.6453, longitude: -79.3806 },
+    { name: 'Finch', line: 'Line 1', agency: 'TTC', latitude: 43.7806, longitude: -79.4149 }
+  ];
+
+  test('keeps listings within walking time of the nearest station', () => {
+    const results = filterSubwayProperties([downtown, midtown, noLocation], stations, { maxWalkMinutes: 5 });
+    assert.deepEqual(results.map(property => property.mlsNumber), ['C1']);
+    assert.equal(results[0].nearestStation.name, 'Union');
+    assert.ok(results[0].nearestStation.walkMinutes < 1);
+  });
+
+  test('walks at the given speed', () => {
+    const results = filterSubwayProperties([downtown, midtown], stations, { maxWalkMinutes: 6, walkingSpeedKmh: 20 });
+    assert.deepEqual(results.map(property => property.mlsNumber), ['C1', 'C2']);
+  });
+
+  test('returns nothing without stations', () => {
+    assert.deepEqual(filterSubwayProperties([downtown], [], { maxWalkMinutes: 5 }), []);
+  });
+});
+
+describe('combineResults', () => {
+  const bargains = [{ ...downtown, bargainMatches: [] }, { ...noLocation, bargainMatches: [] }];
+  const fixers = [{ ...downtown, fixer: { confidence: 0.9, phrases: [] } }, { ...midtown, fixer: { confidence: 0.6, phrases: [] } }];
+
+  test("'and' keeps listings found by every search type, merging their data", () => {
+    const results = combineResults([bargains, fixers], 'and');
+    assert.deepEqual(results.map(property => property.mlsNumber), ['C1']);
+    assert.ok(results[0].bargainMatches && results[0].fixer);
+  });
+
+  test("'or' keeps listings found by any search type", () => {
+    const results = combineResults([bargains, fixers], 'or');
+    assert.deepEqual(results.map(property => property.mlsNumber).sort(), ['C1', 'C2', 'C3']);
+  });
+});
+
+describe('parseResultFilters', () => {
+  test('reads repeated and comma-separated tags and the days on market range', () => {
+    const filters = parseResultFilters({ tag: ['estateSale', 'priceDrop,underMarket'], minDaysOnMarket: '30' });
+    assert.deepEqual(filters.tags, ['estateSale', 'priceDrop', 'underMarket']);
+    assert.equal(filters.minDaysOnMarket, 30);
+    assert.equal(filters.maxDaysOnMarket, null);
+  });
+
+  test('reads the results page filters under filter[name]', () => {
+    assert.deepEqual(parseResultFilters({ filter: { minPrice: '500000', minBedrooms: '3', propertyType: ['Detached', 'Semi-Detached'], city: 'Toronto C14' } }), {
+      tags: [],
+      minDaysOnMarket: null,
+      maxDaysOnMarket: null,
+      minPrice: 500000,
+      maxPrice: null,
+      minBedrooms: 3,
+      maxBedrooms: null,
+      minBathrooms: null,
+      maxBathrooms: null,
+      propertyTypes: ['detached', 'semi-detached'],
+      cities: ['toronto c14']
+    });
+  });
+
+  test('rejects invalid numbers', () => {
+    assert.throws(() => parseResultFilters({ maxDaysOnMarket: 'soon' }), /Invalid maxDaysOnMarket/);
+    assert.throws(() => parseResultFilters({ filter: { maxPrice: '-1' } }), /Invalid filter\[maxPrice\]/);
+    assert.throws(() => parseResultFilters({ filter: 'cheap' }), /Invalid filter/);
+  });
+});
+
+describe('parseSearchModeOptions', () => {
+  test('keeps explicit zeros and leaves absent thresholds to the defaults', () => {
+    assert.deepEqual(parseSearchModeOptions({ minRating: '0', radiusKm: '2.5', maxWalkMinutes: '' }), {
+      minFixerConfidence: null,
+      minRating: 0,
+      radiusKm: 2.5,
+      maxWalkMinutes: null
+    });
+  });
+
+  test('rejects invalid numbers', () => {
+    assert.throws(() => parseSearchModeOptions({ radiusKm: 'far' }), /Invalid radiusKm/);
+    assert.throws(() => parseSearchModeOptions({ maxWalkMinutes: '-5' }), /Invalid maxWalkMinutes/);
+    assert.throws(() => parseSearchModeOptions({ minFixerConfidence: '2' }), /Invalid minFixerConfidence/);
+  });
+});
+
+describe('filterResults', () => {
+  const results = [
+    { mlsNumber: 'A', tags: ['estateSale'], daysOnMarket: 10, askingPrice: 650000, propertyType: 'Detached', city: 'Toronto C14', bedrooms: 3, bathrooms: 2 },
+    { mlsNumber: 'B', tags: ['priceDrop'], daysOnMarket: 40, askingPrice: 1200000, propertyType: 'Condo Apt', city: 'Ottawa', bedrooms: 2, bathrooms: 1 },
+    { mlsNumber: 'C', tags: [], daysOnMarket: 90, askingPrice: 0, propertyType: 'Detached', city: 'Ottawa', bedrooms: null, bathrooms: null }
+  ];
+  const filter = query => filterResults(results, parseResultFilters(query)).map(property => property.mlsNumber);
+
+  test('keeps listings with any of the tags', () => {
+    assert.deepEqual(filter({ tag: 'estateSale,priceDrop' }), ['A', 'B']);
+  });
+
+  test('keeps listings within the days on market range', () => {
+    assert.deepEqual(filter({ minDaysOnMarket: '20', maxDaysOnMarket: '60' }), ['B']);
+    assert.deepEqual(filter({}), ['A', 'B', 'C']);
+  });
+
+  test('keeps listings in the price range, and those without a public price', () => {
+    assert.deepEqual(filter({ filter: { maxPrice: '1000000' } }), ['A', 'C']);
+    assert.deepEqual(filter({ filter: { minPrice: '700000', maxPrice: '1500000' } }), ['B', 'C']);
+  });
+
+  test('keeps listings with at least the rooms asked for', () => {
+    assert.deepEqual(filter({ filter: { minBedrooms: '3' } }), ['A']);
+    assert.deepEqual(filter({ filter: { minBathrooms: '1', maxBathrooms: '1' } }), ['B']);
+  });
+
+  test('matches property types and cities by name', () => {
+    assert.deepEqual(filter({ filter: { propertyType: 'detached' } }), ['A', 'C']);
+    assert.deepEqual(filter({ filter: { city: 'Toronto C14,Ottawa', propertyType: 'Condo Apt' } }), ['B']);
+  });
+});
+
+describe('countFacets', () => {
+  test('counts property types, cities and tags', () => {
+    const facets = countFacets([
+      { propertyType: 'Detached', city: 'Toronto', tags: ['estateSale', 'priceDrop'] },
+      { propertyType: 'Detached', city: 'Ottawa', tags: ['priceDrop'] },
+      { propertyType: 'Condo Apt', city: null, tags: [] }
+    ]);
+    assert.deepEqual(facets, {
+      propertyTypes: { Detached: 2, 'Condo Apt': 1 },
+      cities: { Toronto: 1, Ottawa: 1 },
+      tags: { estateSale: 1, priceDrop: 2 }
+    });
+  });
+});
+
+describe('parseAreaFilters', () => {
+  test('reads polygons of latitude,longitude points', () => {
+    const { polygons, near } = parseAreaFilters({ polygon: ['43.64,-79.40;43.67,-79.40;43.67,-79.37', '1,1;1,2;2,2;'] });
+    assert.deepEqual(polygons, [[[43.64, -79.4], [43.67, -79.4], [43.67, -79.37]], [[1, 1], [1, 2], [2, 2]]]);
+    assert.equal(near, null);
+  });
+
+  test('reads an address or coordinates to travel from', () => {
+    assert.deepEqual(parseAreaFilters({ near: '43.6534, -79.3841', withinMinutes: '20' }).near, { latitude: 43.6534, longitude: -79.3841 });
+    const filters = parseAreaFilters({ near: ' 100 Queen St W, Toronto ', withinMinutes: '15', travelMode: 'drive' });
+    assert.deepEqual(filters, { polygons: [], near: { address: '100 Queen St W, Toronto' }, withinMinutes: 15, travelMode: 'drive' });
+  });
+
+  test('rejects invalid values', () => {
+    assert.throws(() => parseAreaFilters({ polygon: '43.64,-79.40;43.67,-79.40' }), /Invalid polygon/);
+    assert.throws(() => parseAreaFilters({ polygon: '43.64,-79.40;north;43.67,-79.37' }), /Invalid polygon/);
+    assert.throws(() => parseAreaFilters({ near: 'Union Station' }), /needs withinMinutes/);
+    assert.throws(() => parseAreaFilters({ withinMinutes: '10' }), /needs near/);
+    assert.throws(() => parseAreaFilters({ near: 'Union Station', withinMinutes: '0' }), /Invalid withinMinutes/);
+    assert.throws(() => parseAreaFilters({ near: 'Union Station', withinMinutes: '10', travelMode: 'fly' }), /Invalid travelMode/);
+  });
+});
+
+describe('filterByArea', () => {
+  // Downtown Toronto, south of Dundas St, so it holds C1 but not C2
+  const polygon = [[43.63, -79.40], [43.655, -79.40], [43.655, -79.37], [43.63, -79.37]];
+  const union = { latitude: 43.6453, longitude: -79.3806 };
+
+  test('keeps listings inside any of the polygons', () => {
+    const results = filterByArea([downtown, midtown, noLocation], { polygons: [polygon], origin: null });
+    assert.deepEqual(results.map(property => property.mlsNumber), ['C1']);
+    assert.equal(results[0].commute, undefined);
+  });
+
+  test('keeps listings within the travel time of the origin, carrying the estimate', () => {
+    const area = { polygons: [], origin: union, maxMinutes: 10, travelMode: 'walk', speedKmh: 5 };
+    const walking = filterByArea([downtown, midtown, noLocation], area);
+    assert.deepEqual(walking.map(property => property.mlsNumber), ['C1']);
+    assert.equal(walking[0].commute.travelMode, 'walk');
+    assert.ok(walking[0].commute.minutes < 1);
+
+    const driving = filterByArea([downtown, midtown], { ...area, travelMode: 'drive', speedKmh: 30 });
+    assert.deepEqual(driving.map(property => property.mlsNumber), ['C1', 'C2']);
+    assert.ok(Math.abs(driving[1].commute.minutes - 3) < 0.5, `got ${driving[1].commute.minutes}`);
+  });
+
+  test('needs both the polygon and the travel time when both are given', () => {
+    const area = { polygons: [polygon], origin: union, maxMinutes: 10, travelMode: 'drive', speedKmh: 30 };
+    assert.deepEqual(filterByArea([downtown, midtown], area).map(property => property.mlsNumber), ['C1']);
+  });
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readCookie } from '../sessions.js';
+
+const withCookie = cookie => ({ headers: { cookie } });
+
+test('readCookie finds a cookie among several and decodes it', () => {
+  assert.equal(readCookie(withCookie('theme=dark; housing_session=abc%3D%3D'), 'housing_session'), 'abc==');
+  assert.equal(readCookie(withCookie('theme=dark'), 'housing_session'), null);
+  assert.equal(readCookie({ headers: {} }, 'housing_session'), null);
+});
+
+test('readCookie treats a malformed value as absent', () => {
+  assert.equal(readCookie(withCookie('housing_session=%E0%A4%A'), 'housing_session'), null);
+});
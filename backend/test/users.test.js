@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createUserStore } from '../users.js';
+
+// Nothing is saved to disk unless a test waits for the writer, so one path serves every store
+const filePath = join(tmpdir(), `users-${process.pid}.json`);
+
+test('authenticates with the password the user registered with', async () => {
+  const store = createUserStore({ filePath });
+  const user = await store.register('Alice', 'correct-horse');
+  assert.equal((await store.authenticate('alice', 'correct-horse')).id, user.id);
+  assert.equal(await store.authenticate('alice', 'wrong-password'), null);
+});
+
+test('checks a password for unknown usernames too, and rejects them', async () => {
+  const store = createUserStore({ filePath });
+  await store.register('bob', 'bob-password');
+  assert.equal(await store.authenticate('nobody', 'bob-password'), null);
+  assert.equal(await store.authenticate(undefined, undefined), null);
+});
+
+test('refuses registrations with a code for each reason', async () => {
+  const store = createUserStore({ filePath });
+  await store.register('carol', 'carol-password');
+  const rejectsWith = (promise, code, details = null) => assert.rejects(promise, error => {
+    assert.equal(error.code, code);
+    assert.deepEqual(error.details, details);
+    return true;
+  });
+  await rejectsWith(store.register('c', 'long-enough'), 'INVALID_USERNAME');
+  await rejectsWith(store.register('dave', 'short'), 'PASSWORD_TOO_SHORT', { minLength: 8 });
+  await rejectsWith(store.register('Carol', 'another-password'), 'USERNAME_TAKEN', { username: 'Carol' });
+});
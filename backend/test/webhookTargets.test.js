@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBlockedAddress, checkWebhookUrl, assertPublicWebhookUrl } from '../webhookTargets.js';
+
+test('blocks loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  assert.equal(isBlockedAddress('8.8.8.8'), false);
+  assert.equal(isBlockedAddress('2606:4700:4700::1111'), false);
+});
+
+test('rejects webhook URLs to local hosts or other protocols', () => {
+  for (const url of ['http://127.0.0.1:3999/api/cache', 'http://localhost/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest', 'ftp://example.com/hook', 'not a url']) {
+    assert.throws(() => checkWebhookUrl(url), /Invalid webhookUrl/, url);
+  }
+  assert.equal(checkWebhookUrl('https://hooks.example.com/alerts').hostname, 'hooks.example.com');
+});
+
+test('rejects host names that resolve to a local address', async () => {
+  await assert.rejects(assertPublicWebhookUrl('http://app.localhost/hook'), /Invalid webhookUrl/);
+  await assert.doesNotReject(assertPublicWebhookUrl('https://93.184.215.14/hook'));
+});
@@ -0,0 +1,112 @@
+import { readFile } from 'fs/promises';
+import { createReadStream, existsSync } from 'fs';
+import { createInterface } from 'readline';
+import { basename, join } from 'path';
+import { parseCsv, parseCsvLine } from './csv.js';
+
+// GTFS route_type values treated as subway/LRT: 0 = tram/light rail, 1 = subway/metro, 12 = monorail
+const RAPID_TRANSIT_ROUTE_TYPES = new Set(['0', '1', '12']);
+
+// Helper function to read a GTFS table, returning [] when the optional file is missing
+async function readGtfsTable(feedDir, fileName) {
+  const filePath = join(feedDir, fileName);
+  if (!existsSync(filePath)) return [];
+  return parseCsv(await readFile(filePath, 'utf8'));
+}
+
+// Helper function to map stop_id -> Set of rapid transit line names using routes/trips/stop_times
+// stop_times.txt can be very large for real feeds, so it is streamed line by line
+async function loadStopLines(feedDir) {
+  const routes = await readGtfsTable(feedDir, 'routes.txt');
+  const trips = await readGtfsTable(feedDir, 'trips.txt');
+  const stopTimesPath = join(feedDir, 'stop_times.txt');
+  if (routes.length === 0 || trips.length === 0 || !existsSync(stopTimesPath)) return null;
+
+  const routeNames = new Map();
+  for (const route of routes) {
+    if (RAPID_TRANSIT_ROUTE_TYPES.has(route.route_type)) {
+      routeNames.set(route.route_id, route.route_long_name || route.route_short_name || route.route_id);
+    }
+  }
+
+  const tripRoutes = new Map();
+  for (const trip of trips) {
+    if (routeNames.has(trip.route_id)) {
+      tripRoutes.set(trip.trip_id, routeNames.get(trip.route_id));
+    }
+  }
+
+  const stopLines = new Map();
+  const lines = createInterface({ input: createReadStream(stopTimesPath), crlfDelay: Infinity });
+  let tripIndex = -1;
+  let stopIndex = -1;
+  for await (const line of lines) {
+    if (tripIndex === -1) {
+      const headers = parseCsvLine(line.replace(/^\uFEFF/, ''));
+      tripIndex = headers.indexOf('trip_id');
+      stopIndex = headers.indexOf('stop_id');
+      continue;
+    }
+    if (!line.trim()) continue;
+    const fields = parseCsvLine(line);
+    const lineName = tripRoutes.get(fields[tripIndex]);
+    if (!lineName) continue;
+    const stopId = fields[stopIndex];
+    if (!stopLines.has(stopId)) stopLines.set(stopId, new Set());
+    stopLines.get(stopId).add(lineName);
+  }
+
+  return stopLines;
+}
+
+// Load rapid transit stations from a single GTFS feed, collapsing platforms into their parent station
+async function loadFeedStations(feedDir) {
+  const stops = await readGtfsTable(feedDir, 'stops.txt');
+  const agencies = await readGtfsTable(feedDir, 'agency.txt');
+  const agency = agencies[0]?.agency_name || basename(feedDir);
+  const stopLines = await loadStopLines(feedDir);
+
+  const stopsById = new Map(stops.map(stop => [stop.stop_id, stop]));
+  const hasStationFlags = stops.some(stop => stop.location_type === '1');
+  const stations = new Map();
+
+  for (const stop of stops) {
+    let lines = null;
+    if (stopLines) {
+      // Only keep stops served by subway/LRT routes
+      lines = stopLines.get(stop.stop_id);
+      if (!lines) continue;
+    } else if (hasStationFlags && stop.location_type !== '1') {
+      // Without route data, fall back to stops flagged as stations
+      continue;
+    }
+
+    const station = stopsById.get(stop.parent_station) || stop;
+    const key = station.stop_id;
+    if (!stations.has(key)) {
+      stations.set(key, {
+        name: station.stop_name,
+        agency,
+        latitude: parseFloat(station.stop_lat),
+        longitude: parseFloat(station.stop_lon),
+        lines: new Set()
+      });
+    }
+    if (lines) lines.forEach(lineName => stations.get(key).lines.add(lineName));
+  }
+
+  return [...stations.values()]
+    .filter(station => !isNaN(station.latitude) && !isNaN(station.longitude))
+    .map(({ lines, ...station }) => ({ ...station, line: [...lines].join(' / ') }));
+}
+
+// Load subway/LRT stations from GTFS feed directories
+export async function loadStations(feedDirs) {
+  const stations = [];
+  for (const feedDir of feedDirs) {
+    stations.push(...await loadFeedStations(feedDir));
+  }
+
+  console.log(`Loaded ${stations.length} subway/LRT stations from ${feedDirs.length} GTFS feed(s)`);
+  return stations;
+}
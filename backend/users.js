@@ -0,0 +1,157 @@
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { readJsonFile, createJsonFileWriter } from './jsonFile.js';
+import { apiError } from './errors.js';
+
+const scryptAsync = promisify(scrypt);
+
+// Statuses a user can give a shortlisted listing
+export const LISTING_STATUSES = ['interested', 'viewed', 'offered', 'rejected'];
+
+const USERNAME_PATTERN = /^[\w.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hash that logins with an unknown username are checked against, made on first use
+let dummyPasswordHash = null;
+
+// User store with each user's shortlist
+// Users are { id, username, passwordHash, createdAt, shortlist } where shortlist maps
+// mlsNumber => { starred, note, status, property, updatedAt }; property is the listing as the
+// frontend last saw it, so the shortlist can be shown without searching again
+export function createUserStore({ filePath }) {
+  const users = new Map();
+  const { scheduleSave } = createJsonFileWriter(filePath, () => ({ users: [...users.values()] }));
+
+  async function load() {
+    try {
+      const saved = await readJsonFile(filePath);
+      if (!saved) return;
+      for (const user of saved.users || []) {
+        users.set(user.id, user);
+      }
+      console.log(`Loaded ${users.size} users from ${filePath}`);
+    } catch (error) {
+      console.error(`Failed to load users from ${filePath}:`, error.message);
+    }
+  }
+
+  function findByUsername(username) {
+    const normalized = String(username || '').toLowerCase();
+    return [...users.values()].find(user => user.username.toLowerCase() === normalized) || null;
+  }
+
+  function get(id) {
+    return users.get(id) || null;
+  }
+
+  // Create a user; throws when the username is taken or the credentials are invalid
+  async function register(username, password) {
+    username = String(username || '').trim();
+    if (!USERNAME_PATTERN.test(username)) {
+      throw apiError('INVALID_USERNAME', 'Username must be 3-32 letters, numbers, dots, dashes or underscores');
+    }
+    if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+      throw apiError('PASSWORD_TOO_SHORT', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, {
+        details: { minLength: MIN_PASSWORD_LENGTH }
+      });
+    }
+    if (findByUsername(username)) {
+      throw apiError('USERNAME_TAKEN', `Username "${username}" is already taken`, { details: { username } });
+    }
+
+    const user = {
+      id: randomUUID(),
+      username,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString(),
+      shortlist: {}
+    };
+    users.set(user.id, user);
+    scheduleSave();
+    return user;
+  }
+
+  // Returns the user when the password matches, null otherwise
+  // An unknown username still costs a password check, so response times do not tell which usernames exist
+  async function authenticate(username, password) {
+    const user = findByUsername(username);
+    if (!user) {
+      dummyPasswordHash ??= hashPassword(randomUUID());
+      await verifyPassword(String(password || ''), await dummyPasswordHash);
+      return null;
+    }
+    return (await verifyPassword(String(password || ''), user.passwordHash)) ? user : null;
+  }
+
+  function getShortlist(userId) {
+    const shortlist = users.get(userId)?.shortlist || {};
+    return Object.entries(shortlist)
+      .map(([mlsNumber, item]) => ({ mlsNumber, ...item }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // Star, annotate or set the status of a listing; the entry is dropped once none of them is set
+  function updateShortlistItem(userId, mlsNumber, changes) {
+    const user = users.get(userId);
+    if (!user) return null;
+
+    if (changes.status && !LISTING_STATUSES.includes(changes.status)) {
+      throw new Error(`Invalid status "${changes.status}": expected one of ${LISTING_STATUSES.join(', ')}`);
+    }
+
+    const current = user.shortlist[mlsNumber] || { starred: false, note: '', status: null, property: null };
+    const item = {
+      starred: changes.starred !== undefined ? !!changes.starred : current.starred,
+      note: changes.note !== undefined ? String(changes.note || '') : current.note,
+      status: changes.status !== undefined ? changes.status || null : current.status,
+      property: changes.property || current.property,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (!item.starred && !item.note && !item.status) {
+      delete user.shortlist[mlsNumber];
+    } else {
+      user.shortlist[mlsNumber] = item;
+    }
+    scheduleSave();
+    return user.shortlist[mlsNumber] ? { mlsNumber, ...item } : null;
+  }
+
+  function removeShortlistItem(userId, mlsNumber) {
+    const user = users.get(userId);
+    if (!user || !user.shortlist[mlsNumber]) return false;
+
+    delete user.shortlist[mlsNumber];
+    scheduleSave();
+    return true;
+  }
+
+  return {
+    filePath,
+    load,
+    get,
+    register,
+    authenticate,
+    getShortlist,
+    updateShortlistItem,
+    removeShortlistItem
+  };
+}
+
+// Helper function to hash a password as "salt:hash" with scrypt
+async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [salt, expected] = passwordHash.split(':');
+  const hash = await scryptAsync(password, salt, 64);
+  return timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+// Public fields of a user for API responses
+export function toPublicUser(user) {
+  return { id: user.id, username: user.username, createdAt: user.createdAt };
+}
@@ -0,0 +1,61 @@
+import { BlockList, isIP } from 'net';
+import { lookup } from 'dns/promises';
+
+// Address ranges a saved search's webhook may not point at: this machine, private networks, link-local
+// (including cloud metadata services), carrier-grade NAT, multicast and reserved ranges
+// Otherwise any visitor could make the server call internal services
+const blockedAddresses = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList itself;
+// NAT64 addresses are blocked as a whole rather than by the IPv4 they carry
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+// Whether an IP address is in one of the blocked ranges
+export function isBlockedAddress(address) {
+  const version = isIP(address);
+  if (version === 0) return true;
+  return blockedAddresses.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Check a webhook URL as far as it can be without DNS: http(s), and not localhost or a blocked IP address
+// Returns the parsed URL; throws on URLs that are not allowed
+export function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error('Invalid webhookUrl: expected an http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Invalid webhookUrl: expected an http(s) URL');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || (isIP(hostname) && isBlockedAddress(hostname))) {
+    throw new Error('Invalid webhookUrl: private and local addresses are not allowed');
+  }
+  return url;
+}
+
+// Check a webhook URL before posting to it, including every address its host name resolves to
+// Done on every delivery, since a host name can be pointed somewhere else after the search was saved
+export async function assertPublicWebhookUrl(value) {
+  const url = checkWebhookUrl(value);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(hostname)) return url;
+
+  const addresses = await lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`Webhook host ${hostname} resolves to a private or local address`);
+  }
+  return url;
+}
@@ -1,112 +1,816 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import MapView from './MapView.jsx'
+import CompareView from './CompareView.jsx'
+import DetailView from './DetailView.jsx'
+import StatsDashboard from './StatsDashboard.jsx'
+import { getErrorMessage, readErrorMessage } from './apiErrors.js'
+import { LanguageSwitcher, useI18n } from './i18n/index.jsx'
 import './App.css'
 
+// Search modes offered on the landing page, matching the backend's type parameter (labels are modes.<id>)
+const SEARCH_MODES = ['bargain', 'fixer', 'school', 'subway']
+
+const SORT_VALUES = ['score', 'price', 'daysOnMarket']
+
+// How many listings can be compared side by side
+const MAX_COMPARE = 4
+
+// Statuses a logged-in user can give a listing on their shortlist (labels are statuses.<id>)
+const LISTING_STATUSES = ['interested', 'viewed', 'offered', 'rejected']
+
+// Filters of the results list, sent to /api/properties; empty values are left out
+const EMPTY_FILTERS = {
+  minPrice: '',
+  maxPrice: '',
+  propertyType: '',
+  city: '',
+  minBedrooms: '',
+  minBathrooms: '',
+  minDaysOnMarket: '',
+  maxDaysOnMarket: '',
+  tags: [],
+  // Search area: polygons drawn on the map, and the travel-time filter (travelMode '' walks)
+  polygons: [],
+  near: '',
+  withinMinutes: '',
+  travelMode: ''
+}
+
+// Choices of the bedroom and bathroom filters ("at least N")
+const ROOM_COUNTS = ['1', '2', '3', '4', '5']
+
+// Helper function to turn the filters into query parameters, leaving out the empty ones
+// Tags become a list of tag parameters (bargain rule IDs), polygons a list of "lat,lng;lat,lng;..." parameters
+function getFilterQuery(filters) {
+  const { tags, polygons, ...values } = filters
+  return {
+    ...Object.fromEntries(Object.entries(values).filter(([, value]) => value !== '')),
+    ...(tags.length > 0 && { tag: tags }),
+    ...(polygons.length > 0 && {
+      polygon: polygons.map(polygon => polygon.map(([lat, lng]) => `${lat.toFixed(5)},${lng.toFixed(5)}`).join(';'))
+    })
+  }
+}
+
+// Filters the backend applies to the listings a search has already fetched, sent as filter[name]
+// parameters, so changing them does not search again
+const RESULT_FILTER_KEYS = ['minPrice', 'maxPrice', 'propertyType', 'city', 'minBedrooms', 'minBathrooms']
+
+// Helper function to turn the filters into the backend's query, with the results page filters under filter
+function getApiFilterQuery(filters) {
+  const query = getFilterQuery(filters)
+  const resultFilters = Object.fromEntries(RESULT_FILTER_KEYS.filter(key => key in query).map(key => [key, query[key]]))
+  RESULT_FILTER_KEYS.forEach(key => delete query[key])
+  return Object.keys(resultFilters).length > 0 ? { ...query, filter: resultFilters } : query
+}
+
+// Marker colours on the map, assigned to tags in the order they appear in the results
+const TAG_COLORS = ['#6366f1', '#ec4899', '#f59e0b', '#10b981', '#0ea5e9', '#ef4444', '#8b5cf6', '#14b8a6', '#84cc16']
+
+// A search is { modes, combine, sort, filters, ruleOverrides }, where ruleOverrides is the
+// { rules, thresholds } of buildRuleOverrides (null when the rules are left as they are)
+
+// Helper function to add the rule overrides and filters of a search to query parameters
+// api sends the results page filters as the backend's filter[name] parameters; the app's own URL keeps plain names
+function appendSearchFilters(params, search, { api = false } = {}) {
+  if (search.ruleOverrides) {
+    params.set('rules', search.ruleOverrides.rules)
+    Object.entries(search.ruleOverrides.thresholds).forEach(([id, values]) => {
+      Object.entries(values).forEach(([name, value]) => params.set(`thresholds[${id}][${name}]`, value))
+    })
+  }
+  const { filter = {}, ...query } = api ? getApiFilterQuery(search.filters) : getFilterQuery(search.filters)
+  Object.entries(query).forEach(([key, value]) => {
+    [].concat(value).forEach(item => params.append(key, item))
+  })
+  Object.entries(filter).forEach(([key, value]) => params.set(`filter[${key}]`, value))
+  return params
+}
+
+// Helper function to read the filters back from the query parameters of getFilterQuery
+function readFilters(params) {
+  const filters = { ...EMPTY_FILTERS }
+  Object.keys(EMPTY_FILTERS)
+    .filter(key => typeof EMPTY_FILTERS[key] === 'string')
+    .forEach(key => { filters[key] = params.get(key) || '' })
+  filters.tags = params.getAll('tag')
+  filters.polygons = params.getAll('polygon')
+    .map(polygon => polygon.split(';').map(point => point.split(',').map(Number)))
+    .filter(points => points.length >= 3 && points.every(point => point.length === 2 && point.every(Number.isFinite)))
+  return filters
+}
+
+// Helper function to read the rule overrides back from rules and thresholds[rule][name] parameters
+function readRuleOverrides(params) {
+  if (!params.has('rules')) return null
+  const thresholds = {}
+  for (const [key, value] of params) {
+    const match = key.match(/^thresholds\[(\w+)\]\[(\w+)\]$/)
+    if (match) thresholds[match[1]] = { ...thresholds[match[1]], [match[2]]: value }
+  }
+  return { rules: params.get('rules'), thresholds }
+}
+
+// Helper function to set the rule toggles and thresholds to those of a search, and the thresholds it does not
+// override back to their defaults
+function applyRuleOverrides(rules, overrides, defaults) {
+  if (!overrides) return rules
+  const enabled = overrides.rules.split(',')
+  return rules.map(rule => ({
+    ...rule,
+    enabled: enabled.includes(rule.id),
+    thresholds: { ...(defaults[rule.id] || rule.thresholds), ...overrides.thresholds[rule.id] }
+  }))
+}
+
+// Read the search and the open listing from the URL so searches and listings can be shared
+function readSearchFromUrl() {
+  const params = new URLSearchParams(window.location.search)
+  const modes = (params.get('mode') || '')
+    .split(',')
+    .filter(mode => SEARCH_MODES.includes(mode))
+  return {
+    modes,
+    combine: params.get('combine') === 'or' ? 'or' : 'and',
+    sort: SORT_VALUES.includes(params.get('sort')) ? params.get('sort') : 'score',
+    filters: readFilters(params),
+    ruleOverrides: readRuleOverrides(params),
+    listing: params.get('listing') || null
+  }
+}
+
+// Helper function to turn a search into the query string of its URL
+function getSearchQuery(search) {
+  const params = new URLSearchParams({ mode: search.modes.join(',') })
+  if (search.modes.length > 1) params.set('combine', search.combine)
+  if (search.sort !== 'score') params.set('sort', search.sort)
+  return appendSearchFilters(params, search)
+}
+
+// Write the active search and the open listing to the URL; a null search clears the search part
+// replace changes the current history entry instead of adding one, as when the filters are adjusted
+function writeSearchToUrl(search, listing = null, { replace = false } = {}) {
+  const params = search ? getSearchQuery(search) : new URLSearchParams()
+  if (listing) params.set('listing', listing)
+  const query = params.toString()
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}`
+  if (url !== `${window.location.pathname}${window.location.search}`) {
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', url)
+  }
+}
+
+// Helper function to tell whether two searches would return the same results
+const isSameSearch = (a, b) => !!a && !!b && getSearchQuery(a).toString() === getSearchQuery(b).toString()
+
 function App() {
+  const { t, locale, formatDateTime, formatNumber, tagLabel } = useI18n()
+  const initialSearch = readSearchFromUrl()
+
   const [properties, setProperties] = useState([])
-  const [filteredProperties, setFilteredProperties] = useState([])
   const [loading, setLoading] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
   const [error, setError] = useState(null)
+  const [page, setPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [total, setTotal] = useState(0)
+  // When the listing provider is down the backend answers from its cache; this is when that copy was fetched
+  const [cacheFallbackAt, setCacheFallbackAt] = useState(null)
+
+  // Search states: which modes to run and how to combine them
+  const [selectedModes, setSelectedModes] = useState(initialSearch.modes.length > 0 ? initialSearch.modes : ['bargain'])
+  const [combine, setCombine] = useState(initialSearch.combine)
+  const [activeSearch, setActiveSearch] = useState(null)
+
+  // Results view: card list or map, with the selected listing shared between them
+  const [viewMode, setViewMode] = useState('list')
+  const [selectedMls, setSelectedMls] = useState(null)
+  // Every result of the search for the map, which is not paged like the list ({ key, properties })
+  const [mapResults, setMapResults] = useState(null)
   
-  // Filter states
-  const [minPrice, setMinPrice] = useState('')
-  const [maxPrice, setMaxPrice] = useState('')
-  const [selectedPropertyType, setSelectedPropertyType] = useState('')
-  const [selectedTag, setSelectedTag] = useState('')
+  // Filters, applied by the backend, and the options it counted for them ({ propertyTypes, cities, tags })
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [facets, setFacets] = useState({ propertyTypes: {}, cities: {}, tags: {} })
+  // The search area the backend applied, with the commute origin it geocoded
+  const [searchArea, setSearchArea] = useState(null)
+  const [sortBy, setSortBy] = useState(initialSearch.sort)
 
-  const handleSearch = async () => {
-    setLoading(true)
-    setError(null)
-    setProperties([])
-    setFilteredProperties([])
+  // Bargain rules from the backend; ruleDefaults keeps the server values to detect changes
+  const [rules, setRules] = useState([])
+  const [ruleDefaults, setRuleDefaults] = useState({})
+
+  // Saved searches that the backend re-runs on a schedule to alert on new listings
+  const [savedSearches, setSavedSearches] = useState([])
+  const [showSaveForm, setShowSaveForm] = useState(false)
+  const [savedSearchStatus, setSavedSearchStatus] = useState({})
+
+  // Export of the filtered results as a file
+  const [exportFormat, setExportFormat] = useState('csv')
+  const [exporting, setExporting] = useState(false)
 
+  // Logged-in user and their shortlist (starred listings, notes and statuses keyed by MLS number)
+  const [user, setUser] = useState(null)
+  const [shortlist, setShortlist] = useState({})
+  const [showShortlist, setShowShortlist] = useState(false)
+
+  // Listings picked for the side-by-side comparison
+  const [compareMls, setCompareMls] = useState([])
+  const [showCompare, setShowCompare] = useState(false)
+
+  // Market stats dashboard
+  const [showStats, setShowStats] = useState(false)
+
+  // Listing shown on the detail page (?listing=MLS in the URL)
+  const [detailMls, setDetailMls] = useState(initialSearch.listing)
+  // The search the results on screen belong to, for the browser back/forward handler
+  const activeSearchRef = useRef(null)
+  // The filters of the latest search, and a counter to drop the responses of searches that were replaced
+  const searchFiltersRef = useRef(EMPTY_FILTERS)
+  const searchRequestRef = useRef(0)
+  // End of the results list; reaching it loads the next page
+  const loadMoreRef = useRef(null)
+
+  // Use environment variable if set, otherwise use relative path for same-origin
+  const apiUrl = import.meta.env.VITE_API_URL || '/api'
+
+  // Load the bargain rules once so users can toggle them or tune thresholds
+  useEffect(() => {
+    fetch(`${apiUrl}/rules`)
+      .then(response => response.ok ? response.json() : { rules: [] })
+      .then(data => {
+        const loadedRules = data.rules || []
+        const defaults = Object.fromEntries(loadedRules.map(rule => [rule.id, rule.thresholds]))
+        // A search opened from a shared link shows its rule settings
+        setRules(applyRuleOverrides(loadedRules, activeSearchRef.current?.ruleOverrides, defaults))
+        setRuleDefaults(defaults)
+      })
+      .catch(err => console.error('Error loading rules:', err))
+  }, [apiUrl])
+
+  // Restore the login from the session cookie
+  useEffect(() => {
+    fetch(`${apiUrl}/auth/me`, { credentials: 'include' })
+      .then(response => response.ok ? response.json() : { user: null })
+      .then(data => setUser(data.user))
+      .catch(err => console.error('Error loading user:', err))
+  }, [apiUrl])
+
+  // Saved searches and the shortlist belong to the logged-in user, so reload them when the user changes
+  useEffect(() => {
+    if (!user) {
+      setSavedSearches([])
+      setShowSaveForm(false)
+      setShortlist({})
+      setShowShortlist(false)
+      return
+    }
+    fetch(`${apiUrl}/saved-searches`, { credentials: 'include' })
+      .then(response => response.ok ? response.json() : { savedSearches: [] })
+      .then(data => setSavedSearches(data.savedSearches || []))
+      .catch(err => console.error('Error loading saved searches:', err))
+    fetch(`${apiUrl}/me/shortlist`, { credentials: 'include' })
+      .then(response => response.ok ? response.json() : { items: [] })
+      .then(data => setShortlist(Object.fromEntries((data.items || []).map(item => [item.mlsNumber, item]))))
+      .catch(err => console.error('Error loading shortlist:', err))
+  }, [apiUrl, user?.id])
+
+  // Log in or register; throws with the server's message so the form can show it
+  const handleAuth = async (action, username, password) => {
+    const response = await fetch(`${apiUrl}/auth/${action}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(getErrorMessage(data, t('errors.login'), t))
+    }
+    setUser(data.user)
+  }
+
+  const handleLogout = async () => {
+    await fetch(`${apiUrl}/auth/logout`, { method: 'POST', credentials: 'include' })
+    setUser(null)
+  }
+
+  // Star, annotate or set the status of a listing; a snapshot of the listing is kept for the shortlist view
+  const handleShortlistChange = async (property, changes) => {
+    const { mlsNumber } = property
+    const response = await fetch(`${apiUrl}/me/shortlist/${encodeURIComponent(mlsNumber)}`, {
+      method: 'PUT',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...changes, property })
+    })
+    if (!response.ok) {
+      setError(await readErrorMessage(response, t('errors.shortlist'), t))
+      return
+    }
+    const item = response.status === 204 ? null : await response.json()
+    setShortlist(prev => {
+      const next = { ...prev }
+      if (item) next[mlsNumber] = item
+      else delete next[mlsNumber]
+      return next
+    })
+  }
+
+  // Only send rule overrides for bargain searches, once the rules have been loaded
+  // Returns { rules, thresholds: { ruleId: { name: value } } } with just the thresholds that differ from the defaults
+  const buildRuleOverrides = (search) => {
+    if (!search.modes.includes('bargain') || rules.length === 0) return null
+
+    const thresholds = {}
+    rules.forEach(rule => {
+      Object.entries(rule.thresholds).forEach(([name, value]) => {
+        if (Array.isArray(value) || value === '' || Number(value) === ruleDefaults[rule.id]?.[name]) return
+        thresholds[rule.id] = { ...thresholds[rule.id], [name]: value }
+      })
+    })
+    return { rules: rules.filter(rule => rule.enabled).map(rule => rule.id).join(','), thresholds }
+  }
+
+  const buildSearchParams = (pageNumber, search) => {
+    const params = new URLSearchParams({ type: search.modes.join(','), page: pageNumber, sort: search.sort })
+    if (search.modes.length > 1) {
+      params.set('combine', search.combine)
+    }
+    return appendSearchFilters(params, search, { api: true })
+  }
+
+  // The map's request for a search: all its results, in any order
+  const buildMapParams = (search) => {
+    const params = buildSearchParams(1, search)
+    params.delete('page')
+    params.delete('sort')
+    params.set('view', 'map')
+    return params
+  }
+
+  // Save the active search together with the current filters; the backend alerts on new or changed listings
+  const handleSaveSearch = async ({ name, email, webhookUrl }) => {
+    const query = {
+      type: activeSearch.modes.join(','),
+      sort: activeSearch.sort,
+      ...(activeSearch.modes.length > 1 && { combine: activeSearch.combine }),
+      ...activeSearch.ruleOverrides,
+      ...getApiFilterQuery(filters)
+    }
+
+    const response = await fetch(`${apiUrl}/saved-searches`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, query, notify: { email, webhookUrl } })
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(getErrorMessage(data, t('errors.saveSearch'), t))
+    }
+    setSavedSearches(prev => [...prev, data])
+    setShowSaveForm(false)
+  }
+
+  // Download every page of the active search with the page's filters applied, in the selected format
+  const handleExport = async () => {
+    const params = buildSearchParams(1, { ...activeSearch, filters })
+    params.delete('page')
+    params.set('format', exportFormat)
+    params.set('lang', locale)
+
+    setExporting(true)
     try {
-      // Use environment variable if set, otherwise use relative path for same-origin
-      const apiUrl = import.meta.env.VITE_API_URL || '/api'
-      const response = await fetch(`${apiUrl}/properties?type=bargain`)
-      
+      const response = await fetch(`${apiUrl}/properties?${params}`)
       if (!response.ok) {
-        const errorData = await response.json()
-        throw new Error(errorData.error || 'Failed to fetch properties')
+        throw new Error(await readErrorMessage(response, t('errors.export'), t))
       }
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `properties.${exportFormat}`
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setExporting(false)
+    }
+  }
 
+  const handleRunSavedSearch = async (id) => {
+    setSavedSearchStatus(prev => ({ ...prev, [id]: t('savedSearches.checking') }))
+    try {
+      const response = await fetch(`${apiUrl}/saved-searches/${id}/run`, { method: 'POST', credentials: 'include' })
       const data = await response.json()
-      setProperties(data.properties || [])
-      setFilteredProperties(data.properties || [])
+      if (!response.ok) {
+        throw new Error(getErrorMessage(data, t('errors.runSavedSearch'), t))
+      }
+      const status = data.baseline
+        ? t('savedSearches.baseline', { total: data.total })
+        : t('savedSearches.result', { added: data.added.length, changed: data.changed.length })
+      setSavedSearchStatus(prev => ({ ...prev, [id]: status }))
+      setSavedSearches(prev => prev.map(search => search.id === id
+        ? { ...search, lastRunAt: new Date().toISOString(), lastResultCount: data.total }
+        : search))
     } catch (err) {
+      setSavedSearchStatus(prev => ({ ...prev, [id]: err.message }))
+    }
+  }
+
+  // Alert emails only go out once the address is confirmed with the code mailed to it
+  const handleEmailCode = async (id, code = null) => {
+    const response = await fetch(`${apiUrl}/saved-searches/${id}/${code === null ? 'email-code' : 'confirm-email'}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(code === null ? {} : { code })
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(getErrorMessage(data, t('errors.confirmEmail'), t))
+    }
+    setSavedSearches(prev => prev.map(search => search.id === id ? data : search))
+  }
+
+  const handleDeleteSavedSearch = async (id) => {
+    const response = await fetch(`${apiUrl}/saved-searches/${id}`, { method: 'DELETE', credentials: 'include' })
+    if (response.ok) {
+      setSavedSearches(prev => prev.filter(search => search.id !== id))
+    }
+  }
+
+  const fetchPage = async (pageNumber, search) => {
+    const response = await fetch(`${apiUrl}/properties?${buildSearchParams(pageNumber, search)}`)
+
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, t('errors.fetchProperties'), t))
+    }
+    return response.json()
+  }
+
+  // Show a page of results: the paging, the filter options and whether they come from the cache fallback
+  const applyPage = (data, pageNumber) => {
+    setPage(data.page || pageNumber)
+    setTotalPages(data.totalPages || 1)
+    setTotal(data.total ?? (data.properties || []).length)
+    setFacets(data.facets || { propertyTypes: {}, cities: {}, tags: {} })
+    setSearchArea(data.area || null)
+    setCacheFallbackAt(data.cache === 'fallback' ? data.fetchedAt : null)
+    return data.properties || []
+  }
+
+  // Run a search from its first page; keepResults leaves the current results on screen until the new ones
+  // arrive, as when the filters change, and replaceUrl updates the URL without adding to the history
+  const runSearch = async (search, { updateUrl = true, replaceUrl = false, keepResults = false } = {}) => {
+    const request = ++searchRequestRef.current
+    searchFiltersRef.current = search.filters
+    setLoading(true)
+    setError(null)
+    if (!keepResults) setProperties([])
+    setActiveSearch(search)
+    activeSearchRef.current = search
+    if (updateUrl) writeSearchToUrl(search, null, { replace: replaceUrl })
+
+    try {
+      const data = await fetchPage(1, search)
+      if (request !== searchRequestRef.current) return
+      setProperties(applyPage(data, 1))
+    } catch (err) {
+      if (request !== searchRequestRef.current) return
       setError(err.message)
       console.error('Error:', err)
     } finally {
-      setLoading(false)
+      if (request === searchRequestRef.current) setLoading(false)
     }
   }
 
-  // Apply filters
-  const applyFilters = () => {
-    let filtered = [...properties]
+  const handleSearch = () => {
+    const search = { modes: selectedModes, combine, sort: sortBy, filters }
+    runSearch({ ...search, ruleOverrides: buildRuleOverrides(search) })
+  }
+
+  const handleLoadMore = async () => {
+    const request = searchRequestRef.current
+    setLoadingMore(true)
+    setError(null)
 
-    // Price range filter
-    if (minPrice) {
-      const min = parseInt(minPrice)
-      filtered = filtered.filter(p => !p.askingPrice || p.askingPrice >= min)
-    }
-    if (maxPrice) {
-      const max = parseInt(maxPrice)
-      filtered = filtered.filter(p => !p.askingPrice || p.askingPrice <= max)
+    try {
+      const data = await fetchPage(page + 1, activeSearch)
+      if (request !== searchRequestRef.current) return
+      const results = applyPage(data, page + 1)
+      setProperties(prev => [...prev, ...results])
+    } catch (err) {
+      if (request !== searchRequestRef.current) return
+      setError(err.message)
+      console.error('Error:', err)
+    } finally {
+      setLoadingMore(false)
     }
+  }
 
-    // Property type filter
-    if (selectedPropertyType) {
-      filtered = filtered.filter(p => 
-        p.propertyType?.toLowerCase().includes(selectedPropertyType.toLowerCase())
-      )
+  const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }))
+
+  const toggleTagFilter = (tag) => {
+    setFilters(prev => ({
+      ...prev,
+      tags: prev.tags.includes(tag) ? prev.tags.filter(selected => selected !== tag) : [...prev.tags, tag]
+    }))
+  }
+
+  // Sorting is done by the backend, so a new sort starts again from the first page
+  const handleSortChange = (sort) => {
+    setSortBy(sort)
+    runSearch({ ...activeSearch, sort, filters }, { keepResults: true })
+  }
+
+  const toggleMode = (mode) => {
+    setSelectedModes(prev => prev.includes(mode)
+      ? prev.filter(selected => selected !== mode)
+      : SEARCH_MODES.filter(id => id === mode || prev.includes(id)))
+  }
+
+  const toggleCompare = (mlsNumber) => {
+    setCompareMls(prev => prev.includes(mlsNumber)
+      ? prev.filter(mls => mls !== mlsNumber)
+      : prev.length < MAX_COMPARE ? [...prev, mlsNumber] : prev)
+  }
+
+  const resetSearch = () => {
+    activeSearchRef.current = null
+    setSelectedMls(null)
+    setCompareMls([])
+    setShowCompare(false)
+    setViewMode('list')
+    searchRequestRef.current += 1
+    setLoading(false)
+    setProperties([])
+    setActiveSearch(null)
+    setError(null)
+    setFilters(EMPTY_FILTERS)
+  }
+
+  const handleBackHome = () => {
+    resetSearch()
+    writeSearchToUrl(null)
+  }
+
+  const openDetail = (mlsNumber) => {
+    setDetailMls(mlsNumber)
+    writeSearchToUrl(activeSearch, mlsNumber)
+    window.scrollTo(0, 0)
+  }
+
+  const closeDetail = () => {
+    setDetailMls(null)
+    writeSearchToUrl(activeSearch)
+  }
+
+  // Show the search in the URL: its modes, filters and rule settings, and the open listing
+  // Opening or closing a listing keeps the results, so the search is only re-run when it changed
+  const syncFromUrl = () => {
+    const { listing, ...search } = readSearchFromUrl()
+    setDetailMls(listing)
+    if (search.modes.length === 0) {
+      resetSearch()
+      return
     }
+    if (isSameSearch(search, activeSearchRef.current)) return
+    setSelectedModes(search.modes)
+    setCombine(search.combine)
+    setSortBy(search.sort)
+    setFilters(search.filters)
+    setRules(prev => applyRuleOverrides(prev, search.ruleOverrides, ruleDefaults))
+    runSearch(search, { updateUrl: false })
+  }
+  // The back/forward listener is added once, so it goes through a ref to the syncFromUrl of the latest
+  // render, which sees the current rules and language
+  const syncFromUrlRef = useRef(syncFromUrl)
+  syncFromUrlRef.current = syncFromUrl
 
-    // Label/tag filter
-    if (selectedTag) {
-      filtered = filtered.filter(p => 
-        p.tags?.some(tag => tag.toLowerCase().includes(selectedTag.toLowerCase()))
-      )
+  // Run the search from a shared URL on first load, and follow browser back/forward
+  useEffect(() => {
+    if (initialSearch.modes.length > 0) {
+      syncFromUrlRef.current()
     }
+    const handlePopState = () => syncFromUrlRef.current()
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
 
-    setFilteredProperties(filtered)
+  // Filters are applied by the backend, so changing them reloads the results from the first page
+  // The wait lets typing in the number inputs finish first
+  useEffect(() => {
+    if (!activeSearchRef.current || searchFiltersRef.current === filters) return
+    const timer = setTimeout(() => runSearch({ ...activeSearchRef.current, filters }, { replaceUrl: true, keepResults: true }), 400)
+    return () => clearTimeout(timer)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters])
+
+  // Filter options come from every matching listing, not just the pages loaded; selected values stay listed
+  const facetOptions = (counts, selected) => [...new Set([...Object.keys(counts), ...[].concat(selected).filter(Boolean)])]
+  const filtersActive = Object.keys(getFilterQuery(filters)).length > 0
+  const uniqueTags = facetOptions(facets.tags, filters.tags)
+  // Tag names without the values of a particular listing (e.g. "price reduced N times"), for the filter and map legend
+  const ruleLabels = Object.fromEntries(rules.map(rule => [rule.id, rule.label]))
+  const genericTagLabel = tag => tagLabel(tag, {}, ruleLabels[tag]).replace(/\{\w+\}/g, 'N')
+  const tagColors = useMemo(
+    () => Object.fromEntries(uniqueTags.map((tag, index) => [tag, TAG_COLORS[index % TAG_COLORS.length]])),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [uniqueTags.join('|')]
+  )
+
+  // Only one page is shown at a time; the listing detail takes over from the others
+  const mainView = detailMls ? 'detail' : showShortlist ? 'shortlist' : showCompare ? 'compare' : showStats ? 'stats' : 'search'
+
+  const renderShortlistControls = (property) => user && property.mlsNumber && (
+    <ShortlistControls property={property} item={shortlist[property.mlsNumber]} onChange={handleShortlistChange} />
+  )
+
+  const showOnMap = (mlsNumber) => {
+    setSelectedMls(mlsNumber)
+    setViewMode('map')
   }
 
-  // Get unique property types and tags for filter dropdowns
-  const uniquePropertyTypes = [...new Set(properties.map(p => p.propertyType).filter(Boolean))]
-  const allTags = properties.flatMap(p => p.tags || [])
-  const uniqueTags = [...new Set(allTags)]
+  // Bring the listing selected on the map into view when switching back to the list
+  useEffect(() => {
+    if (viewMode === 'list' && selectedMls) {
+      document.getElementById(`property-${selectedMls}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    }
+  }, [viewMode, selectedMls])
 
-  // Auto-apply filters when they change
+  // Load every result of the search when the map is shown, once per search; until they arrive the map
+  // shows the listings loaded into the list
   useEffect(() => {
-    if (properties.length > 0) {
-      applyFilters()
+    if (viewMode !== 'map' || !activeSearch) return
+    const params = buildMapParams(activeSearch)
+    const key = params.toString()
+    if (mapResults?.key === key) return
+
+    let cancelled = false
+    const loadMapResults = async () => {
+      try {
+        const response = await fetch(`${apiUrl}/properties?${params}`)
+        if (!response.ok) {
+          throw new Error(await readErrorMessage(response, t('errors.fetchProperties'), t))
+        }
+        const data = await response.json()
+        if (!cancelled) setMapResults({ key, properties: data.properties || [] })
+      } catch (err) {
+        if (cancelled) return
+        setError(err.message)
+        console.error('Error:', err)
+      }
     }
+    loadMapResults()
+    return () => { cancelled = true }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [viewMode, activeSearch])
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current
+    if (!sentinel || viewMode !== 'list' || loading || loadingMore || page >= totalPages) return
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) handleLoadMore()
+    }, { rootMargin: '400px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [minPrice, maxPrice, selectedPropertyType, selectedTag, properties])
+  }, [viewMode, loading, loadingMore, page, totalPages])
+
+  const mapKey = activeSearch ? buildMapParams(activeSearch).toString() : null
+  const mapLoaded = !!mapKey && mapResults?.key === mapKey
+
+  // The results stay up while filters that match nothing are changed, so they can be undone
+  const showResults = mainView === 'search' && !!activeSearch && (properties.length > 0 || filtersActive)
 
   return (
     <div className="app">
       <main className="app-main">
-        {properties.length === 0 && !loading && (
+        <AccountBar
+          user={user}
+          shortlistCount={Object.keys(shortlist).length}
+          showShortlist={showShortlist}
+          onAuth={handleAuth}
+          onLogout={handleLogout}
+          onToggleShortlist={() => {
+            setShowShortlist(show => !show)
+            if (detailMls) closeDetail()
+          }}
+        />
+
+        {mainView === 'detail' && (
+          <DetailView
+            apiUrl={apiUrl}
+            mlsNumber={detailMls}
+            onBack={closeDetail}
+            renderShortlistControls={renderShortlistControls}
+          />
+        )}
+
+        {mainView === 'shortlist' && (
+          <div className="properties-container">
+            <div className="properties-header">
+              <h2>{t('shortlist.title', { count: Object.keys(shortlist).length })}</h2>
+              <button className="search-again-button" onClick={() => setShowShortlist(false)}>
+                {t('common.back')}
+              </button>
+            </div>
+            {Object.keys(shortlist).length === 0 ? (
+              <p className="no-results">{t('shortlist.empty')}</p>
+            ) : (
+              <div className="properties-list">
+                {Object.values(shortlist).filter(item => item.property).map(item => (
+                  <PropertyCard
+                    key={item.mlsNumber}
+                    property={item.property}
+                    shortlistItem={item}
+                    onShortlistChange={handleShortlistChange}
+                    onOpenDetail={openDetail}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {mainView === 'search' && !showResults && !loading && (
           <div className="search-container">
             <div className="hero-section">
-              <h2 className="hero-title">发现优质房产机会</h2>
-              <p className="hero-subtitle">智能筛选，精准定位您的理想房源</p>
+              <h2 className="hero-title">{t('search.heroTitle')}</h2>
+              <p className="hero-subtitle">{t('search.heroSubtitle')}</p>
+              {activeSearch && !error && (
+                <p className="no-results">{t('search.noResults')}</p>
+              )}
+              <div className="mode-selector">
+                {SEARCH_MODES.map(mode => (
+                  <button
+                    key={mode}
+                    type="button"
+                    className={`mode-chip${selectedModes.includes(mode) ? ' active' : ''}`}
+                    aria-pressed={selectedModes.includes(mode)}
+                    onClick={() => toggleMode(mode)}
+                  >
+                    {t(`modes.${mode}`)}
+                  </button>
+                ))}
+              </div>
+              {selectedModes.length > 1 && (
+                <div className="combine-selector">
+                  <label>
+                    <input
+                      type="radio"
+                      name="combine"
+                      value="and"
+                      checked={combine === 'and'}
+                      onChange={() => setCombine('and')}
+                    />
+                    {t('search.combineAnd')}
+                  </label>
+                  <label>
+                    <input
+                      type="radio"
+                      name="combine"
+                      value="or"
+                      checked={combine === 'or'}
+                      onChange={() => setCombine('or')}
+                    />
+                    {t('search.combineOr')}
+                  </label>
+                </div>
+              )}
               <button 
                 className="search-button" 
                 onClick={handleSearch}
-                disabled={loading}
+                disabled={loading || selectedModes.length === 0}
               >
-                捡漏机会
+                {t('search.start')}
+              </button>
+              <button type="button" className="show-on-map-button stats-link" onClick={() => setShowStats(true)}>
+                {t('stats.open')}
               </button>
+              {rules.length > 0 && selectedModes.includes('bargain') && (
+                <RulesPanel rules={rules} onChange={setRules} />
+              )}
+              {savedSearches.length > 0 && (
+                <SavedSearchList
+                  savedSearches={savedSearches}
+                  status={savedSearchStatus}
+                  onRun={handleRunSavedSearch}
+                  onEmailCode={handleEmailCode}
+                  onDelete={handleDeleteSavedSearch}
+                />
+              )}
             </div>
           </div>
         )}
 
-        {loading && (
+        {mainView === 'search' && loading && !showResults && (
           <div className="loading-container">
             <div className="spinner"></div>
-            <p>正在搜索符合条件的房产...</p>
+            <p>{t('search.searching')}</p>
           </div>
         )}
 
@@ -116,83 +820,306 @@ function App() {
           </div>
         )}
 
-        {properties.length > 0 && (
+        {mainView === 'stats' && (
+          <StatsDashboard apiUrl={apiUrl} tagLabel={genericTagLabel} onClose={() => setShowStats(false)} />
+        )}
+
+        {mainView === 'compare' && (
+          <CompareView apiUrl={apiUrl} mlsNumbers={compareMls} onClose={() => setShowCompare(false)} />
+        )}
+
+        {showResults && (
           <div className="properties-container">
             <div className="properties-header">
-              <h2>找到 {filteredProperties.length} 个符合条件的房产</h2>
-              <button className="search-again-button" onClick={() => {
-                setProperties([])
-                setFilteredProperties([])
-                setMinPrice('')
-                setMaxPrice('')
-                setSelectedPropertyType('')
-                setSelectedTag('')
-              }}>
-                返回主页
+              <div>
+                <h2>{t('results.found', { count: total })}</h2>
+                {activeSearch && (
+                  <p className="active-modes">
+                    {activeSearch.modes
+                      .map(mode => t(`modes.${mode}`))
+                      .join(activeSearch.combine === 'or' ? t('common.orSeparator') : ' + ')}
+                  </p>
+                )}
+                {cacheFallbackAt && (
+                  <p className="cache-notice">
+                    {t('results.cacheNotice', { time: formatDateTime(cacheFallbackAt) })}
+                  </p>
+                )}
+              </div>
+              <div className="view-toggle">
+                <button
+                  type="button"
+                  className={viewMode === 'list' ? 'active' : ''}
+                  onClick={() => setViewMode('list')}
+                >
+                  {t('results.list')}
+                </button>
+                <button
+                  type="button"
+                  className={viewMode === 'map' ? 'active' : ''}
+                  onClick={() => setViewMode('map')}
+                >
+                  {t('results.map')}
+                </button>
+              </div>
+              <div className="sort-control">
+                <label htmlFor="sortBy">{t('results.sort')}</label>
+                <select
+                  id="sortBy"
+                  value={sortBy}
+                  onChange={(e) => handleSortChange(e.target.value)}
+                  className="filter-select"
+                >
+                  {SORT_VALUES.map(value => (
+                    <option key={value} value={value}>{t(`sort.${value}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="export-control">
+                <select
+                  aria-label={t('results.exportFormat')}
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="csv">CSV</option>
+                  <option value="xlsx">Excel</option>
+                  <option value="geojson">GeoJSON</option>
+                </select>
+                <button className="search-again-button" onClick={handleExport} disabled={exporting}>
+                  {exporting ? t('results.exporting') : t('results.export')}
+                </button>
+              </div>
+              {user && (
+                <button className="search-again-button" onClick={() => setShowSaveForm(show => !show)}>
+                  {t('results.saveSearch')}
+                </button>
+              )}
+              <button className="search-again-button" onClick={handleBackHome}>
+                {t('results.backHome')}
               </button>
             </div>
+
+            {showSaveForm && (
+              <SaveSearchForm onSave={handleSaveSearch} onCancel={() => setShowSaveForm(false)} />
+            )}
+
+            {compareMls.length > 0 && (
+              <div className="compare-bar">
+                <span>{t('results.compareSelected', { count: compareMls.length, max: MAX_COMPARE })}</span>
+                <button
+                  type="button"
+                  className="search-again-button"
+                  disabled={compareMls.length < 2}
+                  onClick={() => setShowCompare(true)}
+                >
+                  {t('results.startCompare')}
+                </button>
+                <button type="button" className="show-on-map-button" onClick={() => setCompareMls([])}>
+                  {t('results.clearCompare')}
+                </button>
+              </div>
+            )}
             
             <div className="filters-container">
               <div className="filter-group">
-                <label htmlFor="minPrice">最低价格:</label>
+                <label htmlFor="minPrice">{t('filters.minPrice')}</label>
                 <input
                   id="minPrice"
                   type="number"
-                  placeholder="最小值"
-                  value={minPrice}
-                  onChange={(e) => setMinPrice(e.target.value)}
+                  placeholder={t('filters.min')}
+                  value={filters.minPrice}
+                  onChange={(e) => updateFilter('minPrice', e.target.value)}
                   className="filter-input"
                 />
               </div>
               
               <div className="filter-group">
-                <label htmlFor="maxPrice">最高价格:</label>
+                <label htmlFor="maxPrice">{t('filters.maxPrice')}</label>
                 <input
                   id="maxPrice"
                   type="number"
-                  placeholder="最大值"
-                  value={maxPrice}
-                  onChange={(e) => setMaxPrice(e.target.value)}
+                  placeholder={t('filters.max')}
+                  value={filters.maxPrice}
+                  onChange={(e) => updateFilter('maxPrice', e.target.value)}
                   className="filter-input"
                 />
               </div>
               
               <div className="filter-group">
-                <label htmlFor="propertyType">房产类型:</label>
+                <label htmlFor="propertyType">{t('filters.propertyType')}</label>
                 <select
                   id="propertyType"
-                  value={selectedPropertyType}
-                  onChange={(e) => setSelectedPropertyType(e.target.value)}
+                  value={filters.propertyType}
+                  onChange={(e) => updateFilter('propertyType', e.target.value)}
                   className="filter-select"
                 >
-                  <option value="">全部</option>
-                  {uniquePropertyTypes.map((type, index) => (
-                    <option key={index} value={type}>{type}</option>
+                  <option value="">{t('common.all')}</option>
+                  {facetOptions(facets.propertyTypes, filters.propertyType).map(type => (
+                    <option key={type} value={type}>{type}</option>
                   ))}
                 </select>
               </div>
-              
+
               <div className="filter-group">
-                <label htmlFor="tag">标签:</label>
+                <label htmlFor="city">{t('filters.city')}</label>
                 <select
-                  id="tag"
-                  value={selectedTag}
-                  onChange={(e) => setSelectedTag(e.target.value)}
+                  id="city"
+                  value={filters.city}
+                  onChange={(e) => updateFilter('city', e.target.value)}
                   className="filter-select"
                 >
-                  <option value="">全部</option>
-                  {uniqueTags.map((tag, index) => (
-                    <option key={index} value={tag}>{tag}</option>
+                  <option value="">{t('common.all')}</option>
+                  {facetOptions(facets.cities, filters.city).map(city => (
+                    <option key={city} value={city}>{city}</option>
                   ))}
                 </select>
               </div>
-            </div>
 
-            <div className="properties-list">
-              {filteredProperties.map((property, index) => (
-                <PropertyCard key={property.mlsNumber || index} property={property} />
-              ))}
+              <div className="filter-group">
+                <label htmlFor="minBedrooms">{t('filters.minBedrooms')}</label>
+                <select
+                  id="minBedrooms"
+                  value={filters.minBedrooms}
+                  onChange={(e) => updateFilter('minBedrooms', e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="">{t('filters.any')}</option>
+                  {ROOM_COUNTS.map(count => (
+                    <option key={count} value={count}>{t('filters.roomsAtLeast', { count })}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="filter-group">
+                <label htmlFor="minBathrooms">{t('filters.minBathrooms')}</label>
+                <select
+                  id="minBathrooms"
+                  value={filters.minBathrooms}
+                  onChange={(e) => updateFilter('minBathrooms', e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="">{t('filters.any')}</option>
+                  {ROOM_COUNTS.map(count => (
+                    <option key={count} value={count}>{t('filters.roomsAtLeast', { count })}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="filter-group">
+                <label htmlFor="minDaysOnMarket">{t('filters.minDaysOnMarket')}</label>
+                <input
+                  id="minDaysOnMarket"
+                  type="number"
+                  min="0"
+                  placeholder={t('filters.min')}
+                  value={filters.minDaysOnMarket}
+                  onChange={(e) => updateFilter('minDaysOnMarket', e.target.value)}
+                  className="filter-input"
+                />
+              </div>
+
+              <div className="filter-group">
+                <label htmlFor="maxDaysOnMarket">{t('filters.maxDaysOnMarket')}</label>
+                <input
+                  id="maxDaysOnMarket"
+                  type="number"
+                  min="0"
+                  placeholder={t('filters.max')}
+                  value={filters.maxDaysOnMarket}
+                  onChange={(e) => updateFilter('maxDaysOnMarket', e.target.value)}
+                  className="filter-input"
+                />
+              </div>
+
+              {uniqueTags.length > 0 && (
+                <div className="filter-group tag-filter">
+                  <span className="filter-label">{t('filters.tag')}</span>
+                  {uniqueTags.map(tag => (
+                    <button
+                      key={tag}
+                      type="button"
+                      className={`tag-chip${filters.tags.includes(tag) ? ' active' : ''}`}
+                      aria-pressed={filters.tags.includes(tag)}
+                      onClick={() => toggleTagFilter(tag)}
+                    >
+                      {genericTagLabel(tag)} ({formatNumber(facets.tags[tag] || 0)})
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <CommuteFilter
+                near={filters.near}
+                withinMinutes={filters.withinMinutes}
+                travelMode={filters.travelMode}
+                onApply={changes => setFilters(prev => ({ ...prev, ...changes }))}
+              />
+
+              {filters.polygons.length > 0 && (
+                <div className="filter-group">
+                  <span className="filter-label">{t('filters.drawnAreas', { count: filters.polygons.length })}</span>
+                  <button type="button" className="show-on-map-button" onClick={() => updateFilter('polygons', [])}>
+                    {t('map.clearAreas')}
+                  </button>
+                </div>
+              )}
+
+              {filtersActive && (
+                <button type="button" className="show-on-map-button" onClick={() => setFilters(EMPTY_FILTERS)}>
+                  {t('filters.clear')}
+                </button>
+              )}
             </div>
+
+            {properties.length === 0 && !loading && (
+              <p className="no-results">{t('results.noFilterMatches')}</p>
+            )}
+
+            {viewMode === 'map' ? (
+              <MapView
+                properties={mapLoaded ? mapResults.properties : properties}
+                fitKey={mapLoaded ? mapKey : null}
+                tagColors={tagColors}
+                tagLabel={genericTagLabel}
+                selectedMls={selectedMls}
+                onSelect={setSelectedMls}
+                renderPopup={(property) => <PropertyCard property={property} compact onOpenDetail={openDetail} />}
+                polygons={filters.polygons}
+                onPolygonsChange={polygons => updateFilter('polygons', polygons)}
+                area={searchArea}
+              />
+            ) : (
+              <div className={`properties-list${loading ? ' refreshing' : ''}`}>
+                {properties.map((property, index) => (
+                  <PropertyCard
+                    key={property.mlsNumber || index}
+                    property={property}
+                    selected={property.mlsNumber === selectedMls}
+                    onShowOnMap={showOnMap}
+                    shortlistItem={shortlist[property.mlsNumber]}
+                    onShortlistChange={user && property.mlsNumber ? handleShortlistChange : null}
+                    onOpenDetail={openDetail}
+                    comparing={compareMls.includes(property.mlsNumber)}
+                    onToggleCompare={property.mlsNumber && (compareMls.length < MAX_COMPARE || compareMls.includes(property.mlsNumber))
+                      ? toggleCompare
+                      : null}
+                  />
+                ))}
+              </div>
+            )}
+
+            {viewMode === 'list' && page < totalPages && (
+              <div className="load-more-container" ref={loadMoreRef}>
+                <button
+                  className="search-again-button"
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? t('common.loading') : t('results.loadMore', { loaded: formatNumber(properties.length), total: formatNumber(total) })}
+                </button>
+              </div>
+            )}
           </div>
         )}
       </main>
@@ -200,24 +1127,416 @@ function App() {
   )
 }
 
-function PropertyCard({ property }) {
-  const formatPrice = (price) => {
-    if (!price) return '价格未公开'
-    return new Intl.NumberFormat('en-CA', {
-      style: 'currency',
-      currency: 'CAD',
-      maximumFractionDigits: 0
-    }).format(price)
+function RulesPanel({ rules, onChange }) {
+  const { t, tagLabel } = useI18n()
+
+  const updateRule = (id, changes) => {
+    onChange(rules.map(rule => rule.id === id ? { ...rule, ...changes } : rule))
+  }
+
+  const updateThreshold = (rule, name, value) => {
+    updateRule(rule.id, { thresholds: { ...rule.thresholds, [name]: value } })
+  }
+
+  return (
+    <details className="rules-panel">
+      <summary>{t('rulesPanel.title')}</summary>
+      <ul>
+        {rules.map(rule => (
+          <li key={rule.id} className="rule-item">
+            <label className="rule-toggle">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+              />
+              {tagLabel(rule.id, {}, rule.label).replace(/\{\w+\}/g, 'N')}
+            </label>
+            {Object.entries(rule.thresholds)
+              .filter(([, value]) => !Array.isArray(value))
+              .map(([name, value]) => (
+                <label key={name} className="rule-threshold">
+                  {t(`thresholds.${name}`, {}, name)}
+                  <input
+                    type="number"
+                    value={value}
+                    disabled={!rule.enabled}
+                    onChange={(e) => updateThreshold(rule, name, e.target.value)}
+                    className="filter-input"
+                  />
+                </label>
+              ))}
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
+
+function AccountBar({ user, shortlistCount, showShortlist, onAuth, onLogout, onToggleShortlist }) {
+  const { t } = useI18n()
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [authError, setAuthError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const submit = async (action) => {
+    setSubmitting(true)
+    setAuthError(null)
+    try {
+      await onAuth(action, username, password)
+      setPassword('')
+    } catch (err) {
+      setAuthError(err.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (user) {
+    return (
+      <div className="account-bar">
+        <LanguageSwitcher />
+        <span>{t('account.hello', { username: user.username })}</span>
+        <button type="button" className="show-on-map-button" onClick={onToggleShortlist}>
+          {showShortlist ? t('account.backToSearch') : t('shortlist.title', { count: shortlistCount })}
+        </button>
+        <button type="button" className="show-on-map-button" onClick={onLogout}>
+          {t('account.logout')}
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <form
+      className="account-bar"
+      onSubmit={(e) => {
+        e.preventDefault()
+        submit('login')
+      }}
+    >
+      <LanguageSwitcher />
+      <input
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        placeholder={t('account.username')}
+        autoComplete="username"
+        className="filter-input"
+      />
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder={t('account.password')}
+        autoComplete="current-password"
+        className="filter-input"
+      />
+      <button type="submit" className="show-on-map-button" disabled={submitting || !username || !password}>
+        {t('account.login')}
+      </button>
+      <button
+        type="button"
+        className="show-on-map-button"
+        disabled={submitting || !username || !password}
+        onClick={() => submit('register')}
+      >
+        {t('account.register')}
+      </button>
+      {authError && <span className="account-error">{authError}</span>}
+    </form>
+  )
+}
+
+// Star, status and private note of a listing for the logged-in user
+function ShortlistControls({ property, item, onChange }) {
+  const { t } = useI18n()
+  const [note, setNote] = useState(item?.note || '')
+
+  useEffect(() => {
+    setNote(item?.note || '')
+  }, [item?.note])
+
+  return (
+    <div className="shortlist-controls" onClick={(e) => e.stopPropagation()}>
+      <button
+        type="button"
+        className={`star-button${item?.starred ? ' starred' : ''}`}
+        aria-pressed={!!item?.starred}
+        title={item?.starred ? t('shortlist.unstar') : t('shortlist.star')}
+        onClick={() => onChange(property, { starred: !item?.starred })}
+      >
+        {item?.starred ? '★' : '☆'}
+      </button>
+      <select
+        value={item?.status || ''}
+        onChange={(e) => onChange(property, { status: e.target.value || null })}
+        className="filter-select"
+      >
+        <option value="">{t('shortlist.status')}</option>
+        {LISTING_STATUSES.map(status => (
+          <option key={status} value={status}>{t(`statuses.${status}`)}</option>
+        ))}
+      </select>
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        onBlur={() => note !== (item?.note || '') && onChange(property, { note })}
+        placeholder={t('shortlist.notePlaceholder')}
+        rows={2}
+        className="filter-input shortlist-note"
+      />
+    </div>
+  )
+}
+
+// Travel-time filter: an address (or "latitude,longitude") and the longest trip from it, applied together
+// with the button so the search does not reload while the address is being typed
+function CommuteFilter({ near, withinMinutes, travelMode, onApply }) {
+  const { t } = useI18n()
+  const [draft, setDraft] = useState({ near, withinMinutes, travelMode })
+
+  // Follow changes made elsewhere, such as clearing the filters
+  useEffect(() => {
+    setDraft({ near, withinMinutes, travelMode })
+  }, [near, withinMinutes, travelMode])
+
+  const complete = draft.near.trim() !== '' && Number(draft.withinMinutes) > 0
+  const empty = draft.near.trim() === '' && draft.withinMinutes === ''
+
+  return (
+    <form
+      className="filter-group commute-filter"
+      onSubmit={(e) => {
+        e.preventDefault()
+        onApply(complete ? { ...draft, near: draft.near.trim() } : { near: '', withinMinutes: '', travelMode: '' })
+      }}
+    >
+      <label htmlFor="commuteNear">{t('filters.commute')}</label>
+      <div className="commute-inputs">
+        <input
+          id="commuteNear"
+          value={draft.near}
+          onChange={(e) => setDraft({ ...draft, near: e.target.value })}
+          placeholder={t('filters.commutePlaceholder')}
+          className="filter-input"
+        />
+        <input
+          type="number"
+          min="1"
+          aria-label={t('filters.withinMinutes')}
+          placeholder={t('filters.withinMinutes')}
+          value={draft.withinMinutes}
+          onChange={(e) => setDraft({ ...draft, withinMinutes: e.target.value })}
+          className="filter-input"
+        />
+        <select
+          aria-label={t('filters.travelMode')}
+          value={draft.travelMode}
+          onChange={(e) => setDraft({ ...draft, travelMode: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">{t('filters.travelModes.walk')}</option>
+          <option value="drive">{t('filters.travelModes.drive')}</option>
+        </select>
+        <button type="submit" className="show-on-map-button" disabled={!complete && !empty}>
+          {t('filters.applyCommute')}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function SaveSearchForm({ onSave, onCancel }) {
+  const { t } = useI18n()
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [webhookUrl, setWebhookUrl] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [saveError, setSaveError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setSaveError(null)
+    try {
+      await onSave({ name, email, webhookUrl })
+    } catch (err) {
+      setSaveError(err.message)
+    } finally {
+      setSaving(false)
+    }
   }
 
+  return (
+    <form className="save-search-form" onSubmit={handleSubmit}>
+      <p className="save-search-hint">{t('saveSearch.hint')}</p>
+      <div className="filters-container">
+        <div className="filter-group">
+          <label htmlFor="savedSearchName">{t('saveSearch.name')}</label>
+          <input
+            id="savedSearchName"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t('saveSearch.namePlaceholder')}
+            className="filter-input"
+            required
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="savedSearchEmail">{t('saveSearch.email')}</label>
+          <input
+            id="savedSearchEmail"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="filter-input"
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="savedSearchWebhook">{t('saveSearch.webhook')}</label>
+          <input
+            id="savedSearchWebhook"
+            type="url"
+            value={webhookUrl}
+            onChange={(e) => setWebhookUrl(e.target.value)}
+            placeholder="https://"
+            className="filter-input"
+          />
+        </div>
+      </div>
+      {saveError && <p className="error-message">{saveError}</p>}
+      <div className="save-search-actions">
+        <button type="submit" className="search-again-button" disabled={saving}>
+          {saving ? t('saveSearch.saving') : t('saveSearch.save')}
+        </button>
+        <button type="button" className="search-again-button" onClick={onCancel}>
+          {t('saveSearch.cancel')}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function SavedSearchList({ savedSearches, status, onRun, onEmailCode, onDelete }) {
+  const { t, formatDateTime } = useI18n()
+  return (
+    <div className="saved-searches">
+      <h3>{t('savedSearches.title')}</h3>
+      <ul>
+        {savedSearches.map(search => (
+          <li key={search.id} className="saved-search-item">
+            <div>
+              <strong>{search.name}</strong>
+              <p className="saved-search-meta">
+                {search.query.type?.split(',')
+                  .map(mode => t(`modes.${mode}`, {}, mode))
+                  .join(search.query.combine === 'or' ? t('common.orSeparator') : ' + ')}
+                {search.notify.email && ` · ${search.notify.email}`}
+                {search.notify.email && !search.emailConfirmed && ` (${t('savedSearches.emailPending')})`}
+                {search.lastRunAt && ` · ${t('savedSearches.lastRun', { time: formatDateTime(search.lastRunAt) })}`}
+              </p>
+              {status[search.id] && <p className="saved-search-meta">{status[search.id]}</p>}
+              {search.notify.email && !search.emailConfirmed && (
+                <EmailCodeForm search={search} onEmailCode={onEmailCode} />
+              )}
+            </div>
+            <div className="saved-search-actions">
+              <button type="button" className="show-on-map-button" onClick={() => onRun(search.id)}>
+                {t('savedSearches.runNow')}
+              </button>
+              <button type="button" className="show-on-map-button" onClick={() => onDelete(search.id)}>
+                {t('savedSearches.delete')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// Enter the code mailed to a saved search's alert email, or have a new one sent
+function EmailCodeForm({ search, onEmailCode }) {
+  const { t } = useI18n()
+  const [code, setCode] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const submit = async (value) => {
+    setBusy(true)
+    setMessage(null)
+    try {
+      await onEmailCode(search.id, value)
+      if (value === null) setMessage(t('savedSearches.codeSent', { email: search.notify.email }))
+    } catch (err) {
+      setMessage(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    submit(code)
+  }
+
+  return (
+    <form className="email-code-form" onSubmit={handleSubmit}>
+      {search.emailCodeSent && (
+        <>
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={t('savedSearches.codePlaceholder')}
+            className="filter-input"
+            inputMode="numeric"
+            aria-label={t('savedSearches.codePlaceholder')}
+            required
+          />
+          <button type="submit" className="show-on-map-button" disabled={busy}>
+            {t('savedSearches.confirmEmail')}
+          </button>
+        </>
+      )}
+      <button type="button" className="show-on-map-button" onClick={() => submit(null)} disabled={busy}>
+        {t('savedSearches.sendCode')}
+      </button>
+      {message && <p className="saved-search-meta">{message}</p>}
+    </form>
+  )
+}
+
+function PropertyCard({
+  property,
+  selected = false,
+  compact = false,
+  onShowOnMap,
+  shortlistItem,
+  onShortlistChange,
+  comparing = false,
+  onToggleCompare,
+  onOpenDetail
+}) {
+  const { t, tagLabel, formatPrice: formatCurrency } = useI18n()
+  const formatPrice = (price) => (price ? formatCurrency(price) : t('common.priceUnknown'))
+
+  // Open the in-app detail page, or realtor.ca when there is none
   const handleCardClick = () => {
-    if (property.realtorCaLink) {
+    if (onOpenDetail && property.mlsNumber) {
+      onOpenDetail(property.mlsNumber)
+    } else if (property.realtorCaLink) {
       window.open(property.realtorCaLink, '_blank', 'noopener,noreferrer')
     }
   }
 
   return (
-    <div className="property-card" onClick={handleCardClick} style={{ cursor: property.realtorCaLink ? 'pointer' : 'default' }}>
+    <div
+      id={property.mlsNumber ? `property-${property.mlsNumber}` : undefined}
+      className={`property-card${selected ? ' selected' : ''}${compact ? ' compact' : ''}`}
+      onClick={handleCardClick}
+      style={{ cursor: (onOpenDetail && property.mlsNumber) || property.realtorCaLink ? 'pointer' : 'default' }}
+    >
       {property.thumbnail && (
         <div className="property-image">
           <img src={property.thumbnail} alt={property.address} />
@@ -225,35 +1544,116 @@ function PropertyCard({ property }) {
       )}
       <div className="property-details">
         <div className="property-mls">
-          <strong>MLS #:</strong> {property.mlsNumber || 'N/A'}
+          <strong>{t('card.mls')}</strong> {property.mlsNumber || t('common.notAvailable')}
+          {property.score !== undefined && (
+            <span
+              className="score-badge"
+              title={t('card.scoreTooltip', {
+                tags: property.scoreBreakdown?.tags ?? 0,
+                days: property.scoreBreakdown?.daysOnMarket ?? 0,
+                discount: property.scoreBreakdown?.discount ?? 0
+              })}
+            >
+              {t('card.score', { score: property.score })}
+            </span>
+          )}
         </div>
         <div className="property-address">
-          <strong>地址:</strong> {property.address}
+          <strong>{t('card.address')}</strong> {property.address}
         </div>
         <div className="property-price">
-          <strong>要价:</strong> {formatPrice(property.askingPrice)}
+          <strong>{t('card.price')}</strong> {formatPrice(property.askingPrice)}
         </div>
+        {property.monthlyCost && (
+          <div className="property-monthly-cost">
+            <strong>{t('card.monthlyCost')}</strong> {formatPrice(property.monthlyCost)} <span className="cost-note">{t('card.downPaymentNote')}</span>
+          </div>
+        )}
+        {property.comps && (
+          <div className="property-comps">
+            <strong>{t('card.comps')}</strong> {formatPrice(property.comps.estimatedValue.low)} – {formatPrice(property.comps.estimatedValue.high)}
+            {property.underMarketPercent > 0 && <span className="comps-under"> {t('card.underMarket', { percent: property.underMarketPercent })}</span>}
+          </div>
+        )}
         <div className="property-type">
-          <strong>房产类型:</strong> {property.propertyType}
+          <strong>{t('card.propertyType')}</strong> {property.propertyType}
         </div>
         {property.tags && property.tags.length > 0 && (
           <div className="property-tags">
-            {property.tags.map((tag, index) => (
-              <span key={index} className="property-tag">
-                {tag}
+            {property.tags.map(tag => (
+              <span key={tag} className="property-tag">
+                {tagLabel(tag, property.tagValues?.[tag])}
               </span>
             ))}
           </div>
         )}
+        {property.fixer && (
+          <div className="property-fixer">
+            <strong>{t('card.fixer')}</strong> {property.fixer.phrases.join(', ')} · {t('card.confidence', { percent: Math.round(property.fixer.confidence * 100) })}
+          </div>
+        )}
+        {property.schools && property.schools.length > 0 && (
+          <div className="property-schools">
+            <strong>{t('card.schools')}</strong>
+            <ul>
+              {property.schools.map((school, index) => (
+                <li key={index}>
+                  {school.name} · {t('card.schoolRating', { rating: school.rating })} · {school.distanceKm} km
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {property.nearestStation && (
+          <div className="property-station">
+            <strong>{t('card.station')}</strong> {property.nearestStation.name}
+            {property.nearestStation.line && ` (${property.nearestStation.line})`} · {t('card.walk', { minutes: Math.ceil(property.nearestStation.walkMinutes) })}
+          </div>
+        )}
+        {property.commute && (
+          <div className="property-station">
+            <strong>{t('card.commute')}</strong> {t(`card.commuteTime.${property.commute.travelMode}`, {
+              minutes: Math.ceil(property.commute.minutes),
+              distance: property.commute.distanceKm
+            })}
+          </div>
+        )}
+        {onShortlistChange && !compact && (
+          <ShortlistControls property={property} item={shortlistItem} onChange={onShortlistChange} />
+        )}
         {property.realtorCaLink && (
           <div className="property-link">
             <a 
               href={property.realtorCaLink} 
               target="_blank" 
               rel="noopener noreferrer"
+              onClick={(e) => e.stopPropagation()}
             >
-              在 Realtor.ca 上查看 →
+              {t('common.viewOnRealtor')}
             </a>
+            {(onToggleCompare || comparing) && (
+              <label className="compare-toggle" onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="checkbox"
+                  checked={comparing}
+                  disabled={!onToggleCompare}
+                  onChange={() => onToggleCompare(property.mlsNumber)}
+                />
+                {t('card.compare')}
+              </label>
+            )}
+            {onShowOnMap && property.latitude != null && property.longitude != null && (
+              <button
+                type="button"
+                className="show-on-map-button"
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onShowOnMap(property.mlsNumber)
+                }}
+              >
+                {t('card.showOnMap')}
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react'
+import { getErrorMessage } from './apiErrors.js'
+import { useI18n } from './i18n/index.jsx'
+
+const formatRooms = (count, plus) => {
+  if (count === null) return '—'
+  return plus ? `${count}+${plus}` : `${count}`
+}
+
+// Rows of the comparison table: label (facts.<key>) and how to show the value of each listing
+// render gets the listing and the i18n helpers, with formatPrice showing '—' for a missing price
+const ROWS = [
+  { key: 'askingPrice', render: (p, { formatPrice }) => formatPrice(p.askingPrice) },
+  { key: 'pricePerSqft', render: (p, { formatPrice }) => formatPrice(p.pricePerSqft) },
+  { key: 'propertyType', render: p => p.propertyType },
+  { key: 'daysOnMarket', render: p => p.daysOnMarket },
+  { key: 'bedrooms', render: p => formatRooms(p.bedrooms, p.bedroomsPlus) },
+  { key: 'bathrooms', render: p => formatRooms(p.bathrooms, p.bathroomsPlus) },
+  { key: 'sqft', render: p => p.sqftRange || '—' },
+  {
+    key: 'taxes',
+    render: (p, { formatPrice }) => (p.taxes.annualAmount ? `${formatPrice(p.taxes.annualAmount)}${p.taxes.year ? ` (${p.taxes.year})` : ''}` : '—')
+  },
+  { key: 'score', render: p => p.score },
+  {
+    key: 'tags',
+    render: (p, { tagLabel }) => (p.tags.length > 0
+      ? p.tags.map(tag => <span key={tag} className="property-tag">{tagLabel(tag, p.tagValues?.[tag])}</span>)
+      : '—')
+  }
+]
+
+function CompareView({ apiUrl, mlsNumbers, onClose }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  const helpers = { ...i18n, formatPrice: price => (price ? i18n.formatPrice(price) : '—') }
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setData(null)
+    setError(null)
+    fetch(`${apiUrl}/properties/compare?mls=${mlsNumbers.map(encodeURIComponent).join(',')}`)
+      .then(async response => {
+        const body = await response.json()
+        if (!response.ok) throw new Error(getErrorMessage(body, t('errors.compare'), t))
+        setData(body)
+      })
+      .catch(err => setError(err.message))
+    // t only changes with the language, which does not change the comparison
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiUrl, mlsNumbers])
+
+  return (
+    <div className="properties-container">
+      <div className="properties-header">
+        <h2>{t('compare.title')}</h2>
+        <button className="search-again-button" onClick={onClose}>
+          {t('compare.back')}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-container">
+          <p className="error-message">{error}</p>
+        </div>
+      )}
+
+      {!data && !error && (
+        <div className="loading-container">
+          <div className="spinner"></div>
+        </div>
+      )}
+
+      {data && (
+        <div className="compare-table-wrapper">
+          <table className="compare-table">
+            <thead>
+              <tr>
+                <th></th>
+                {data.properties.map(property => (
+                  <th key={property.mlsNumber}>
+                    {property.thumbnail && <img src={property.thumbnail} alt={property.address} />}
+                    <a href={property.realtorCaLink} target="_blank" rel="noopener noreferrer">
+                      {property.address}
+                    </a>
+                    <div className="compare-mls">{t('common.mlsNumber', { mls: property.mlsNumber })}</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ROWS.map(row => (
+                <tr key={row.key}>
+                  <th scope="row">{t(`facts.${row.key}`)}</th>
+                  {data.properties.map(property => (
+                    <td key={property.mlsNumber}>{row.render(property, helpers)}</td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <th scope="row">{t('compare.distances')}</th>
+                {data.properties.map((property, i) => (
+                  <td key={property.mlsNumber}>
+                    <ul className="compare-distances">
+                      {data.properties.map((other, j) => i !== j && (
+                        <li key={other.mlsNumber}>
+                          {t('compare.to', { mls: other.mlsNumber })}: {data.distancesKm[i][j] !== null ? `${data.distancesKm[i][j]} km` : '—'}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CompareView
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react'
+import { getErrorMessage } from './apiErrors.js'
+import { useI18n } from './i18n/index.jsx'
+
+const DEFAULT_INPUTS = {
+  downPaymentPercent: '20',
+  interestRate: '5',
+  amortizationYears: '25',
+  firstTimeBuyer: false,
+  monthlyRent: ''
+}
+
+// Mortgage, closing-cost and rental-yield calculator for one listing, backed by /api/properties/:mlsNumber/costs
+function CostCalculator({ apiUrl, mlsNumber }) {
+  const { t, formatPrice: formatMoney } = useI18n()
+  const [inputs, setInputs] = useState(DEFAULT_INPUTS)
+  const [costs, setCosts] = useState(null)
+  const [error, setError] = useState(null)
+
+  const updateInput = (name, value) => setInputs(prev => ({ ...prev, [name]: value }))
+
+  // Recalculate shortly after the inputs stop changing
+  useEffect(() => {
+    const params = new URLSearchParams({
+      downPaymentPercent: inputs.downPaymentPercent,
+      interestRate: inputs.interestRate,
+      amortizationYears: inputs.amortizationYears,
+      firstTimeBuyer: String(inputs.firstTimeBuyer)
+    })
+    if (inputs.monthlyRent) params.set('monthlyRent', inputs.monthlyRent)
+
+    const timer = setTimeout(() => {
+      fetch(`${apiUrl}/properties/${encodeURIComponent(mlsNumber)}/costs?${params}`)
+        .then(async response => {
+          const body = await response.json()
+          if (!response.ok) throw new Error(getErrorMessage(body, t('errors.costs'), t))
+          setCosts(body)
+          setError(null)
+        })
+        .catch(err => setError(err.message))
+    }, 300)
+    return () => clearTimeout(timer)
+    // t only changes with the language, which does not change the costs
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiUrl, mlsNumber, inputs])
+
+  return (
+    <div className="cost-calculator">
+      <div className="filters-container">
+        <div className="filter-group">
+          <label htmlFor="downPaymentPercent">{t('costs.downPayment')}</label>
+          <input
+            id="downPaymentPercent"
+            type="number"
+            min="5"
+            max="100"
+            value={inputs.downPaymentPercent}
+            onChange={(e) => updateInput('downPaymentPercent', e.target.value)}
+            className="filter-input"
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="interestRate">{t('costs.interestRate')}</label>
+          <input
+            id="interestRate"
+            type="number"
+            step="0.01"
+            value={inputs.interestRate}
+            onChange={(e) => updateInput('interestRate', e.target.value)}
+            className="filter-input"
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="amortizationYears">{t('costs.amortization')}</label>
+          <select
+            id="amortizationYears"
+            value={inputs.amortizationYears}
+            onChange={(e) => updateInput('amortizationYears', e.target.value)}
+            className="filter-select"
+          >
+            {['15', '20', '25', '30'].map(years => <option key={years} value={years}>{t('costs.years', { years })}</option>)}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="monthlyRent">{t('costs.monthlyRent')}</label>
+          <input
+            id="monthlyRent"
+            type="number"
+            placeholder={t('costs.optional')}
+            value={inputs.monthlyRent}
+            onChange={(e) => updateInput('monthlyRent', e.target.value)}
+            className="filter-input"
+          />
+        </div>
+        <label className="rule-toggle">
+          <input
+            type="checkbox"
+            checked={inputs.firstTimeBuyer}
+            onChange={(e) => updateInput('firstTimeBuyer', e.target.checked)}
+          />
+          {t('costs.firstTimeBuyer')}
+        </label>
+      </div>
+
+      {error && <p className="error-message">{error}</p>}
+
+      {costs && !error && (
+        <div className="cost-results">
+          <dl className="detail-facts">
+            <div>
+              <dt>{t('costs.monthlyTotal')}</dt>
+              <dd>{formatMoney(costs.monthlyCosts.total)}</dd>
+            </div>
+            <div>
+              <dt>{t('costs.mortgagePayment')}</dt>
+              <dd>{formatMoney(costs.monthlyCosts.mortgage)}</dd>
+            </div>
+            <div>
+              <dt>{t('costs.propertyTax')}</dt>
+              <dd>{formatMoney(costs.monthlyCosts.propertyTax)}</dd>
+            </div>
+            {costs.monthlyCosts.condoFees > 0 && (
+              <div>
+                <dt>{t('costs.condoFees')}</dt>
+                <dd>{formatMoney(costs.monthlyCosts.condoFees)}</dd>
+              </div>
+            )}
+            <div>
+              <dt>{t('costs.insurance')}</dt>
+              <dd>{formatMoney(costs.monthlyCosts.insurance)}</dd>
+            </div>
+            <div>
+              <dt>{t('costs.principal')}</dt>
+              <dd>{formatMoney(costs.mortgage.principal)}</dd>
+            </div>
+            {costs.mortgage.insurancePremium > 0 && (
+              <div>
+                <dt>{t('costs.cmhc', { percent: costs.mortgage.insuranceRatePercent })}</dt>
+                <dd>{formatMoney(costs.mortgage.insurancePremium)}</dd>
+              </div>
+            )}
+            <div>
+              <dt>{t('costs.landTransferTax')}</dt>
+              <dd>
+                {formatMoney(costs.landTransferTax.total)}
+                {costs.landTransferTax.toronto > 0 && <span className="cost-note">{t('costs.includesToronto')}</span>}
+              </dd>
+            </div>
+            <div>
+              <dt>{t('costs.cashToClose')}</dt>
+              <dd>{formatMoney(costs.cashToClose)}</dd>
+            </div>
+          </dl>
+
+          {costs.rental && (
+            <dl className="detail-facts cost-rental">
+              <div>
+                <dt>{t('costs.grossYield')}</dt>
+                <dd>{costs.rental.grossYieldPercent}%</dd>
+              </div>
+              <div>
+                <dt>{t('costs.netYield')}</dt>
+                <dd>{costs.rental.netYieldPercent}%</dd>
+              </div>
+              <div>
+                <dt>{t('costs.capRate')}</dt>
+                <dd>{costs.rental.capRatePercent}%</dd>
+              </div>
+              <div>
+                <dt>{t('costs.cashFlow')}</dt>
+                <dd className={costs.rental.monthlyCashFlow < 0 ? 'negative' : 'positive'}>
+                  {formatMoney(costs.rental.monthlyCashFlow)}
+                </dd>
+              </div>
+            </dl>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CostCalculator
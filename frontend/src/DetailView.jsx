@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react'
+import CostCalculator from './CostCalculator.jsx'
+import { getErrorMessage } from './apiErrors.js'
+import { useI18n } from './i18n/index.jsx'
+
+const formatRooms = (count, plus) => (plus ? `${count}+${plus}` : `${count}`)
+
+const formatLot = (lot, t) => {
+  const size = lot.width && lot.depth ? `${lot.width} × ${lot.depth}${lot.measurement ? ` ${lot.measurement}` : ''}` : null
+  const acres = lot.acres ? t('facts.acres', { acres: lot.acres }) : null
+  return [size, acres].filter(Boolean).join(' · ')
+}
+
+// Split the description into plain text and highlighted phrases
+function HighlightedDescription({ text, highlights }) {
+  const { t } = useI18n()
+  const parts = []
+  let position = 0
+  highlights.forEach((span, index) => {
+    if (span.start > position) parts.push(text.slice(position, span.start))
+    parts.push(
+      <mark key={index} className={`highlight-${span.category}`} title={span.category === 'fixer' ? t('detail.fixerHighlight') : t('detail.estateHighlight')}>
+        {text.slice(span.start, span.end)}
+      </mark>
+    )
+    position = span.end
+  })
+  parts.push(text.slice(position))
+
+  return <p className="detail-description">{parts}</p>
+}
+
+function DetailView({ apiUrl, mlsNumber, onBack, renderShortlistControls }) {
+  const { t, tagLabel, formatPrice: formatCurrency, formatDate } = useI18n()
+  const formatPrice = (price) => (price ? formatCurrency(price) : t('common.priceUnknown'))
+  const [property, setProperty] = useState(null)
+  const [error, setError] = useState(null)
+  const [imageIndex, setImageIndex] = useState(0)
+
+  useEffect(() => {
+    setProperty(null)
+    setError(null)
+    setImageIndex(0)
+    fetch(`${apiUrl}/properties/${encodeURIComponent(mlsNumber)}`)
+      .then(async response => {
+        const body = await response.json()
+        if (!response.ok) throw new Error(getErrorMessage(body, t('errors.loadProperty'), t))
+        setProperty(body)
+      })
+      .catch(err => setError(err.message))
+    // t only changes with the language, which does not change the listing
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiUrl, mlsNumber])
+
+  // Facts shown in the grid, labelled facts.<key>; rows without a value are left out
+  const facts = property ? [
+    ['askingPrice', formatPrice(property.askingPrice)],
+    ['originalPrice', property.originalPrice && property.originalPrice !== property.askingPrice ? formatPrice(property.originalPrice) : null],
+    ['pricePerSqft', property.pricePerSqft ? formatPrice(property.pricePerSqft) : null],
+    ['propertyType', property.propertyType],
+    ['style', property.style],
+    ['bedrooms', property.bedrooms !== null ? formatRooms(property.bedrooms, property.bedroomsPlus) : null],
+    ['bathrooms', property.bathrooms !== null ? formatRooms(property.bathrooms, property.bathroomsPlus) : null],
+    ['sqft', property.sqftRange],
+    ['lot', property.lot ? formatLot(property.lot, t) : null],
+    ['yearBuilt', property.yearBuilt],
+    ['taxes', property.taxes.annualAmount ? `${formatPrice(property.taxes.annualAmount)}${property.taxes.year ? ` (${property.taxes.year})` : ''}` : null],
+    ['maintenanceFee', property.maintenanceFee ? t('facts.perMonth', { amount: formatPrice(property.maintenanceFee) }) : null],
+    ['comps', property.comps ? `${formatPrice(property.comps.estimatedValue.low)} – ${formatPrice(property.comps.estimatedValue.high)}` : null],
+    ['relativeValue', property.comps?.underMarketPercent != null
+      ? (property.comps.underMarketPercent > 0
+        ? t('facts.underMarket', { percent: property.comps.underMarketPercent })
+        : t('facts.overMarket', { percent: -property.comps.underMarketPercent }))
+      : null],
+    ['compsSample', property.comps
+      ? t('facts.compsSampleValue', {
+        count: property.comps.sampleSize,
+        radius: property.comps.radiusKm,
+        price: formatPrice(property.comps.medianPricePerSqft)
+      })
+      : null],
+    ['listDate', property.listDate ? formatDate(property.listDate) : null],
+    ['daysOnMarket', property.daysOnMarket],
+    ['score', property.score]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '') : []
+
+  return (
+    <div className="properties-container">
+      <div className="properties-header">
+        <div>
+          <h2>{property?.address || mlsNumber}</h2>
+          <p className="active-modes">{t('common.mlsNumber', { mls: mlsNumber })}</p>
+        </div>
+        <button className="search-again-button" onClick={onBack}>
+          {t('common.back')}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-container">
+          <p className="error-message">{error}</p>
+        </div>
+      )}
+
+      {!property && !error && (
+        <div className="loading-container">
+          <div className="spinner"></div>
+        </div>
+      )}
+
+      {property && (
+        <div className="detail-page">
+          {property.images.length > 0 && (
+            <div className="detail-gallery">
+              <img className="detail-gallery-main" src={property.images[imageIndex]} alt={property.address} />
+              {property.images.length > 1 && (
+                <div className="detail-gallery-thumbs">
+                  {property.images.map((image, index) => (
+                    <button
+                      key={index}
+                      type="button"
+                      className={index === imageIndex ? 'active' : ''}
+                      onClick={() => setImageIndex(index)}
+                    >
+                      <img src={image} alt={`${property.address} ${index + 1}`} />
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="detail-section">
+            <dl className="detail-facts">
+              {facts.map(([key, value]) => (
+                <div key={key}>
+                  <dt>{t(`facts.${key}`)}</dt>
+                  <dd>{value}</dd>
+                </div>
+              ))}
+            </dl>
+            {renderShortlistControls?.(property)}
+          </div>
+
+          {property.askingPrice > 0 && (
+            <div className="detail-section">
+              <h3>{t('detail.costs')}</h3>
+              <CostCalculator apiUrl={apiUrl} mlsNumber={mlsNumber} />
+            </div>
+          )}
+
+          {property.bargainMatches.length > 0 && (
+            <div className="detail-section">
+              <h3>{t('detail.whyBargain')}</h3>
+              <ul className="detail-tags">
+                {property.bargainMatches.map(match => (
+                  <li key={match.id}>
+                    <span className="property-tag">{tagLabel(match.id, match.values, match.label)}</span>
+                    <span>{t(`rules.${match.id}.description`, match.thresholds, match.explanation)}</span>
+                    <span className="detail-tag-weight">+{match.weight}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {property.description && (
+            <div className="detail-section">
+              <h3>{t('detail.description')}</h3>
+              {property.fixer.phrases.length > 0 && (
+                <p className="property-fixer">
+                  <strong>{t('card.fixer')}</strong> {property.fixer.phrases.join(', ')} · {t('card.confidence', { percent: Math.round(property.fixer.confidence * 100) })}
+                </p>
+              )}
+              <HighlightedDescription text={property.description} highlights={property.highlights} />
+            </div>
+          )}
+
+          <div className="property-link">
+            <a href={property.realtorCaLink} target="_blank" rel="noopener noreferrer">
+              {t('common.viewOnRealtor')}
+            </a>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DetailView
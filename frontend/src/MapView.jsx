@@ -0,0 +1,263 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import L from 'leaflet'
+import 'leaflet/dist/leaflet.css'
+import 'leaflet.markercluster'
+import 'leaflet.markercluster/dist/MarkerCluster.css'
+import 'leaflet.markercluster/dist/MarkerCluster.Default.css'
+import { useI18n } from './i18n/index.jsx'
+
+// Tile source can be pointed at a local or self-hosted tile server via .env
+const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'
+const TILE_ATTRIBUTION = import.meta.env.VITE_MAP_TILE_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+
+// Centre of the Greater Toronto Area, used until there are markers to fit
+const DEFAULT_CENTER = [43.7, -79.4]
+const DEFAULT_ZOOM = 9
+
+export const UNTAGGED_COLOR = '#6b7280'
+
+// Drawn search areas, the polygon being drawn and the reach of the commute filter
+const AREA_STYLE = { color: '#6366f1', weight: 2, fillOpacity: 0.08 }
+const DRAFT_STYLE = { color: '#6366f1', weight: 2, dashArray: '6 6' }
+const REACH_STYLE = { color: '#ec4899', weight: 2, fillOpacity: 0.05, dashArray: '6 6' }
+
+// Round marker coloured by the listing's first tag
+function createMarkerIcon(color, selected) {
+  return L.divIcon({
+    className: 'map-marker-icon',
+    html: `<span class="map-marker${selected ? ' selected' : ''}" style="background:${color}"></span>`,
+    iconSize: [18, 18],
+    iconAnchor: [9, 9],
+    popupAnchor: [0, -10]
+  })
+}
+
+// tagColors maps tag IDs to marker colours; tagLabel names a tag in the legend
+// polygons are the drawn search areas ([latitude, longitude] corners), changed through onPolygonsChange;
+// area is the search area the backend applied, whose commute origin and reach are shown
+// fitKey identifies the search the listings belong to; the map is fitted to them when it changes
+function MapView({ properties, fitKey, tagColors, tagLabel, selectedMls, onSelect, renderPopup, polygons = [], onPolygonsChange, area }) {
+  const { t } = useI18n()
+  const containerRef = useRef(null)
+  const mapRef = useRef(null)
+  const clusterRef = useRef(null)
+  const areaLayerRef = useRef(null)
+  const draftLayerRef = useRef(null)
+  const markersRef = useRef(new Map())
+  // The selected listing whose marker is highlighted, and the search the map was last fitted to
+  const selectedRef = useRef(null)
+  const fittedKeyRef = useRef(null)
+  const [popup, setPopup] = useState(null)
+  // Corners of the polygon being drawn; null when not drawing
+  const [draft, setDraft] = useState(null)
+
+  // Create the map once
+  useEffect(() => {
+    const map = L.map(containerRef.current).setView(DEFAULT_CENTER, DEFAULT_ZOOM)
+    L.tileLayer(TILE_URL, { attribution: TILE_ATTRIBUTION, maxZoom: 19 }).addTo(map)
+    const cluster = L.markerClusterGroup({ showCoverageOnHover: false })
+    map.addLayer(cluster)
+    areaLayerRef.current = L.layerGroup().addTo(map)
+    draftLayerRef.current = L.layerGroup().addTo(map)
+
+    map.on('popupopen', (event) => {
+      setPopup({ mlsNumber: event.popup.options.mlsNumber, container: event.popup.getElement()?.querySelector('.map-popup-content') })
+    })
+    map.on('popupclose', () => setPopup(null))
+
+    mapRef.current = map
+    clusterRef.current = cluster
+    return () => {
+      map.remove()
+      mapRef.current = null
+      clusterRef.current = null
+      areaLayerRef.current = null
+      draftLayerRef.current = null
+      markersRef.current = new Map()
+      selectedRef.current = null
+      fittedKeyRef.current = null
+    }
+  }, [])
+
+  // Add and remove markers as the listings change, keeping the ones already on the map, so that more
+  // listings arriving for the same search do not rebuild the map
+  useEffect(() => {
+    const cluster = clusterRef.current
+    if (!cluster) return
+
+    const markers = markersRef.current
+    const current = new Map()
+    properties.forEach(property => {
+      if (property.latitude != null && property.longitude != null) current.set(property.mlsNumber, property)
+    })
+    markers.forEach((marker, mlsNumber) => {
+      if (current.has(mlsNumber)) return
+      cluster.removeLayer(marker)
+      markers.delete(mlsNumber)
+    })
+
+    const added = []
+    current.forEach((property, mlsNumber) => {
+      const color = tagColors[property.tags?.[0]] || UNTAGGED_COLOR
+      const existing = markers.get(mlsNumber)
+      if (existing) {
+        existing.setLatLng([property.latitude, property.longitude])
+        if (existing.options.color !== color) {
+          existing.options.color = color
+          existing.setIcon(createMarkerIcon(color, mlsNumber === selectedRef.current))
+        }
+        return
+      }
+
+      const marker = L.marker([property.latitude, property.longitude], {
+        icon: createMarkerIcon(color, mlsNumber === selectedRef.current),
+        title: property.address,
+        color
+      })
+      marker.bindPopup('<div class="map-popup-content"></div>', {
+        mlsNumber,
+        minWidth: 280,
+        maxWidth: 320
+      })
+      marker.on('click', () => onSelect(mlsNumber))
+      markers.set(mlsNumber, marker)
+      added.push(marker)
+    })
+    cluster.addLayers(added)
+    // onSelect is recreated on every render of App; the markers only need the latest listings
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [properties, tagColors])
+
+  // Fit the map to the markers once per search (fitKey); listings added to the same search leave the
+  // view where the user panned and zoomed it, and so does a selected listing the map has zoomed to
+  useEffect(() => {
+    if (!fitKey || fitKey === fittedKeyRef.current || markersRef.current.size === 0) return
+    fittedKeyRef.current = fitKey
+    if (markersRef.current.has(selectedRef.current)) return
+    mapRef.current.fitBounds(clusterRef.current.getBounds(), { padding: [40, 40], maxZoom: 15 })
+  }, [fitKey, properties])
+
+  // Highlight the selected listing and open its popup (e.g. when chosen from the list view)
+  useEffect(() => {
+    const markers = markersRef.current
+    const previous = markers.get(selectedRef.current)
+    if (previous && selectedRef.current !== selectedMls) {
+      previous.setIcon(createMarkerIcon(previous.options.color, false))
+    }
+    selectedRef.current = selectedMls
+
+    const marker = markers.get(selectedMls)
+    if (!marker) return
+    marker.setIcon(createMarkerIcon(marker.options.color, true))
+    if (!marker.isPopupOpen()) {
+      clusterRef.current.zoomToShowLayer(marker, () => marker.openPopup())
+    }
+  }, [selectedMls])
+
+  // Show the drawn areas, and the commute origin with the circle it can be reached from
+  useEffect(() => {
+    const layer = areaLayerRef.current
+    if (!layer) return
+
+    layer.clearLayers()
+    polygons.forEach(polygon => L.polygon(polygon, AREA_STYLE).addTo(layer))
+    if (area?.origin) {
+      const center = [area.origin.latitude, area.origin.longitude]
+      L.circle(center, { ...REACH_STYLE, radius: area.radiusKm * 1000 }).addTo(layer)
+      L.circleMarker(center, { color: REACH_STYLE.color, radius: 6, fillOpacity: 1 })
+        .bindTooltip(area.origin.label)
+        .addTo(layer)
+    }
+  }, [polygons, area])
+
+  // While drawing, clicks on the map add corners instead of zooming
+  const drawing = draft !== null
+  useEffect(() => {
+    const map = mapRef.current
+    if (!map || !drawing) return
+
+    const addCorner = (event) => setDraft(corners => [...corners, [event.latlng.lat, event.latlng.lng]])
+    map.on('click', addCorner)
+    map.doubleClickZoom.disable()
+    map.getContainer().classList.add('drawing')
+    return () => {
+      map.off('click', addCorner)
+      map.doubleClickZoom.enable()
+      map.getContainer().classList.remove('drawing')
+    }
+  }, [drawing])
+
+  useEffect(() => {
+    const layer = draftLayerRef.current
+    if (!layer) return
+
+    layer.clearLayers()
+    if (!draft || draft.length === 0) return
+    L.polyline(draft.length > 2 ? [...draft, draft[0]] : draft, DRAFT_STYLE).addTo(layer)
+    draft.forEach(corner => L.circleMarker(corner, { color: DRAFT_STYLE.color, radius: 4 }).addTo(layer))
+  }, [draft])
+
+  const finishDrawing = () => {
+    onPolygonsChange([...polygons, draft])
+    setDraft(null)
+  }
+
+  // Popup content is rendered by React so it can reuse the property card
+  const popupProperty = popup && properties.find(p => p.mlsNumber === popup.mlsNumber)
+
+  useEffect(() => {
+    // Re-measure the popup once React has rendered into it
+    markersRef.current.get(popup?.mlsNumber)?.getPopup()?.update()
+  }, [popup])
+
+  return (
+    <div className="map-view">
+      {onPolygonsChange && (
+        <div className="map-toolbar">
+          {drawing ? (
+            <>
+              <span>{t('map.drawHint')}</span>
+              <button type="button" className="show-on-map-button" onClick={finishDrawing} disabled={draft.length < 3}>
+                {t('map.finish')}
+              </button>
+              <button type="button" className="show-on-map-button" onClick={() => setDraft(null)}>
+                {t('map.cancel')}
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="button" className="show-on-map-button" onClick={() => setDraft([])}>
+                {t('map.draw')}
+              </button>
+              {polygons.length > 0 && (
+                <button type="button" className="show-on-map-button" onClick={() => onPolygonsChange([])}>
+                  {t('map.clearAreas')}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+      <div ref={containerRef} className="map-container" />
+      {Object.keys(tagColors).length > 0 && (
+        <div className="map-legend">
+          {Object.entries(tagColors).map(([tag, color]) => (
+            <span key={tag} className="map-legend-item">
+              <span className="map-marker" style={{ background: color }}></span>
+              {tagLabel(tag)}
+            </span>
+          ))}
+          <span className="map-legend-item">
+            <span className="map-marker" style={{ background: UNTAGGED_COLOR }}></span>
+            {t('map.untagged')}
+          </span>
+        </div>
+      )}
+      {popupProperty && popup.container && createPortal(renderPopup(popupProperty), popup.container)}
+    </div>
+  )
+}
+
+export default MapView
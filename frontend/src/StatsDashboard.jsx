@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from 'react'
+import { getErrorMessage } from './apiErrors.js'
+import { useI18n } from './i18n/index.jsx'
+
+// Ways the backend can group listings (stats.groupings.<id>)
+const GROUPINGS = ['city', 'neighbourhood', 'fsa']
+
+// Number of groups shown in the charts; the table lists all of them
+const MAX_CHART_GROUPS = 12
+
+// Helper function to shade a table cell by its value within the column, like a choropleth map
+// Values are scaled between the column's lowest and highest, so the darkest cell is the highest
+function heatStyle(value, { min, max }) {
+  if (value === null || max === min) return undefined
+  const share = (value - min) / (max - min)
+  return { backgroundColor: `rgba(99, 102, 241, ${(0.08 + share * 0.5).toFixed(2)})` }
+}
+
+// Horizontal bar chart of one value per group, longest bar for the highest value
+function BarChart({ title, rows, formatValue }) {
+  const max = Math.max(...rows.map(row => row.value), 0)
+  return (
+    <div className="stats-chart">
+      <h3>{title}</h3>
+      <ul>
+        {rows.map(row => (
+          <li key={row.name}>
+            <span className="stats-chart-label" title={row.name}>{row.name}</span>
+            <span className="stats-chart-track">
+              <span className="stats-chart-bar" style={{ width: `${max > 0 ? (row.value / max) * 100 : 0}%` }}></span>
+            </span>
+            <span className="stats-chart-value">{formatValue(row.value)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// Market stats of the cached listings per city, neighbourhood or FSA: summary figures, charts of where
+// listings and bargain tags cluster, and a table with every group shaded by value
+// tagLabel names a tag without the values of a particular listing
+function StatsDashboard({ apiUrl, tagLabel, onClose }) {
+  const { t, formatPrice, formatNumber, formatDateTime } = useI18n()
+  const [groupBy, setGroupBy] = useState('city')
+  const [chartTag, setChartTag] = useState('')
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setData(null)
+    setError(null)
+    fetch(`${apiUrl}/stats?groupBy=${groupBy}`)
+      .then(async response => {
+        const body = await response.json()
+        if (!response.ok) throw new Error(getErrorMessage(body, t('errors.stats'), t))
+        setData(body)
+      })
+      .catch(err => setError(err.message))
+    // t only changes with the language, which does not change the stats
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiUrl, groupBy])
+
+  const tagIds = data ? Object.keys(data.overall.tagPercents) : []
+  const selectedTag = tagIds.includes(chartTag) ? chartTag : tagIds[0]
+  const chartGroups = data ? data.groups.slice(0, MAX_CHART_GROUPS) : []
+  const formatPercent = value => `${formatNumber(value)}%`
+  const formatPriceValue = price => (price ? formatPrice(price) : '—')
+  const formatDays = days => (days === null ? '—' : t('stats.days', { count: days }))
+
+  // Table columns: the figures of each group, then the share of each tag
+  const columns = [
+    { key: 'inventory', label: t('stats.inventory'), value: group => group.inventory, format: formatNumber },
+    { key: 'medianListPrice', label: t('stats.medianListPrice'), value: group => group.medianListPrice, format: formatPriceValue },
+    { key: 'medianDaysOnMarket', label: t('stats.medianDaysOnMarket'), value: group => group.medianDaysOnMarket, format: formatDays },
+    { key: 'priceCutPercent', label: t('stats.priceCutPercent'), value: group => group.priceCutPercent, format: formatPercent },
+    { key: 'averagePriceCuts', label: t('stats.averagePriceCuts'), value: group => group.averagePriceCuts, format: formatNumber },
+    ...tagIds.map(id => ({ key: id, label: tagLabel(id), value: group => group.tagPercents[id], format: formatPercent }))
+  ].map(column => {
+    const values = (data?.groups || []).map(column.value).filter(value => value !== null)
+    return { ...column, range: { min: Math.min(...values), max: Math.max(...values) } }
+  })
+
+  return (
+    <div className="properties-container">
+      <div className="properties-header">
+        <div>
+          <h2>{t('stats.title')}</h2>
+          {data?.updatedAt && (
+            <p className="active-modes">
+              {t('stats.source', { count: data.listings, time: formatDateTime(data.updatedAt) })}
+            </p>
+          )}
+        </div>
+        <div className="sort-control">
+          <label htmlFor="statsGroupBy">{t('stats.groupBy')}</label>
+          <select
+            id="statsGroupBy"
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="filter-select"
+          >
+            {GROUPINGS.map(id => (
+              <option key={id} value={id}>{t(`stats.groupings.${id}`)}</option>
+            ))}
+          </select>
+        </div>
+        <button className="search-again-button" onClick={onClose}>
+          {t('common.back')}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-container">
+          <p className="error-message">{error}</p>
+        </div>
+      )}
+
+      {!data && !error && (
+        <div className="loading-container">
+          <div className="spinner"></div>
+        </div>
+      )}
+
+      {data && data.listings === 0 && (
+        <p className="no-results">{t('stats.empty')}</p>
+      )}
+
+      {data && data.listings > 0 && (
+        <>
+          <div className="stats-summary">
+            <div>
+              <span>{t('stats.inventory')}</span>
+              <strong>{formatNumber(data.overall.inventory)}</strong>
+            </div>
+            <div>
+              <span>{t('stats.medianListPrice')}</span>
+              <strong>{formatPriceValue(data.overall.medianListPrice)}</strong>
+            </div>
+            <div>
+              <span>{t('stats.medianDaysOnMarket')}</span>
+              <strong>{formatDays(data.overall.medianDaysOnMarket)}</strong>
+            </div>
+            <div>
+              <span>{t('stats.priceCutPercent')}</span>
+              <strong>{formatPercent(data.overall.priceCutPercent)}</strong>
+            </div>
+          </div>
+
+          {chartGroups.length > 0 && (
+            <div className="stats-charts">
+              <BarChart
+                title={t('stats.inventory')}
+                rows={chartGroups.map(group => ({ name: group.name, value: group.inventory }))}
+                formatValue={formatNumber}
+              />
+              <BarChart
+                title={t('stats.medianListPrice')}
+                rows={chartGroups.map(group => ({ name: group.name, value: group.medianListPrice || 0 }))}
+                formatValue={formatPriceValue}
+              />
+              {selectedTag && (
+                <div className="stats-chart-with-control">
+                  <select
+                    aria-label={t('stats.chartTag')}
+                    value={selectedTag}
+                    onChange={(e) => setChartTag(e.target.value)}
+                    className="filter-select"
+                  >
+                    {tagIds.map(id => (
+                      <option key={id} value={id}>{tagLabel(id)}</option>
+                    ))}
+                  </select>
+                  <BarChart
+                    title={t('stats.tagShare', { tag: tagLabel(selectedTag) })}
+                    rows={[...chartGroups]
+                      .sort((a, b) => b.tagPercents[selectedTag] - a.tagPercents[selectedTag])
+                      .map(group => ({ name: group.name, value: group.tagPercents[selectedTag] }))}
+                    formatValue={formatPercent}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          {data.groups.length === 0 ? (
+            <p className="no-results">{t('stats.noGroups')}</p>
+          ) : (
+            <div className="compare-table-wrapper">
+              <table className="compare-table stats-table">
+                <thead>
+                  <tr>
+                    <th>{t(`stats.groupings.${groupBy}`)}</th>
+                    {columns.map(column => (
+                      <th key={column.key}>{column.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.groups.map(group => (
+                    <tr key={group.name}>
+                      <th scope="row">{group.name}</th>
+                      {columns.map(column => (
+                        <td key={column.key} style={heatStyle(column.value(group), column.range)}>
+                          {column.format(column.value(group))}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default StatsDashboard
@@ -0,0 +1,38 @@
+// Error codes the backend sends with its error responses ({ error, code, details, retryAfter }) that have their
+// own translated message (errors.<code> in the locale files), filled in with details and the server's message
+// Codes the frontend doesn't know yet show the server's own message
+const TRANSLATED_CODES = [
+  'INVALID_REQUEST',
+  'INVALID_USERNAME',
+  'PASSWORD_TOO_SHORT',
+  'USERNAME_TAKEN',
+  'INVALID_EMAIL',
+  'SAVED_SEARCH_LIMIT',
+  'WRONG_CONFIRMATION_CODE',
+  'LOGIN_REQUIRED',
+  'INVALID_CREDENTIALS',
+  'ADMIN_TOKEN_REQUIRED',
+  'NOT_FOUND',
+  'RATE_LIMITED',
+  'UPSTREAM_RATE_LIMITED',
+  'UPSTREAM_UNAVAILABLE',
+  'UPSTREAM_TIMEOUT',
+  'UPSTREAM_ERROR',
+  'PROVIDER_NOT_CONFIGURED',
+  'INTERNAL_ERROR'
+]
+
+// Helper function to turn an error response body into the message to show, with t from useI18n
+export function getErrorMessage(body, fallback, t) {
+  if (TRANSLATED_CODES.includes(body?.code)) {
+    const retry = body.retryAfter > 0 ? t('errors.retryIn', { seconds: body.retryAfter }) : t('errors.retrySoon')
+    return t(`errors.${body.code}`, { ...body.details, message: body.error, retry })
+  }
+  return body?.error || fallback
+}
+
+// Helper function to read a failed response's message; the body may not be JSON (e.g. from a proxy)
+export async function readErrorMessage(response, fallback, t) {
+  const body = await response.json().catch(() => null)
+  return getErrorMessage(body, fallback, t)
+}
@@ -0,0 +1,101 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react'
+import zhCN from './zh-CN.json'
+import en from './en.json'
+
+// Languages of the UI: messages, the name shown in the language switcher and the locale used by Intl
+// (en-CA so prices read $899,000 as Canadian listings usually do)
+export const LOCALES = {
+  'zh-CN': { name: '中文', messages: zhCN, intl: 'zh-CN' },
+  en: { name: 'English', messages: en, intl: 'en-CA' }
+}
+
+const DEFAULT_LOCALE = 'zh-CN'
+const STORAGE_KEY = 'locale'
+
+// The saved choice, otherwise the browser's language when there is a translation for it
+function getInitialLocale() {
+  const saved = window.localStorage.getItem(STORAGE_KEY)
+  if (LOCALES[saved]) return saved
+  const browser = (navigator.language || '').toLowerCase()
+  if (browser.startsWith('en')) return 'en'
+  return DEFAULT_LOCALE
+}
+
+// Helper function to read a dotted key ("search.title") from nested messages
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages)
+}
+
+// Helper function to fill "{name}" placeholders; messages may be { one, other } keyed on the count value
+// Placeholders without a value are kept, lists are joined with ", "
+function format(message, values) {
+  const template = typeof message === 'object' ? (values.count === 1 ? message.one : message.other) : message
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    values[name] === undefined || values[name] === null ? match : [].concat(values[name]).join(', ')
+  ))
+}
+
+const I18nContext = createContext(null)
+
+export function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(getInitialLocale)
+
+  useEffect(() => {
+    window.localStorage.setItem(STORAGE_KEY, locale)
+    document.documentElement.lang = locale
+  }, [locale])
+
+  const value = useMemo(() => {
+    const { messages, intl } = LOCALES[locale]
+    const fallbackMessages = LOCALES[DEFAULT_LOCALE].messages
+    const currency = new Intl.NumberFormat(intl, { style: 'currency', currency: 'CAD', maximumFractionDigits: 0 })
+    const number = new Intl.NumberFormat(intl)
+
+    // Missing translations fall back to Chinese, then to the given fallback or the key itself
+    const find = key => lookup(messages, key) ?? lookup(fallbackMessages, key)
+    const t = (key, values = {}, fallback = key) => {
+      const message = find(key)
+      return message === undefined ? fallback : format(message, values)
+    }
+
+    return {
+      locale,
+      setLocale,
+      t,
+      // Tags are bargain rule IDs; rules added to the backend config without a translation show the label
+      // from the config (rule.label, { zh, en }) when it is passed, otherwise the ID
+      tagLabel: (id, values = {}, configLabel = null) => {
+        if (find(`rules.${id}.label`) !== undefined) return t(`rules.${id}.label`, values)
+        if (configLabel) return format(configLabel[locale === 'en' ? 'en' : 'zh'] ?? configLabel.en, values)
+        return id
+      },
+      formatPrice: price => currency.format(price),
+      formatNumber: value => number.format(value),
+      formatDate: date => new Date(date).toLocaleDateString(intl),
+      formatDateTime: date => new Date(date).toLocaleString(intl)
+    }
+  }, [locale])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export function useI18n() {
+  return useContext(I18nContext)
+}
+
+// Language switcher, showing each language by its own name
+export function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n()
+  return (
+    <select
+      aria-label={t('common.language')}
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      className="filter-select language-switcher"
+    >
+      {Object.entries(LOCALES).map(([id, { name }]) => (
+        <option key={id} value={id}>{name}</option>
+      ))}
+    </select>
+  )
+}